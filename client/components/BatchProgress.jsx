@@ -0,0 +1,94 @@
+import { ListChecks, XCircle, CheckCircle, AlertCircle, MinusCircle, RefreshCw, Clock } from 'lucide-react';
+
+const STATUS_STYLES = {
+  queued: { icon: Clock, className: 'text-tertiary', label: 'Queued' },
+  running: { icon: RefreshCw, className: 'text-primary animate-spin', label: 'Running' },
+  completed: { icon: CheckCircle, className: 'text-success', label: 'Downloaded' },
+  failed: { icon: XCircle, className: 'text-error', label: 'Failed' },
+  cancelled: { icon: MinusCircle, className: 'text-tertiary', label: 'Cancelled' },
+  invalid: { icon: AlertCircle, className: 'text-warning', label: 'Invalid' },
+  skipped: { icon: MinusCircle, className: 'text-warning', label: 'Skipped' }
+};
+
+export default function BatchProgress({ batch, onOpen, onCancel, cancelling }) {
+  const { summary } = batch;
+  const finished = batch.status === 'finished';
+  const done = summary.total - summary.pending;
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <ListChecks size={20} className="text-primary" />
+          <h3 className="text-lg font-semibold text-text-primary">
+            {finished ? 'Batch Complete' : 'Batch Download'}
+          </h3>
+          <span className="text-sm text-secondary">{done}/{summary.total}</span>
+        </div>
+        {!finished && onCancel && (
+          <button
+            onClick={onCancel}
+            disabled={cancelling}
+            className="btn btn-secondary btn-sm flex items-center gap-1"
+          >
+            <XCircle size={14} />
+            {cancelling ? 'Cancelling...' : 'Cancel all'}
+          </button>
+        )}
+      </div>
+
+      <div className="h-2 rounded-full bg-surface-alt overflow-hidden">
+        <div
+          className="h-full bg-primary transition-all duration-300"
+          style={{ width: `${summary.total ? (done / summary.total) * 100 : 100}%` }}
+        />
+      </div>
+
+      <div className="divide-y divide-border">
+        {batch.items.map((item, index) => {
+          const style = STATUS_STYLES[item.status] || STATUS_STYLES.queued;
+          const Icon = style.icon;
+          return (
+            <div key={index} className="py-2 flex items-center gap-3 text-sm">
+              <Icon size={16} className={`flex-shrink-0 ${style.className}`} />
+              <span className="font-mono text-xs text-text-primary truncate flex-1" title={item.url}>{item.url}</span>
+              <span className="text-xs text-secondary flex-shrink-0">
+                {item.status === 'running' ? `${item.percent}% · ${item.message}` : item.error || style.label}
+              </span>
+              {item.status === 'completed' && item.result && (
+                <button onClick={() => onOpen(item.result)} className="btn btn-ghost btn-sm flex-shrink-0">
+                  Open
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {finished && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-secondary border-b border-border">
+              <th className="py-2 font-medium">Result</th>
+              <th className="py-2 font-medium text-right">URLs</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[
+              ['Downloaded', summary.completed, 'text-success'],
+              ['Failed', summary.failed, 'text-error'],
+              ['Skipped duplicates', summary.skipped, 'text-warning'],
+              ['Invalid URLs', summary.invalid, 'text-warning'],
+              ['Cancelled', summary.cancelled, 'text-tertiary']
+            ].map(([label, count, className]) => (
+              <tr key={label} className="border-b border-border">
+                <td className="py-2 text-text-primary">{label}</td>
+                <td className={`py-2 text-right font-mono ${count > 0 ? className : 'text-tertiary'}`}>{count}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
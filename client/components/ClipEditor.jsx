@@ -0,0 +1,231 @@
+import { useState, useEffect, useRef } from 'react';
+import { Scissors, Play, Download, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const FORMATS = [
+  ['mp4', 'MP4 (fast, cuts at keyframes)'],
+  ['mp4-reencode', 'MP4 (re-encoded, exact)'],
+  ['gif', 'Animated GIF'],
+  ['webm', 'WebM']
+];
+
+const formatSeconds = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}.${String(Math.round((seconds - whole) * 10) % 10)}`;
+};
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * Start/end markers for the preview video and export of the range as a clip
+ */
+export default function ClipEditor({ downloadId, videoIndex, videoRef, duration, clips, onCreated }) {
+  const [start, setStart] = useState(null);
+  const [end, setEnd] = useState(null);
+  const [format, setFormat] = useState('mp4');
+  const [exporting, setExporting] = useState(false);
+  // Re-encoded formats export as a job: its id and percent while it runs
+  const [exportJob, setExportJob] = useState(null);
+  const exportEventsRef = useRef(null);
+
+  useEffect(() => () => exportEventsRef.current?.close(), []);
+
+  // Markers belong to one video
+  useEffect(() => {
+    setStart(null);
+    setEnd(null);
+  }, [downloadId, videoIndex]);
+
+  const currentTime = () => parseFloat((videoRef.current?.currentTime ?? 0).toFixed(2));
+
+  const markStart = () => {
+    const time = currentTime();
+    setStart(time);
+    if (end !== null && end <= time) setEnd(null);
+  };
+
+  const markEnd = () => {
+    const time = currentTime();
+    if (start !== null && time <= start) {
+      toast.error('End must be after the start');
+      return;
+    }
+    setEnd(time);
+  };
+
+  // Play the selected range from its start
+  const previewRange = () => {
+    const video = videoRef.current;
+    if (!video || start === null) return;
+    video.currentTime = start;
+    video.play();
+    const stopAtEnd = () => {
+      if (end !== null && video.currentTime >= end) {
+        video.pause();
+        video.removeEventListener('timeupdate', stopAtEnd);
+      }
+    };
+    video.addEventListener('timeupdate', stopAtEnd);
+  };
+
+  const handleCreated = (clip) => {
+    onCreated?.(clip);
+    toast.success(`Saved ${clip.file} (${formatSize(clip.file_size)})`);
+  };
+
+  const finishExport = () => {
+    exportEventsRef.current?.close();
+    exportEventsRef.current = null;
+    setExportJob(null);
+    setExporting(false);
+  };
+
+  // Follow an export job's progress stream until it finishes
+  const watchExport = (jobId) => {
+    const events = new EventSource(`/api/video-download/jobs/${jobId}/events`);
+    exportEventsRef.current = events;
+    setExportJob({ id: jobId, percent: 0 });
+
+    events.onmessage = (e) => {
+      const update = JSON.parse(e.data);
+      setExportJob({ id: jobId, percent: update.percent });
+      if (update.status === 'queued' || update.status === 'running') return;
+
+      finishExport();
+      if (update.status === 'completed') {
+        handleCreated(update.result.clip);
+      } else if (update.status === 'cancelled') {
+        toast('Clip export cancelled');
+      } else {
+        toast.error(update.error || 'Failed to export clip');
+      }
+    };
+
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        finishExport();
+        toast.error('Lost connection to export progress');
+      }
+    };
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+
+    const response = await fetch(`/api/video-download/videos/${encodeURIComponent(downloadId)}/clips`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ video: videoIndex, start, end, format })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (data.success && data.jobId) {
+      watchExport(data.jobId);
+      return;
+    }
+
+    setExporting(false);
+    if (data.success) {
+      handleCreated(data.clip);
+    } else {
+      toast.error(data.error || 'Failed to export clip');
+    }
+  };
+
+  // The progress stream reports the final state; only surface failures here
+  const handleCancelExport = async () => {
+    const response = await fetch(`/api/video-download/jobs/${exportJob.id}/cancel`, { method: 'POST' });
+    const data = await response.json().catch(() => ({}));
+    if (!data.success) {
+      toast.error(data.error || 'Failed to cancel clip export');
+    }
+  };
+
+  const percent = (time) => `${Math.min(100, (time / duration) * 100)}%`;
+  const videoClips = clips.filter(c => (c.video || 1) === videoIndex);
+
+  return (
+    <div className="mt-4 space-y-3">
+      {/* Range markers over the video's timeline */}
+      {duration > 0 && (
+        <div className="relative h-2 rounded-full bg-surface-alt" title="Clip range">
+          {start !== null && (
+            <div
+              className="absolute top-0 h-full bg-primary/40 rounded-full"
+              style={{ left: percent(start), width: `calc(${percent(end ?? duration)} - ${percent(start)})` }}
+            />
+          )}
+          {start !== null && <div className="absolute -top-1 h-4 w-0.5 bg-primary" style={{ left: percent(start) }} />}
+          {end !== null && <div className="absolute -top-1 h-4 w-0.5 bg-primary" style={{ left: percent(end) }} />}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <Scissors size={16} className="text-secondary" />
+        <button onClick={markStart} className="btn btn-secondary btn-sm">
+          Set start{start !== null && <span className="ml-1 font-mono">{formatSeconds(start)}</span>}
+        </button>
+        <button onClick={markEnd} className="btn btn-secondary btn-sm">
+          Set end{end !== null && <span className="ml-1 font-mono">{formatSeconds(end)}</span>}
+        </button>
+        <button
+          onClick={previewRange}
+          disabled={start === null}
+          className="btn btn-ghost btn-sm flex items-center gap-1"
+          title="Play the selected range"
+        >
+          <Play size={14} />
+          Preview
+        </button>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="form-input text-sm py-1"
+        >
+          {FORMATS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={start === null || end === null || exporting}
+          className="btn btn-primary btn-sm flex items-center gap-1"
+        >
+          <Scissors size={14} />
+          {exporting ? `Exporting${exportJob ? ` ${exportJob.percent}%` : '...'}` : 'Export clip'}
+        </button>
+        {exportJob && (
+          <button onClick={handleCancelExport} className="btn btn-ghost btn-sm flex items-center gap-1">
+            <XCircle size={14} />
+            Cancel
+          </button>
+        )}
+        {start !== null && end !== null && (
+          <span className="text-tertiary text-xs">{(end - start).toFixed(1)}s selected</span>
+        )}
+      </div>
+
+      {videoClips.length > 0 && (
+        <div className="space-y-1">
+          {videoClips.map((clip) => (
+            <a
+              key={clip.file}
+              href={clip.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center gap-2 text-sm text-secondary hover:text-primary"
+            >
+              <Download size={14} />
+              <span className="font-mono">{clip.file}</span>
+              <span className="text-tertiary text-xs">
+                {formatSeconds(clip.start)}–{formatSeconds(clip.end)} · {clip.format} · {formatSize(clip.file_size)}
+              </span>
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { LayoutGrid, ExternalLink } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatSeconds = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+/**
+ * A video's contact sheets, or a button to build them (and its storyboard) for a saved download
+ */
+export default function ContactSheets({ downloadId, video, onBuilt }) {
+  const [building, setBuilding] = useState(false);
+  const sheets = video.contactSheets?.sheets || [];
+
+  const handleBuild = async () => {
+    setBuilding(true);
+
+    const response = await fetch(`/api/video-download/videos/${encodeURIComponent(downloadId)}/contact-sheets`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    const data = await response.json().catch(() => ({}));
+    setBuilding(false);
+
+    if (data.success) {
+      onBuilt?.(data);
+      toast.success('Contact sheets built');
+    } else {
+      toast.error(data.error || 'Failed to build contact sheets');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <LayoutGrid size={20} className="text-primary" />
+          <h3 className="text-lg font-semibold text-text-primary">
+            Contact Sheets{sheets.length > 0 && ` (${sheets.length})`}
+          </h3>
+        </div>
+        <button
+          onClick={handleBuild}
+          disabled={building}
+          className="btn btn-secondary btn-sm"
+          title="Tile the frames into contact sheets and build the seek preview storyboard"
+        >
+          {building ? 'Building...' : sheets.length > 0 ? 'Rebuild' : 'Build'}
+        </button>
+      </div>
+
+      {sheets.length === 0 ? (
+        <p className="text-sm text-tertiary">
+          {video.contactSheets ? 'No frames to tile; the storyboard was built.' : 'Tile the extracted frames into a few images with their timestamps.'}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {sheets.map((sheet, index) => (
+            <a
+              key={sheet.file}
+              href={video.contactSheetUrls[index]}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block rounded-lg overflow-hidden border border-border hover:border-primary transition-colors group"
+              title="View full size"
+            >
+              <img src={video.contactSheetUrls[index]} alt={`Contact sheet ${index + 1}`} className="w-full bg-black" />
+              <div className="p-2 flex items-center justify-between text-xs bg-surface text-secondary group-hover:text-primary">
+                <span>
+                  Sheet {index + 1} · {sheet.frames.length} frame{sheet.frames.length === 1 ? '' : 's'}
+                  {typeof sheet.from === 'number' && (
+                    <span className="ml-1 font-mono text-tertiary">{formatSeconds(sheet.from)}–{formatSeconds(sheet.to)}</span>
+                  )}
+                </span>
+                <ExternalLink size={12} />
+              </div>
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { RefreshCw, XCircle } from 'lucide-react';
+
+const PHASE_LABELS = {
+  queued: 'Queued',
+  navigating: 'Opening post',
+  capturing: 'Capturing video streams',
+  downloading: 'Downloading video',
+  probing: 'Reading video info',
+  transcribing: 'Transcribing audio',
+  extracting: 'Extracting frames',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+};
+
+const describeProgress = (job) => {
+  const { progress = {} } = job;
+  if (job.phase === 'downloading' && progress.totalSegments) {
+    return `Segment ${progress.segment} of ${progress.totalSegments} (${formatBytes(progress.bytes)})`;
+  }
+  if (job.phase === 'downloading' && progress.bytes) {
+    return progress.totalBytes
+      ? `${formatBytes(progress.bytes)} of ${formatBytes(progress.totalBytes)}`
+      : `${formatBytes(progress.bytes)} downloaded`;
+  }
+  if (job.phase === 'extracting' && progress.frame) {
+    return progress.totalFrames ? `Frame ${progress.frame} of ${progress.totalFrames}` : `Frame ${progress.frame}`;
+  }
+  return job.message;
+};
+
+export default function DownloadProgress({ job, onCancel, cancelling }) {
+  const percent = job?.percent ?? 0;
+
+  return (
+    <div className="card space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <RefreshCw size={18} className="text-primary animate-spin" />
+          <span className="font-medium text-text-primary">{PHASE_LABELS[job?.phase] || 'Starting download'}</span>
+        </div>
+        <div className="flex items-center gap-3">
+          <span className="text-sm font-mono text-secondary">{percent}%</span>
+          {onCancel && (
+            <button
+              onClick={onCancel}
+              disabled={!job || cancelling}
+              className="btn btn-secondary btn-sm flex items-center gap-1"
+            >
+              <XCircle size={14} />
+              {cancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="h-2 rounded-full bg-surface-alt overflow-hidden">
+        <div className="h-full bg-primary transition-all duration-300" style={{ width: `${percent}%` }} />
+      </div>
+      {job && <p className="text-xs text-secondary">{describeProgress(job)}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,509 @@
+import { useState, useEffect, useRef } from 'react';
+import { Video, Image as ImageIcon, AlertCircle, ExternalLink, Copy, MessageCircle, Repeat2, Heart, Bookmark, Eye, BadgeCheck, RefreshCw, Volume2, VolumeX } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ClipEditor from './ClipEditor';
+import TranscriptPanel from './TranscriptPanel';
+import ContactSheets from './ContactSheets';
+import StoryboardScrubber from './StoryboardScrubber';
+
+// Manifest times are HH:MM:SS.mmm; drop the hours for clips under an hour
+const shortTime = (time) => time.replace(/^00:/, '');
+
+const MEDIA_TYPES = {
+  video: 'Video',
+  animated_gif: 'GIF',
+  photo: 'Photos',
+  mixed: 'Videos and GIFs'
+};
+
+const TWEET_METRICS = [
+  ['replies', MessageCircle, 'Replies'],
+  ['reposts', Repeat2, 'Reposts'],
+  ['likes', Heart, 'Likes'],
+  ['bookmarks', Bookmark, 'Bookmarks'],
+  ['views', Eye, 'Views']
+];
+
+const formatBitRate = (bitsPerSecond) => bitsPerSecond >= 1000000
+  ? `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`
+  : `${Math.round(bitsPerSecond / 1000)} kbps`;
+
+// Container, video and audio stream details from ffprobe, and how the download was verified
+function StreamDetails({ streams, verification }) {
+  const rows = [
+    ...streams.video.map(v => ['Video', [
+      v.display_width && v.display_height && `${v.display_width}×${v.display_height}`,
+      v.codec && `${v.codec}${v.profile ? ` (${v.profile})` : ''}`,
+      v.frame_rate && `${v.frame_rate} fps`,
+      v.bit_rate && formatBitRate(v.bit_rate),
+      v.rotation && `rotated ${v.rotation}°`,
+      v.pixel_format
+    ]]),
+    ...streams.audio.map(a => ['Audio', [
+      a.codec && `${a.codec}${a.profile ? ` (${a.profile})` : ''}`,
+      a.sample_rate && `${(a.sample_rate / 1000).toFixed(1)} kHz`,
+      a.channel_layout || (a.channels && `${a.channels} ch`),
+      a.bit_rate && formatBitRate(a.bit_rate),
+      a.language
+    ]]),
+    ['Container', [
+      streams.format.long_name || streams.format.name,
+      streams.format.bit_rate && formatBitRate(streams.format.bit_rate)
+    ]],
+    ...(verification ? [['Verified', [
+      Object.keys(verification.checks).join(', '),
+      verification.attempts > 1 && `after ${verification.attempts} attempts`
+    ]]] : [])
+  ];
+
+  return (
+    <div className="pt-4 mb-4 border-t border-border space-y-1 text-sm">
+      {rows.map(([label, parts], index) => (
+        <div key={`${label}-${index}`}>
+          <span className="text-secondary">{label}:</span>
+          <span className="ml-2 text-text-primary">{parts.filter(Boolean).join(' · ')}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Loudness and silence of a video's audio, with a player for its extracted audio file
+function AudioDetails({ audio, audioUrl, showPlayer }) {
+  if (!audio.has_audio) {
+    return (
+      <div className="mt-4 pt-4 border-t border-border flex items-center gap-2 text-sm text-secondary">
+        <VolumeX size={16} />
+        No audio track
+      </div>
+    );
+  }
+
+  const { silence } = audio;
+  return (
+    <div className="mt-4 pt-4 border-t border-border space-y-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap text-secondary">
+        <Volume2 size={16} />
+        <span className="font-mono text-text-primary">{audio.codec}</span>
+        {audio.sample_rate && <span>{(audio.sample_rate / 1000).toFixed(1)} kHz</span>}
+        {audio.channels && <span>{audio.channels === 1 ? 'mono' : `${audio.channels} ch`}</span>}
+        <span>
+          · {audio.loudness_lufs !== null ? `${audio.loudness_lufs} LUFS` : 'silent'}
+        </span>
+        {silence && (
+          <span title={silence.intervals.map(i => `${i.start}s–${i.end}s`).join(', ')}>
+            · {Math.round((silence.ratio || 0) * 100)}% silence ({silence.intervals.length} gap{silence.intervals.length === 1 ? '' : 's'})
+          </span>
+        )}
+      </div>
+      {showPlayer && audioUrl && (
+        <div className="flex items-center gap-3">
+          <audio key={audioUrl} src={audioUrl} controls className="flex-1" />
+          <a href={audioUrl} download className="text-xs text-secondary hover:text-primary font-mono">
+            {audio.file}
+          </a>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Post text, author and engagement captured with the video
+function TweetDetails({ tweet }) {
+  return (
+    <div className="pt-4 mb-4 border-t border-border space-y-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        {tweet.author?.display_name && (
+          <span className="font-semibold text-text-primary">{tweet.author.display_name}</span>
+        )}
+        {tweet.author?.verified && <BadgeCheck size={14} className="text-primary" />}
+        {tweet.author?.username && <span className="font-mono text-secondary">@{tweet.author.username}</span>}
+        {tweet.created_at && (
+          <span className="text-xs text-tertiary">· {new Date(tweet.created_at).toLocaleString()}</span>
+        )}
+      </div>
+      {tweet.reply_to && (
+        <p className="text-xs text-tertiary">Replying to @{tweet.reply_to.username}</p>
+      )}
+      {tweet.text && <p className="whitespace-pre-wrap text-text-primary">{tweet.text}</p>}
+      {tweet.quote && (
+        <div className="p-3 rounded-lg border border-border bg-surface-alt">
+          <p className="text-xs text-secondary mb-1">
+            Quoting {tweet.quote.display_name} {tweet.quote.username && `@${tweet.quote.username}`}
+          </p>
+          <p className="whitespace-pre-wrap text-text-primary">{tweet.quote.text}</p>
+        </div>
+      )}
+      <div className="flex items-center gap-4 text-xs text-secondary">
+        {TWEET_METRICS.filter(([key]) => typeof tweet.metrics?.[key] === 'number').map(([key, Icon, label]) => (
+          <span key={key} className="flex items-center gap-1" title={label}>
+            <Icon size={12} />
+            {tweet.metrics[key].toLocaleString()}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function DownloadResult({ result, onRedownload }) {
+  const [activeVideo, setActiveVideo] = useState(0);
+  const [copying, setCopying] = useState(false);
+  const [clips, setClips] = useState(result.clips || []);
+  // The download's videos as reloaded after building contact sheets
+  const [updatedVideos, setUpdatedVideos] = useState(null);
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    setActiveVideo(0);
+    setClips(result.clips || []);
+    setUpdatedVideos(null);
+  }, [result.id]);
+
+  // Older responses have no videos list; treat them as a single video. Photo-only posts have none.
+  const videos = updatedVideos || (result.videos?.length ? result.videos : (result.videoUrl ? [result] : []));
+  const current = videos[activeVideo] || videos[0];
+  const photos = result.photos || [];
+  const mediaType = result.metadata?.media_type;
+  // Set only when near-duplicate frames were removed; multi-video downloads count them per video
+  const duplicatesRemoved = (result.metadata?.videos || [result.metadata || {}])
+    .reduce((sum, v) => sum + (v.duplicate_frames_removed || 0), 0);
+  // GIFs play like they do on X: looping and muted
+  const isGif = (current?.media_type || mediaType) === 'animated_gif';
+
+  // Copy the download as a Markdown document with inline frames, ready to paste into an LLM
+  const handleCopyForLlm = async () => {
+    setCopying(true);
+
+    const response = await fetch(`/api/video-download/videos/${encodeURIComponent(result.id)}/llm-bundle?format=markdown`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setCopying(false);
+      toast.error(data.error || 'Failed to build LLM bundle');
+      return;
+    }
+
+    const markdown = await response.text();
+    const copied = await navigator.clipboard.writeText(markdown).then(() => true, () => false);
+    setCopying(false);
+
+    if (!copied) {
+      toast.error('Could not write to the clipboard');
+      return;
+    }
+
+    const frames = response.headers.get('X-Bundle-Frames');
+    const dropped = parseInt(response.headers.get('X-Bundle-Frames-Dropped')) || 0;
+    const tokens = parseInt(response.headers.get('X-Bundle-Estimated-Tokens')) || 0;
+    toast.success(`Copied ${frames} frames (~${tokens.toLocaleString()} tokens)${dropped ? `, ${dropped} dropped to fit` : ''}`);
+  };
+
+  // Jump the preview to a frame; frames without a timestamp (older downloads) open full size instead
+  const openFrame = (frameUrl, info) => {
+    const video = videoRef.current;
+    if (!video || typeof info?.timestamp !== 'number') {
+      window.open(frameUrl, '_blank', 'noopener,noreferrer');
+      return;
+    }
+    video.currentTime = info.timestamp;
+    video.pause();
+    video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Video Info */}
+      <div className="card border-success">
+        <div className="flex items-start gap-3 mb-4">
+          <Video size={24} className="text-success" />
+          <div className="flex-1">
+            <div className="flex items-center justify-between gap-3">
+              <h3 className="text-lg font-semibold text-text-primary">
+                {result.reused
+                  ? 'Already Downloaded'
+                  : `${mediaType === 'photo' ? 'Photos' : 'Video'} Downloaded Successfully`}
+              </h3>
+              <div className="flex items-center gap-2">
+                {onRedownload && (
+                  <button
+                    onClick={onRedownload}
+                    className="btn btn-secondary btn-sm flex items-center gap-1"
+                    title="Download this post again, replacing the saved copy"
+                  >
+                    <RefreshCw size={14} />
+                    Re-download
+                  </button>
+                )}
+                {result.id && (
+                  <button
+                    onClick={handleCopyForLlm}
+                    disabled={copying}
+                    className="btn btn-secondary btn-sm flex items-center gap-1"
+                    title="Copy metadata and frames as Markdown with inline images"
+                  >
+                    <Copy size={14} />
+                    {copying ? 'Copying...' : 'Copy for LLM'}
+                  </button>
+                )}
+              </div>
+            </div>
+            {result.reused && (
+              <p className="text-xs text-tertiary mt-1">
+                {result.framesRefreshed
+                  ? 'Saved copy reused; frames were re-extracted with the current settings.'
+                  : `Saved copy from ${new Date(result.metadata?.downloaded_at).toLocaleString()} reused.`}
+              </p>
+            )}
+            <div className="grid grid-cols-2 gap-4 text-sm mt-3">
+              {result.metadata?.tweet_id ? (
+                <>
+                  <div>
+                    <span className="text-secondary">Username:</span>
+                    <span className="ml-2 font-mono text-text-primary">@{result.metadata.username}</span>
+                  </div>
+                  <div>
+                    <span className="text-secondary">Tweet ID:</span>
+                    <span className="ml-2 font-mono text-text-primary">{result.metadata.tweet_id}</span>
+                  </div>
+                </>
+              ) : (
+                <div className="col-span-2">
+                  <span className="text-secondary">Source:</span>
+                  <a
+                    href={result.metadata?.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="ml-2 font-mono text-text-primary hover:text-primary break-all"
+                  >
+                    {result.metadata?.url}
+                  </a>
+                </div>
+              )}
+              {mediaType && (
+                <div>
+                  <span className="text-secondary">Media:</span>
+                  <span className="ml-2 text-text-primary">{MEDIA_TYPES[mediaType] || mediaType}</span>
+                </div>
+              )}
+              {result.metadata?.duration_seconds && (
+                <div>
+                  <span className="text-secondary">Duration:</span>
+                  <span className="ml-2 text-text-primary">{result.metadata.duration_seconds}s</span>
+                </div>
+              )}
+              <div>
+                <span className="text-secondary">Size:</span>
+                <span className="ml-2 text-text-primary">{result.metadata?.file_size_mb} MB</span>
+              </div>
+              <div>
+                <span className="text-secondary">Frames:</span>
+                <span className="ml-2 text-text-primary">
+                  {result.metadata?.frame_count} extracted{duplicatesRemoved > 0 && `, ${duplicatesRemoved} duplicates removed`}
+                </span>
+              </div>
+              {videos.length > 1 && (
+                <div>
+                  <span className="text-secondary">Videos:</span>
+                  <span className="ml-2 text-text-primary">{videos.length} in post</span>
+                </div>
+              )}
+              {photos.length > 0 && (
+                <div>
+                  <span className="text-secondary">Photos:</span>
+                  <span className="ml-2 text-text-primary">{photos.length} saved</span>
+                </div>
+              )}
+              <div>
+                <span className="text-secondary">Downloaded:</span>
+                <span className="ml-2 text-xs text-text-primary">
+                  {new Date(result.metadata?.downloaded_at).toLocaleString()}
+                </span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {current?.streams && <StreamDetails streams={current.streams} verification={current.verification} />}
+
+        {result.metadata?.tweet && <TweetDetails tweet={result.metadata.tweet} />}
+
+        <div className="pt-4 border-t border-border">
+          <p className="text-sm text-secondary mb-2">File Path:</p>
+          <code className="block px-3 py-2 rounded text-xs font-mono bg-surface-alt text-text-primary">
+            {current ? current.videoPath : photos[0]?.path}
+          </code>
+        </div>
+      </div>
+
+      {/* Video Player */}
+      {current && (
+        <div className="card">
+          <div className="flex items-center gap-2 mb-4">
+            <Video size={20} className="text-primary" />
+            <h3 className="text-lg font-semibold text-text-primary">Video Preview</h3>
+          </div>
+          {videos.length > 1 && (
+            <div className="flex gap-2 mb-4 border-b border-border">
+              {videos.map((video, index) => (
+                <button
+                  key={video.index}
+                  onClick={() => setActiveVideo(index)}
+                  className={`px-3 py-2 text-sm -mb-px border-b-2 transition-colors ${
+                    index === activeVideo
+                      ? 'border-primary text-primary'
+                      : 'border-transparent text-secondary hover:text-text-primary'
+                  }`}
+                >
+                  Video {video.index}
+                  <span className="ml-2 text-xs text-tertiary">{video.duration_seconds}s</span>
+                </button>
+              ))}
+            </div>
+          )}
+          <video
+            ref={videoRef}
+            key={current.videoUrl}
+            src={current.videoUrl}
+            controls
+            loop={isGif}
+            muted={isGif}
+            className="w-full rounded-lg bg-black"
+            style={{ maxHeight: '480px' }}
+          >
+            {current.transcriptUrls?.vtt && (
+              <track kind="subtitles" src={current.transcriptUrls.vtt} srcLang={current.transcript?.language || 'en'} label="Transcript" />
+            )}
+            Your browser does not support the video tag.
+          </video>
+          {current.storyboardUrl && (
+            <StoryboardScrubber
+              storyboardUrl={current.storyboardUrl}
+              videoRef={videoRef}
+              duration={parseFloat(current.duration_seconds) || 0}
+            />
+          )}
+          {result.id && !/\.m4a$/i.test(current.videoUrl || '') && (
+            <ClipEditor
+              downloadId={result.id}
+              videoIndex={current.index || 1}
+              videoRef={videoRef}
+              duration={parseFloat(current.duration_seconds) || 0}
+              clips={clips}
+              onCreated={(clip) => setClips(existing => [...existing, clip])}
+            />
+          )}
+          {current.audio && (
+            <AudioDetails audio={current.audio} audioUrl={current.audioUrl} showPlayer={current.audioUrl !== current.videoUrl} />
+          )}
+          {current.transcript && (
+            <TranscriptPanel
+              transcript={current.transcript}
+              urls={current.transcriptUrls}
+              videoRef={videoRef}
+              mediaKey={current.videoUrl}
+            />
+          )}
+        </div>
+      )}
+
+      {/* Photos */}
+      {photos.length > 0 && (
+        <div className="card">
+          <div className="flex items-center gap-2 mb-4">
+            <ImageIcon size={20} className="text-primary" />
+            <h3 className="text-lg font-semibold text-text-primary">
+              Photos ({photos.length})
+            </h3>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {photos.map((photo) => (
+              <a
+                key={photo.file}
+                href={photo.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block rounded-lg overflow-hidden border border-border hover:border-primary transition-colors group"
+                title="View full size"
+              >
+                <img src={photo.url} alt={`Photo ${photo.index}`} className="w-full aspect-square object-cover bg-surface-alt" />
+                <div className="p-2 text-xs bg-surface text-secondary group-hover:text-primary">
+                  Photo {photo.index}
+                  {photo.width && <span className="ml-1 font-mono text-tertiary">{photo.width}×{photo.height}</span>}
+                </div>
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Extracted Frames */}
+      {current?.frameUrls && current.frameUrls.length > 0 && (
+        <div className="card">
+          <div className="flex items-center gap-2 mb-4">
+            <ImageIcon size={20} className="text-primary" />
+            <h3 className="text-lg font-semibold text-text-primary">
+              Extracted Frames ({current.frameUrls.length})
+            </h3>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            {current.frameUrls.map((frameUrl, index) => {
+              const info = current.frameManifest?.[index];
+              return (
+                <div
+                  key={index}
+                  className="rounded-lg overflow-hidden border border-border hover:border-primary transition-colors group"
+                >
+                  <button
+                    onClick={() => openFrame(frameUrl, info)}
+                    className="block w-full aspect-video bg-surface-alt"
+                    title={info?.time ? `Jump to ${shortTime(info.time)}` : undefined}
+                  >
+                    <img
+                      src={frameUrl}
+                      alt={`Frame ${index + 1}`}
+                      className="w-full h-full object-cover"
+                    />
+                  </button>
+                  <div className="p-2 flex items-center justify-between gap-1 text-xs bg-surface text-secondary group-hover:text-primary">
+                    <span>
+                      Frame {index + 1}
+                      {info?.time && <span className="ml-1 font-mono text-tertiary">{shortTime(info.time)}</span>}
+                      {info?.covers?.length > 1 && (
+                        <span className="ml-1 text-tertiary" title={`Stands for ${info.covers.length} near-identical frames`}>
+                          ×{info.covers.length}
+                        </span>
+                      )}
+                    </span>
+                    <a href={frameUrl} target="_blank" rel="noopener noreferrer" title="View full size">
+                      <ExternalLink size={12} />
+                    </a>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="mt-4 p-3 rounded-lg bg-info/10 flex items-start gap-2">
+            <AlertCircle size={16} className="text-info flex-shrink-0 mt-0.5" />
+            <p className="text-xs text-secondary">
+              {current.frameManifest
+                ? 'Click a frame to jump to it in the preview, or use the link icon to view it full size.'
+                : 'Click a frame to view full size.'}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Contact Sheets */}
+      {result.id && current && !/\.m4a$/i.test(current.videoUrl || '') && (
+        <ContactSheets
+          downloadId={result.id}
+          video={current}
+          onBuilt={(entry) => setUpdatedVideos(entry.videos)}
+        />
+      )}
+    </div>
+  );
+}
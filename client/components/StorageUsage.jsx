@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { HardDrive } from 'lucide-react';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+};
+
+// Summarise the retention policy for the tooltip
+const describePolicy = (policy) => {
+  if (!policy) return '';
+  const limits = [
+    policy.maxTotalSizeMb > 0 && `max ${formatBytes(policy.maxTotalSizeMb * 1024 * 1024)}`,
+    policy.maxAgeDays > 0 && `max ${policy.maxAgeDays} days`
+  ].filter(Boolean);
+  if (limits.length === 0) return 'No retention limits set';
+  return `Retention: ${limits.join(', ')}${policy.keepVideos ? ', prunes frames only' : ''}${policy.dryRun ? ' (dry run)' : ''}`;
+};
+
+export default function StorageUsage({ refreshKey }) {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      const response = await fetch('/api/video-download/storage');
+      const data = await response.json().catch(() => ({}));
+      if (data.success) {
+        setUsage(data);
+      }
+    };
+    loadUsage();
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const limit = usage.policy?.maxTotalSizeMb > 0 ? usage.policy.maxTotalSizeMb * 1024 * 1024 : null;
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-secondary" title={describePolicy(usage.policy)}>
+      <HardDrive size={16} />
+      <span className="font-mono text-text-primary">
+        {formatBytes(usage.total_bytes)}
+        {limit && <span className="text-tertiary"> / {formatBytes(limit)}</span>}
+      </span>
+      <span className="text-tertiary">
+        {usage.download_count} download{usage.download_count === 1 ? '' : 's'} · {usage.frame_count.toLocaleString()} frames
+      </span>
+    </div>
+  );
+}
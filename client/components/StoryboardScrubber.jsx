@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react';
+
+const formatSeconds = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// HH:MM:SS.mmm or MM:SS.mmm to seconds
+const parseTime = (value) => value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+/**
+ * Read a WebVTT thumbnail storyboard: cues whose text is `image.jpg#xywh=x,y,w,h`,
+ * with image URLs resolved against the storyboard's own URL
+ */
+const parseStoryboard = (text, baseUrl) => text.split(/\r?\n\r?\n/).flatMap((block) => {
+  const match = block.match(/([\d:.]+)\s+-->\s+([\d:.]+)\s*\r?\n(.+)#xywh=(\d+),(\d+),(\d+),(\d+)/);
+  if (!match) return [];
+  const [, start, end, image, x, y, w, h] = match;
+  return [{
+    start: parseTime(start),
+    end: parseTime(end),
+    url: new URL(image.trim(), new URL(baseUrl, window.location.href)).href,
+    x: Number(x),
+    y: Number(y),
+    w: Number(w),
+    h: Number(h)
+  }];
+});
+
+/**
+ * A seek bar under the preview video: hovering shows the storyboard thumbnail for
+ * that moment, clicking seeks the video there
+ */
+export default function StoryboardScrubber({ storyboardUrl, videoRef, duration }) {
+  const [cues, setCues] = useState([]);
+  const [hover, setHover] = useState(null);
+  const [time, setTime] = useState(0);
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setCues([]);
+    fetch(storyboardUrl)
+      .then(response => (response.ok ? response.text() : ''))
+      .then((text) => { if (!cancelled) setCues(parseStoryboard(text, storyboardUrl)); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [storyboardUrl]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+    const update = () => setTime(video.currentTime);
+    video.addEventListener('timeupdate', update);
+    return () => video.removeEventListener('timeupdate', update);
+  }, [videoRef, storyboardUrl]);
+
+  if (cues.length === 0 || !(duration > 0)) return null;
+
+  const timeAt = (event) => {
+    const rect = barRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return { fraction, seconds: fraction * duration };
+  };
+
+  const seek = (event) => {
+    const video = videoRef.current;
+    if (video) video.currentTime = timeAt(event).seconds;
+  };
+
+  const cue = hover && (cues.find(c => hover.seconds >= c.start && hover.seconds < c.end) || cues[cues.length - 1]);
+
+  return (
+    <div className="relative mt-2 select-none">
+      <div
+        ref={barRef}
+        onMouseMove={(event) => setHover(timeAt(event))}
+        onMouseLeave={() => setHover(null)}
+        onClick={seek}
+        className="relative h-3 rounded bg-surface-alt cursor-pointer"
+        title="Hover to preview, click to seek"
+      >
+        <div className="absolute inset-y-0 left-0 rounded bg-primary/40" style={{ width: `${Math.min(100, (time / duration) * 100)}%` }} />
+      </div>
+      {cue && (
+        <div
+          className="absolute bottom-5 z-10 -translate-x-1/2 rounded border border-border bg-black shadow-lg pointer-events-none"
+          style={{ left: `${hover.fraction * 100}%` }}
+        >
+          <div
+            style={{
+              width: cue.w,
+              height: cue.h,
+              backgroundImage: `url(${cue.url})`,
+              backgroundPosition: `-${cue.x}px -${cue.y}px`
+            }}
+          />
+          <div className="text-center text-xs font-mono text-white py-0.5">{formatSeconds(hover.seconds)}</div>
+        </div>
+      )}
+    </div>
+  );
+}
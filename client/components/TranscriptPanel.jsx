@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef } from 'react';
+import { FileText, Download } from 'lucide-react';
+
+const formatSeconds = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+/**
+ * A video's transcript, following its playback: the segment being spoken is
+ * highlighted and kept in view, and clicking a segment seeks the video to it
+ */
+export default function TranscriptPanel({ transcript, urls, videoRef, mediaKey }) {
+  const [time, setTime] = useState(0);
+  const listRef = useRef(null);
+  const activeRef = useRef(null);
+
+  // The video element is replaced when another video of the post is shown
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+    const update = () => setTime(video.currentTime);
+    update();
+    video.addEventListener('timeupdate', update);
+    video.addEventListener('seeked', update);
+    return () => {
+      video.removeEventListener('timeupdate', update);
+      video.removeEventListener('seeked', update);
+    };
+  }, [videoRef, mediaKey]);
+
+  const segments = transcript.segments || [];
+  const activeIndex = segments.findIndex(s => time >= s.start && time < s.end);
+
+  // Scroll the list itself, not the page, to keep the spoken segment visible (offsets are relative to the list)
+  useEffect(() => {
+    const list = listRef.current;
+    const item = activeRef.current;
+    if (!list || !item) return;
+    if (item.offsetTop < list.scrollTop || item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = item.offsetTop - list.clientHeight / 3;
+    }
+  }, [activeIndex]);
+
+  const seek = (segment) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = segment.start;
+    video.play();
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-border space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-sm text-secondary">
+          <FileText size={16} />
+          <span className="font-medium text-text-primary">Transcript</span>
+          <span className="text-tertiary text-xs">
+            {segments.length} segment{segments.length === 1 ? '' : 's'}{transcript.language && ` · ${transcript.language}`}
+          </span>
+        </div>
+        {urls && (
+          <div className="flex items-center gap-3 text-xs">
+            {Object.entries(urls).map(([format, url]) => (
+              <a key={format} href={url} download className="flex items-center gap-1 text-secondary hover:text-primary">
+                <Download size={12} />
+                {format.toUpperCase()}
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {segments.length === 0 ? (
+        <p className="text-sm text-tertiary">No speech was recognised.</p>
+      ) : (
+        <div ref={listRef} className="relative max-h-64 overflow-y-auto space-y-1 text-sm">
+          {segments.map((segment, index) => (
+            <button
+              key={`${segment.start}-${index}`}
+              ref={index === activeIndex ? activeRef : null}
+              onClick={() => seek(segment)}
+              className={`w-full text-left flex gap-3 px-2 py-1 rounded transition-colors ${
+                index === activeIndex ? 'bg-primary/10 text-text-primary' : 'text-secondary hover:bg-surface-alt'
+              }`}
+            >
+              <span className="font-mono text-xs text-tertiary pt-0.5">{formatSeconds(segment.start)}</span>
+              <span>{segment.text}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
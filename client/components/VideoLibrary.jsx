@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { Library, Video, Trash2, ChevronLeft, ChevronRight, RefreshCw, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 12;
+
+// X.com downloads are labelled by account; other sources by the site they came from
+const sourceLabel = (metadata) => metadata.tweet_id ? `@${metadata.username}` : (metadata.site || metadata.username);
+
+// Height of the first video as shown, e.g. 720p; downloads from before stream probing have none
+const resolution = (entry) => {
+  const stream = entry.videos?.[0]?.streams?.video?.[0];
+  return stream?.display_height ? `${stream.display_height}p` : null;
+};
+
+export default function VideoLibrary({ refreshKey, activeId, onOpen, onDeleted }) {
+  const [videos, setVideos] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [order, setOrder] = useState('desc');
+  const [username, setUsername] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadVideos();
+  }, [page, order, refreshKey]);
+
+  const loadVideos = async () => {
+    setLoading(true);
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE, order, username });
+    const response = await fetch(`/api/video-download/videos?${params}`);
+    const data = await response.json();
+
+    if (data.success) {
+      setVideos(data.videos);
+      setPages(data.pages);
+      setTotal(data.total);
+    }
+    setLoading(false);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page === 1) {
+      loadVideos();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const handleDelete = async (video) => {
+    if (!confirm(`Delete the download from ${sourceLabel(video.metadata)}? This removes the video and all frames.`)) {
+      return;
+    }
+
+    const response = await fetch(`/api/video-download/videos/${encodeURIComponent(video.id)}`, { method: 'DELETE' });
+    const data = await response.json();
+
+    if (data.success) {
+      toast.success('Download deleted');
+      onDeleted?.(video.id);
+      loadVideos();
+    } else {
+      toast.error(data.error || 'Failed to delete download');
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div className="flex items-center gap-2">
+          <Library size={20} className="text-primary" />
+          <h2 className="text-lg font-semibold text-text-primary">Library</h2>
+          <span className="text-sm text-secondary">({total})</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <form onSubmit={handleSearch} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Filter by username or site"
+              className="form-input w-48"
+            />
+            <button type="submit" className="btn btn-ghost p-2" title="Filter">
+              <Search size={16} />
+            </button>
+          </form>
+          <select value={order} onChange={(e) => setOrder(e.target.value)} className="form-select">
+            <option value="desc">Newest first</option>
+            <option value="asc">Oldest first</option>
+          </select>
+          <button onClick={loadVideos} className="btn btn-ghost p-2" title="Refresh library">
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      {!loading && videos.length === 0 && (
+        <p className="text-sm text-secondary">
+          {username ? `No downloads from @${username.replace(/^@/, '')}.` : 'No downloads yet.'}
+        </p>
+      )}
+
+      {videos.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {videos.map(video => (
+            <div
+              key={video.id}
+              className={`rounded-lg overflow-hidden border transition-colors ${
+                video.id === activeId ? 'border-primary' : 'border-border hover:border-primary'
+              }`}
+            >
+              <button onClick={() => onOpen(video)} className="block w-full text-left">
+                <div className="aspect-video bg-surface-alt flex items-center justify-center">
+                  {video.frameUrls.length > 0 || video.photos?.length > 0 ? (
+                    <img src={video.frameUrls[0] || video.photos[0].url} alt={sourceLabel(video.metadata)} className="w-full h-full object-cover" />
+                  ) : (
+                    <Video size={32} className="text-tertiary" />
+                  )}
+                </div>
+              </button>
+              <div className="p-3 bg-surface flex items-start justify-between gap-2">
+                <button onClick={() => onOpen(video)} className="text-left min-w-0">
+                  <p className="font-mono text-sm text-text-primary truncate">{sourceLabel(video.metadata)}</p>
+                  <p className="text-xs text-secondary">
+                    {video.metadata.media_type === 'photo'
+                      ? `${video.metadata.photo_count} photos · ${video.metadata.file_size_mb} MB`
+                      : [
+                        resolution(video),
+                        `${video.metadata.duration_seconds}s`,
+                        `${video.metadata.file_size_mb} MB`,
+                        `${video.metadata.frame_count} frames`
+                      ].filter(Boolean).join(' · ')}
+                  </p>
+                  <p className="text-xs text-tertiary">{new Date(video.metadata.downloaded_at).toLocaleString()}</p>
+                </button>
+                <button onClick={() => handleDelete(video)} className="btn btn-ghost p-2 text-error" title="Delete download">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-ghost p-2">
+            <ChevronLeft size={16} />
+          </button>
+          <span className="text-sm text-secondary">Page {page} of {pages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pages} className="btn btn-ghost p-2">
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,21 +1,103 @@
-import { useState, useEffect } from 'react';
-import { Download, Video, Image as ImageIcon, AlertCircle, Globe, CheckCircle, XCircle, RefreshCw, ExternalLink } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { Download, AlertCircle, Globe, CheckCircle, XCircle, RefreshCw, ExternalLink, List, Search } from 'lucide-react';
 import toast from 'react-hot-toast';
+import VideoLibrary from '../components/VideoLibrary';
+import DownloadProgress from '../components/DownloadProgress';
+import BatchProgress from '../components/BatchProgress';
+import DownloadResult from '../components/DownloadResult';
+import StorageUsage from '../components/StorageUsage';
+
+const QUALITY_PRESETS = [
+  ['best', 'Best'],
+  ['1080p', 'Up to 1080p'],
+  ['720p', 'Up to 720p'],
+  ['480p', 'Up to 480p'],
+  ['360p', 'Up to 360p'],
+  ['worst', 'Smallest'],
+  ['audio', 'Audio only']
+];
+
+const formatBitrate = (bps) => bps ? `${Math.round(bps / 1000)} kbps` : '';
 
 export default function VideoDownloadPage() {
   const [url, setUrl] = useState('https://x.com/ClawedCode/status/1989594664685752738');
   const [frameCount, setFrameCount] = useState(5);
   const [extractAllFrames, setExtractAllFrames] = useState(false);
+  const [sceneMode, setSceneMode] = useState(false);
+  const [sceneThreshold, setSceneThreshold] = useState(0.3);
+  const [sceneMinFrames, setSceneMinFrames] = useState(1);
+  const [sceneMaxFrames, setSceneMaxFrames] = useState(20);
+  const [frameFormat, setFrameFormat] = useState('jpg');
+  const [frameMaxWidth, setFrameMaxWidth] = useState('');
+  const [frameMaxHeight, setFrameMaxHeight] = useState('');
+  const [frameQuality, setFrameQuality] = useState(100);
+  const [frameGrayscale, setFrameGrayscale] = useState(false);
+  const [dedupe, setDedupe] = useState(false);
+  const [dedupeDistance, setDedupeDistance] = useState(5);
+  const [allVideos, setAllVideos] = useState(false);
+  const [savePhotos, setSavePhotos] = useState(false);
+  const [extractAudio, setExtractAudio] = useState(false);
+  const [transcribe, setTranscribe] = useState(false);
+  const [transcriber, setTranscriber] = useState(null);
+  const [contactSheets, setContactSheets] = useState(false);
+  const [sheetColumns, setSheetColumns] = useState(4);
+  const [sheetRows, setSheetRows] = useState(4);
+  const [sheetCellWidth, setSheetCellWidth] = useState(320);
+  const [quality, setQuality] = useState('best');
+  const [probe, setProbe] = useState(null);
+  const [probing, setProbing] = useState(false);
   const [downloading, setDownloading] = useState(false);
   const [result, setResult] = useState(null);
   const [browsers, setBrowsers] = useState([]);
   const [selectedBrowser, setSelectedBrowser] = useState('');
   const [loadingBrowsers, setLoadingBrowsers] = useState(true);
+  const [libraryRefreshKey, setLibraryRefreshKey] = useState(0);
+  const [storageRefreshKey, setStorageRefreshKey] = useState(0);
+  const [job, setJob] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchUrls, setBatchUrls] = useState('');
+  const [concurrency, setConcurrency] = useState(2);
+  const [batch, setBatch] = useState(null);
+  const [extractors, setExtractors] = useState([]);
+  const jobEventsRef = useRef(null);
 
   useEffect(() => {
     loadBrowsers();
+    loadExtractors();
+    loadTranscriber();
+    return () => jobEventsRef.current?.close();
   }, []);
 
+  // The server decides which URLs it can download; keep its patterns as RegExps
+  const loadExtractors = async () => {
+    const response = await fetch('/api/video-download/extractors');
+    const data = await response.json().catch(() => ({}));
+
+    if (data.success) {
+      setExtractors(data.extractors.map(extractor => ({
+        ...extractor,
+        patterns: extractor.patterns.map(p => ({ ...p, regex: new RegExp(p.source, p.flags) }))
+      })));
+    }
+  };
+
+  // Transcription is only offered when the server has a transcriber configured
+  const loadTranscriber = async () => {
+    const response = await fetch('/api/video-download/transcriber');
+    const data = await response.json().catch(() => ({}));
+
+    if (data.success && data.available) {
+      setTranscriber(data.transcriber);
+    }
+  };
+
+  // Until the patterns have loaded, leave validation to the server
+  const isSupportedUrl = (value) => extractors.length === 0 ||
+    extractors.some(extractor => extractor.patterns.some(p => p.regex.test(value)));
+
+  const supportedSources = extractors.flatMap(extractor => extractor.patterns.map(p => p.description)).join(', ');
+
   const loadBrowsers = async () => {
     setLoadingBrowsers(true);
     const response = await fetch('/api/browsers');
@@ -32,9 +114,31 @@ export default function VideoDownloadPage() {
     setLoadingBrowsers(false);
   };
 
-  const handleDownload = async () => {
-    if (!url.trim()) {
-      toast.error('Please enter an X.com URL');
+  // Frame options shared by single and batch requests
+  const frameRequest = () => ({
+    ...(sceneMode
+      ? { frameMode: 'scene', scene: { threshold: sceneThreshold, minFrames: sceneMinFrames, maxFrames: sceneMaxFrames } }
+      : { frameMode: 'count', frameCount: extractAllFrames ? 'all' : frameCount }),
+    frameOutput: {
+      format: frameFormat,
+      maxWidth: frameMaxWidth || null,
+      maxHeight: frameMaxHeight || null,
+      // PNG is lossless
+      ...(frameFormat !== 'png' && { quality: frameQuality }),
+      grayscale: frameGrayscale
+    },
+    dedupe: dedupe && { maxDistance: dedupeDistance }
+  });
+
+  // Blank means no limit
+  const toMaxSize = (value) => (value === '' ? '' : Math.min(7680, Math.max(16, parseInt(value) || 16)));
+
+  const contactSheetRequest = () => contactSheets && { columns: sheetColumns, rows: sheetRows, cellWidth: sheetCellWidth };
+
+  // `force` downloads again even when the post is already in the library
+  const handleDownload = async ({ force = false, targetUrl = url } = {}) => {
+    if (!targetUrl.trim()) {
+      toast.error('Please enter a video URL');
       return;
     }
 
@@ -43,38 +147,256 @@ export default function VideoDownloadPage() {
       return;
     }
 
-    if (!url.match(/x\.com\/[^/]+\/status\/\d+/)) {
-      toast.error('Invalid X.com URL format');
+    if (!isSupportedUrl(targetUrl)) {
+      toast.error('Unsupported URL');
       return;
     }
 
     setDownloading(true);
     setResult(null);
+    setJob(null);
+    setBatch(null);
 
     const response = await fetch('/api/video-download/download', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        url,
+        url: targetUrl,
         browserId: selectedBrowser,
-        frameCount: extractAllFrames ? 'all' : frameCount
+        ...frameRequest(),
+        allVideos,
+        photos: savePhotos,
+        extractAudio,
+        transcribe,
+        contactSheets: contactSheetRequest(),
+        quality,
+        force
       })
     });
 
     const data = await response.json();
-    setDownloading(false);
 
     if (data.success) {
-      setResult(data);
-      toast.success('Video downloaded successfully');
+      watchJob(data.jobId);
     } else {
+      setDownloading(false);
       toast.error(data.error || 'Failed to download video');
     }
   };
 
+  // List the variants actually available for the current URL so one can be picked by ID
+  const handleProbe = async () => {
+    if (!isSupportedUrl(url)) {
+      toast.error('Unsupported URL');
+      return;
+    }
+
+    if (!selectedBrowser) {
+      toast.error('Please select a browser profile');
+      return;
+    }
+
+    setProbing(true);
+    setProbe(null);
+
+    const response = await fetch('/api/video-download/probe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, browserId: selectedBrowser })
+    });
+
+    const data = await response.json();
+    setProbing(false);
+
+    if (data.success) {
+      setProbe(data);
+      const [first] = data.videos;
+      toast.success(`Found ${first ? first.variants.length : 0} quality variants`);
+    } else {
+      toast.error(data.error || 'Failed to probe video');
+    }
+  };
+
+  const handleUrlChange = (value) => {
+    setUrl(value);
+    // Probed variant IDs belong to one post, so drop them when the URL changes
+    if (probe) {
+      setProbe(null);
+      if (!QUALITY_PRESETS.some(([preset]) => preset === quality)) {
+        setQuality('best');
+      }
+    }
+  };
+
+  // Follow a download job's progress stream until it finishes
+  const watchJob = (jobId) => {
+    jobEventsRef.current?.close();
+    const events = new EventSource(`/api/video-download/jobs/${jobId}/events`);
+    jobEventsRef.current = events;
+
+    events.onmessage = (e) => {
+      const update = JSON.parse(e.data);
+      setJob(update);
+
+      if (update.status === 'queued' || update.status === 'running') return;
+
+      events.close();
+      setDownloading(false);
+      setCancelling(false);
+
+      if (update.status === 'completed') {
+        setResult(update.result);
+        setLibraryRefreshKey(k => k + 1);
+        setStorageRefreshKey(k => k + 1);
+        if (update.result?.reused) {
+          toast.success(update.result.framesRefreshed ? 'Already downloaded, frames re-extracted' : 'Already downloaded');
+        } else {
+          toast.success('Video downloaded successfully');
+        }
+      } else if (update.status === 'cancelled') {
+        toast('Download cancelled');
+      } else {
+        toast.error(update.error || 'Failed to download video');
+      }
+    };
+
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        setDownloading(false);
+        toast.error('Lost connection to download progress');
+      }
+    };
+  };
+
+  const parseBatchUrls = () => batchUrls.split(/\s+/).map(u => u.trim()).filter(Boolean);
+
+  const handleBatchDownload = async () => {
+    const urls = parseBatchUrls();
+    if (urls.length === 0) {
+      toast.error('Please enter at least one video URL');
+      return;
+    }
+
+    if (!selectedBrowser) {
+      toast.error('Please select a browser profile');
+      return;
+    }
+
+    setDownloading(true);
+    setResult(null);
+    setJob(null);
+    setBatch(null);
+
+    const response = await fetch('/api/video-download/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        urls,
+        browserId: selectedBrowser,
+        ...frameRequest(),
+        allVideos,
+        photos: savePhotos,
+        extractAudio,
+        transcribe,
+        contactSheets: contactSheetRequest(),
+        quality,
+        concurrency
+      })
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      setBatch(data.batch);
+      watchBatch(data.batchId);
+    } else {
+      setDownloading(false);
+      toast.error(data.error || 'Failed to start batch');
+    }
+  };
+
+  // Follow a batch's progress stream until every URL has a result
+  const watchBatch = (batchId) => {
+    jobEventsRef.current?.close();
+    const events = new EventSource(`/api/video-download/batches/${batchId}/events`);
+    jobEventsRef.current = events;
+
+    events.onmessage = (e) => {
+      const update = JSON.parse(e.data);
+      setBatch(update);
+
+      if (update.status !== 'finished') return;
+
+      events.close();
+      setDownloading(false);
+      setCancelling(false);
+      setLibraryRefreshKey(k => k + 1);
+      setStorageRefreshKey(k => k + 1);
+
+      const { completed, total } = update.summary;
+      if (completed === total) {
+        toast.success(`Downloaded ${completed} videos`);
+      } else {
+        toast(`Batch finished: ${completed} of ${total} downloaded`);
+      }
+    };
+
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        setDownloading(false);
+        toast.error('Lost connection to batch progress');
+      }
+    };
+  };
+
+  const handleCancelBatch = async () => {
+    setCancelling(true);
+
+    const response = await fetch(`/api/video-download/batches/${batch.id}/cancel`, { method: 'POST' });
+    const data = await response.json();
+
+    if (!data.success) {
+      setCancelling(false);
+      toast.error(data.error || 'Failed to cancel batch');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!job) return;
+    setCancelling(true);
+
+    const response = await fetch(`/api/video-download/jobs/${job.id}/cancel`, { method: 'POST' });
+    const data = await response.json();
+
+    // The progress stream reports the final state; only surface failures here
+    if (!data.success) {
+      setCancelling(false);
+      toast.error(data.error || 'Failed to cancel download');
+    }
+  };
+
   const handleClear = () => {
     setUrl('');
     setResult(null);
+    setBatch(null);
+  };
+
+  // Fetch a post again from scratch, replacing the copy in the library
+  const handleRedownload = (targetUrl) => {
+    setUrl(targetUrl);
+    handleDownload({ force: true, targetUrl });
+  };
+
+  const handleOpenFromLibrary = (video) => {
+    setResult(video);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleLibraryDeleted = (id) => {
+    setStorageRefreshKey(k => k + 1);
+    if (result?.id === id) {
+      setResult(null);
+    }
   };
 
   const authenticatedBrowsers = browsers.filter(b => b.authenticated);
@@ -88,12 +410,15 @@ export default function VideoDownloadPage() {
           <Download className="w-8 h-8 text-primary" />
           <div>
             <h1 className="text-2xl font-bold text-text-primary">Video Download</h1>
-            <p className="text-secondary text-sm">Download videos from X.com with automatic frame extraction</p>
+            <p className="text-secondary text-sm">Download videos from X.com and other sites with automatic frame extraction</p>
           </div>
         </div>
-        <button onClick={loadBrowsers} className="btn btn-ghost p-2" title="Refresh browsers">
-          <RefreshCw size={18} className={loadingBrowsers ? 'animate-spin' : ''} />
-        </button>
+        <div className="flex items-center gap-4">
+          <StorageUsage refreshKey={storageRefreshKey} />
+          <button onClick={loadBrowsers} className="btn btn-ghost p-2" title="Refresh browsers">
+            <RefreshCw size={18} className={loadingBrowsers ? 'animate-spin' : ''} />
+          </button>
+        </div>
       </div>
 
       {/* No Browser Profiles Warning */}
@@ -164,36 +489,112 @@ export default function VideoDownloadPage() {
           )}
         </div>
 
+        {/* Mode Toggle */}
+        <div className="flex gap-2">
+          <button
+            onClick={() => setBatchMode(false)}
+            disabled={downloading}
+            className={`btn btn-sm flex items-center gap-2 ${batchMode ? 'btn-ghost' : 'btn-secondary'}`}
+          >
+            <Download size={14} />
+            Single
+          </button>
+          <button
+            onClick={() => setBatchMode(true)}
+            disabled={downloading}
+            className={`btn btn-sm flex items-center gap-2 ${batchMode ? 'btn-secondary' : 'btn-ghost'}`}
+          >
+            <List size={14} />
+            Batch
+          </button>
+        </div>
+
         {/* URL Input */}
-        <div>
-          <label className="block text-sm font-medium text-secondary mb-2">
-            X.com Post URL
-          </label>
-          <div className="flex gap-3">
-            <input
-              type="text"
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              placeholder="https://x.com/username/status/1234567890"
-              className="form-input flex-1"
-              disabled={downloading || !hasAuthenticatedBrowser}
-              onKeyPress={(e) => e.key === 'Enter' && handleDownload()}
-            />
-            <button
-              onClick={handleDownload}
-              disabled={downloading || !url.trim() || !selectedBrowser}
-              className="btn btn-primary flex items-center gap-2"
-            >
-              <Download size={18} />
-              {downloading ? 'Downloading...' : 'Download'}
-            </button>
-            {result && (
-              <button onClick={handleClear} className="btn btn-secondary">
-                Clear
+        {!batchMode && (
+          <div>
+            <label className="block text-sm font-medium text-secondary mb-2">
+              Video URL
+            </label>
+            <div className="flex gap-3">
+              <input
+                type="text"
+                value={url}
+                onChange={(e) => handleUrlChange(e.target.value)}
+                placeholder="https://x.com/username/status/1234567890"
+                className="form-input flex-1"
+                disabled={downloading || !hasAuthenticatedBrowser}
+                onKeyPress={(e) => e.key === 'Enter' && handleDownload()}
+              />
+              <button
+                onClick={() => handleDownload()}
+                disabled={downloading || !url.trim() || !selectedBrowser}
+                className="btn btn-primary flex items-center gap-2"
+              >
+                <Download size={18} />
+                {downloading ? 'Downloading...' : 'Download'}
               </button>
+              {(result || batch) && (
+                <button onClick={handleClear} className="btn btn-secondary">
+                  Clear
+                </button>
+              )}
+            </div>
+            {supportedSources && (
+              <p className="text-xs text-tertiary mt-2">Supported: {supportedSources}</p>
             )}
           </div>
-        </div>
+        )}
+
+        {/* Batch URL Input */}
+        {batchMode && (
+          <div>
+            <label className="block text-sm font-medium text-secondary mb-2">
+              Video URLs (one per line)
+            </label>
+            <textarea
+              value={batchUrls}
+              onChange={(e) => setBatchUrls(e.target.value)}
+              placeholder={'https://x.com/username/status/1234567890\nhttps://x.com/username/status/1234567891'}
+              className="form-input w-full font-mono text-sm"
+              rows={6}
+              disabled={downloading || !hasAuthenticatedBrowser}
+            />
+            <div className="flex items-center justify-between gap-3 mt-2">
+              <div className="flex items-center gap-4">
+                <span className="text-xs text-tertiary">
+                  {parseBatchUrls().length} URLs · {parseBatchUrls().filter(u => !isSupportedUrl(u)).length} unsupported
+                </span>
+                <div className="flex items-center gap-2">
+                  <label className="text-sm text-secondary">Parallel:</label>
+                  <input
+                    type="number"
+                    value={concurrency}
+                    onChange={(e) => setConcurrency(Math.min(8, Math.max(1, parseInt(e.target.value) || 1)))}
+                    disabled={downloading || !hasAuthenticatedBrowser}
+                    className="form-input w-16 text-center"
+                    min="1"
+                    max="8"
+                  />
+                </div>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={handleBatchDownload}
+                  disabled={downloading || parseBatchUrls().length === 0 || !selectedBrowser}
+                  className="btn btn-primary flex items-center gap-2"
+                >
+                  <Download size={18} />
+                  {downloading ? 'Downloading...' : 'Download All'}
+                </button>
+                {(result || batch) && (
+                  <button onClick={handleClear} className="btn btn-secondary">
+                    Clear
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
 
         {/* Frame Extraction Options */}
         <div className="space-y-3">
@@ -204,7 +605,7 @@ export default function VideoDownloadPage() {
                 type="number"
                 value={frameCount}
                 onChange={(e) => setFrameCount(Math.max(0, parseInt(e.target.value) || 0))}
-                disabled={downloading || !hasAuthenticatedBrowser || extractAllFrames}
+                disabled={downloading || !hasAuthenticatedBrowser || extractAllFrames || sceneMode}
                 className="form-input w-20 text-center"
                 min="0"
               />
@@ -214,145 +615,322 @@ export default function VideoDownloadPage() {
                 type="checkbox"
                 checked={extractAllFrames}
                 onChange={(e) => setExtractAllFrames(e.target.checked)}
-                disabled={downloading || !hasAuthenticatedBrowser}
+                disabled={downloading || !hasAuthenticatedBrowser || sceneMode}
                 className="form-checkbox"
               />
               <span className="text-sm text-secondary">Extract all frames</span>
             </label>
+            <label className="flex items-center gap-2 cursor-pointer" title="Take frames where the picture changes instead of at even intervals">
+              <input
+                type="checkbox"
+                checked={sceneMode}
+                onChange={(e) => setSceneMode(e.target.checked)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-checkbox"
+              />
+              <span className="text-sm text-secondary">At scene changes</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer" title="Save each video of a multi-video post as video_1.mp4, video_2.mp4, ...">
+              <input
+                type="checkbox"
+                checked={allVideos}
+                onChange={(e) => setAllVideos(e.target.checked)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-checkbox"
+              />
+              <span className="text-sm text-secondary">All videos in post</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer" title="Also save the post's images at original resolution; photo-only posts need this">
+              <input
+                type="checkbox"
+                checked={savePhotos}
+                onChange={(e) => setSavePhotos(e.target.checked)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-checkbox"
+              />
+              <span className="text-sm text-secondary">Save photos</span>
+            </label>
+            <label className="flex items-center gap-2" title="Save each video's audio track next to its frames">
+              <span className="text-sm text-secondary">Audio:</span>
+              <select
+                value={extractAudio || ''}
+                onChange={(e) => setExtractAudio(e.target.value || false)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-select text-sm py-1"
+              >
+                <option value="">Don't save</option>
+                <option value="m4a">M4A (original)</option>
+                <option value="wav">WAV (16 kHz mono)</option>
+              </select>
+            </label>
+            {transcriber && (
+              <label className="flex items-center gap-2 cursor-pointer" title={`Transcribe speech locally with ${transcriber.label}`}>
+                <input
+                  type="checkbox"
+                  checked={transcribe}
+                  onChange={(e) => setTranscribe(e.target.checked)}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-checkbox"
+                />
+                <span className="text-sm text-secondary">Transcribe</span>
+              </label>
+            )}
+            <label className="flex items-center gap-2 cursor-pointer" title="Tile the frames into contact sheets and build a storyboard for seek previews">
+              <input
+                type="checkbox"
+                checked={contactSheets}
+                onChange={(e) => setContactSheets(e.target.checked)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-checkbox"
+              />
+              <span className="text-sm text-secondary">Contact sheets</span>
+            </label>
           </div>
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-2" title="Image format of the extracted frames">
+              <span className="text-sm text-secondary">Format:</span>
+              <select
+                value={frameFormat}
+                onChange={(e) => setFrameFormat(e.target.value)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-select text-sm py-1"
+              >
+                <option value="jpg">JPEG</option>
+                <option value="png">PNG (lossless)</option>
+                <option value="webp">WebP</option>
+              </select>
+            </label>
+            <div className="flex items-center gap-2" title="Frames larger than this are scaled down, keeping their aspect ratio; leave blank for full size">
+              <label className="text-sm text-secondary">Max size:</label>
+              <input
+                type="number"
+                value={frameMaxWidth}
+                onChange={(e) => setFrameMaxWidth(toMaxSize(e.target.value))}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-input w-20 text-center"
+                placeholder="Width"
+                min="16"
+                max="7680"
+              />
+              <span className="text-sm text-tertiary">×</span>
+              <input
+                type="number"
+                value={frameMaxHeight}
+                onChange={(e) => setFrameMaxHeight(toMaxSize(e.target.value))}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-input w-20 text-center"
+                placeholder="Height"
+                min="16"
+                max="7680"
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-secondary">Quality:</label>
+              <input
+                type="number"
+                value={frameQuality}
+                onChange={(e) => setFrameQuality(Math.min(100, Math.max(1, parseInt(e.target.value) || 1)))}
+                disabled={downloading || !hasAuthenticatedBrowser || frameFormat === 'png'}
+                className="form-input w-16 text-center"
+                min="1"
+                max="100"
+              />
+            </div>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={frameGrayscale}
+                onChange={(e) => setFrameGrayscale(e.target.checked)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-checkbox"
+              />
+              <span className="text-sm text-secondary">Grayscale</span>
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer" title="Drop frames that look like the previous kept frame, such as repeats of a static slide">
+              <input
+                type="checkbox"
+                checked={dedupe}
+                onChange={(e) => setDedupe(e.target.checked)}
+                disabled={downloading || !hasAuthenticatedBrowser}
+                className="form-checkbox"
+              />
+              <span className="text-sm text-secondary">Drop duplicates</span>
+            </label>
+            {dedupe && (
+              <div className="flex items-center gap-2" title="How many of the 64 hash bits may differ for a frame to count as a duplicate; 0 drops only identical-looking frames">
+                <label className="text-sm text-secondary">Max distance:</label>
+                <input
+                  type="number"
+                  value={dedupeDistance}
+                  onChange={(e) => setDedupeDistance(Math.min(32, Math.max(0, parseInt(e.target.value) || 0)))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-16 text-center"
+                  min="0"
+                  max="32"
+                />
+              </div>
+            )}
+          </div>
+          {contactSheets && (
+            <div className="flex items-center gap-4">
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-secondary">Grid:</label>
+                <input
+                  type="number"
+                  value={sheetColumns}
+                  onChange={(e) => setSheetColumns(Math.min(10, Math.max(1, parseInt(e.target.value) || 1)))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-16 text-center"
+                  min="1"
+                  max="10"
+                />
+                <span className="text-sm text-tertiary">×</span>
+                <input
+                  type="number"
+                  value={sheetRows}
+                  onChange={(e) => setSheetRows(Math.min(10, Math.max(1, parseInt(e.target.value) || 1)))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-16 text-center"
+                  min="1"
+                  max="10"
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-secondary">Cell width:</label>
+                <input
+                  type="number"
+                  value={sheetCellWidth}
+                  onChange={(e) => setSheetCellWidth(Math.min(1280, Math.max(64, parseInt(e.target.value) || 320)))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-20 text-center"
+                  min="64"
+                  max="1280"
+                  step="32"
+                />
+              </div>
+            </div>
+          )}
+          {sceneMode && (
+            <div className="flex items-center gap-4">
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-secondary">Threshold:</label>
+                <input
+                  type="number"
+                  value={sceneThreshold}
+                  onChange={(e) => setSceneThreshold(Math.min(0.99, Math.max(0.01, parseFloat(e.target.value) || 0.3)))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-20 text-center"
+                  min="0.01"
+                  max="0.99"
+                  step="0.05"
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-secondary">Min:</label>
+                <input
+                  type="number"
+                  value={sceneMinFrames}
+                  onChange={(e) => setSceneMinFrames(Math.max(0, parseInt(e.target.value) || 0))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-16 text-center"
+                  min="0"
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-secondary">Max:</label>
+                <input
+                  type="number"
+                  value={sceneMaxFrames}
+                  onChange={(e) => setSceneMaxFrames(Math.max(1, parseInt(e.target.value) || 1))}
+                  disabled={downloading || !hasAuthenticatedBrowser}
+                  className="form-input w-16 text-center"
+                  min="1"
+                />
+              </div>
+            </div>
+          )}
           <p className="text-xs text-tertiary">
-            {extractAllFrames
-              ? 'Warning: Extracts every frame from the video. This can create many files.'
-              : frameCount > 0
-                ? `Extracts ${frameCount} frames evenly distributed across the video.`
-                : 'Frame extraction disabled.'}
+            {sceneMode
+              ? `Extracts ${sceneMinFrames}-${sceneMaxFrames} frames where the scene changes. A lower threshold catches smaller changes.`
+              : extractAllFrames
+                ? 'Warning: Extracts every frame from the video. This can create many files.'
+                : frameCount > 0
+                  ? `Extracts ${frameCount} frames evenly distributed across the video.`
+                  : 'Frame extraction disabled.'}
           </p>
         </div>
 
+        {/* Quality */}
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-secondary">Quality:</label>
+          <select
+            value={quality}
+            onChange={(e) => setQuality(e.target.value)}
+            disabled={downloading || !hasAuthenticatedBrowser}
+            className="form-select"
+          >
+            {QUALITY_PRESETS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+            {probe?.videos[0] && (
+              <optgroup label="Available in this post">
+                {probe.videos[0].variants.map(v => (
+                  <option key={v.id} value={v.id}>
+                    {v.height ? `${v.width}x${v.height}` : 'Unknown size'} {formatBitrate(v.bandwidth)}
+                  </option>
+                ))}
+                {probe.videos[0].audio.map(a => (
+                  <option key={a.id} value={a.id}>Audio {formatBitrate(a.bandwidth)}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {!batchMode && (
+            <button
+              onClick={handleProbe}
+              disabled={downloading || probing || !url.trim() || !selectedBrowser}
+              className="btn btn-ghost btn-sm flex items-center gap-1"
+              title="List the quality variants available for this post"
+            >
+              <Search size={14} className={probing ? 'animate-pulse' : ''} />
+              {probing ? 'Probing...' : 'Probe'}
+            </button>
+          )}
+        </div>
+
         <p className="text-xs text-tertiary">
-          Downloads video using browser automation. {(frameCount > 0 || extractAllFrames) && 'Requires ffmpeg.'}
+          Downloads video using browser automation. {(frameCount > 0 || extractAllFrames || sceneMode) && 'Requires ffmpeg.'}
         </p>
       </div>
 
-      {/* Loading State */}
-      {downloading && (
-        <div className="card flex items-center justify-center py-8">
-          <div className="flex flex-col items-center gap-3">
-            <RefreshCw size={32} className="text-primary animate-spin" />
-            <p className="text-secondary">Downloading video and extracting frames...</p>
-          </div>
-        </div>
+      {/* Progress */}
+      {downloading && !batch && <DownloadProgress job={job} onCancel={handleCancel} cancelling={cancelling} />}
+
+      {/* Batch Progress */}
+      {batch && (
+        <BatchProgress
+          batch={batch}
+          onOpen={handleOpenFromLibrary}
+          onCancel={handleCancelBatch}
+          cancelling={cancelling}
+        />
       )}
 
       {/* Results */}
       {result && (
-        <div className="space-y-6">
-          {/* Video Info */}
-          <div className="card border-success">
-            <div className="flex items-start gap-3 mb-4">
-              <Video size={24} className="text-success" />
-              <div className="flex-1">
-                <h3 className="text-lg font-semibold text-text-primary">
-                  Video Downloaded Successfully
-                </h3>
-                <div className="grid grid-cols-2 gap-4 text-sm mt-3">
-                  <div>
-                    <span className="text-secondary">Username:</span>
-                    <span className="ml-2 font-mono text-text-primary">@{result.metadata?.username}</span>
-                  </div>
-                  <div>
-                    <span className="text-secondary">Tweet ID:</span>
-                    <span className="ml-2 font-mono text-text-primary">{result.metadata?.tweet_id}</span>
-                  </div>
-                  <div>
-                    <span className="text-secondary">Duration:</span>
-                    <span className="ml-2 text-text-primary">{result.metadata?.duration_seconds}s</span>
-                  </div>
-                  <div>
-                    <span className="text-secondary">Size:</span>
-                    <span className="ml-2 text-text-primary">{result.metadata?.file_size_mb} MB</span>
-                  </div>
-                  <div>
-                    <span className="text-secondary">Frames:</span>
-                    <span className="ml-2 text-text-primary">{result.metadata?.frame_count} extracted</span>
-                  </div>
-                  <div>
-                    <span className="text-secondary">Downloaded:</span>
-                    <span className="ml-2 text-xs text-text-primary">
-                      {new Date(result.metadata?.downloaded_at).toLocaleString()}
-                    </span>
-                  </div>
-                </div>
-              </div>
-            </div>
-
-            <div className="pt-4 border-t border-border">
-              <p className="text-sm text-secondary mb-2">File Path:</p>
-              <code className="block px-3 py-2 rounded text-xs font-mono bg-surface-alt text-text-primary">
-                {result.videoPath}
-              </code>
-            </div>
-          </div>
-
-          {/* Video Player */}
-          <div className="card">
-            <div className="flex items-center gap-2 mb-4">
-              <Video size={20} className="text-primary" />
-              <h3 className="text-lg font-semibold text-text-primary">Video Preview</h3>
-            </div>
-            <video
-              src={result.videoUrl}
-              controls
-              className="w-full rounded-lg bg-black"
-              style={{ maxHeight: '480px' }}
-            >
-              Your browser does not support the video tag.
-            </video>
-          </div>
-
-          {/* Extracted Frames */}
-          {result.frameUrls && result.frameUrls.length > 0 && (
-            <div className="card">
-              <div className="flex items-center gap-2 mb-4">
-                <ImageIcon size={20} className="text-primary" />
-                <h3 className="text-lg font-semibold text-text-primary">
-                  Extracted Frames ({result.frameUrls.length})
-                </h3>
-              </div>
-
-              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
-                {result.frameUrls.map((frameUrl, index) => (
-                  <a
-                    key={index}
-                    href={frameUrl}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="rounded-lg overflow-hidden border border-border hover:border-primary transition-colors group"
-                  >
-                    <div className="aspect-video bg-surface-alt">
-                      <img
-                        src={frameUrl}
-                        alt={`Frame ${index + 1}`}
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                    <div className="p-2 text-center text-xs bg-surface text-secondary group-hover:text-primary">
-                      Frame {index + 1}
-                    </div>
-                  </a>
-                ))}
-              </div>
-
-              <div className="mt-4 p-3 rounded-lg bg-info/10 flex items-start gap-2">
-                <AlertCircle size={16} className="text-info flex-shrink-0 mt-0.5" />
-                <p className="text-xs text-secondary">
-                  Click a frame to view full size. Frames are extracted at evenly distributed timestamps.
-                </p>
-              </div>
-            </div>
-          )}
-        </div>
+        <DownloadResult
+          result={result}
+          onRedownload={result.metadata?.url && !downloading ? () => handleRedownload(result.metadata.url) : null}
+        />
       )}
+
+      {/* Library */}
+      <VideoLibrary
+        refreshKey={libraryRefreshKey}
+        activeId={result?.id}
+        onOpen={handleOpenFromLibrary}
+        onDeleted={handleLibraryDeleted}
+      />
     </div>
   );
 }
@@ -1,9 +1,21 @@
 const path = require('path');
 const fs = require('fs');
 const VideoDownloader = require('./services/video-downloader');
+const VideoLibrary = require('./services/video-library');
+const DownloadJobs = require('./services/download-jobs');
+const LlmBundle = require('./services/llm-bundle');
+const StorageManager = require('./services/storage-manager');
+const ClipExporter = require('./services/clip-exporter');
+const { isValidQuality } = require('./services/hls-playlist');
+const { createTranscriber } = require('./services/transcribers');
+const { withMetadataLock } = require('./services/metadata-lock');
+
+const MAX_BATCH_URLS = 200;
+// `extractAudio` values: off, on (m4a), or an explicit format
+const AUDIO_OPTIONS = [false, true, 'm4a', 'wav'];
 
 module.exports = (app, config = {}) => {
-  const { mountPath = '/video-download', services = {} } = config;
+  const { mountPath = '/video-download', services = {}, httpDownload = {}, retention = {}, transcription = {}, verification = {} } = config;
   const PLUGIN_ROOT = path.join(__dirname, '..');
 
   // Use main app data directory (v2.0.0+) or fall back to legacy plugin location
@@ -26,13 +38,33 @@ module.exports = (app, config = {}) => {
   const ffmpegService = services.ffmpegService || null;
   const express = services.express || null;
 
-  // Pass ffmpegService to VideoDownloader for cross-platform ffmpeg support
-  const videoDownloader = new VideoDownloader(VIDEOS_DIR, ffmpegService);
+  // Pass ffmpegService to VideoDownloader for cross-platform ffmpeg support;
+  // httpDownload overrides the retry, timeout and HLS concurrency defaults of downloads,
+  // verification those of the checks run on each downloaded file
+  const transcriber = createTranscriber(transcription);
+  const videoDownloader = new VideoDownloader(VIDEOS_DIR, ffmpegService, httpDownload, transcriber, verification);
+  const videoLibrary = new VideoLibrary(VIDEOS_DIR);
+  const downloadJobs = new DownloadJobs();
+  const llmBundle = new LlmBundle(videoLibrary, videoDownloader);
+  const clipExporter = new ClipExporter(videoLibrary, videoDownloader);
+
+  // Whether a download into the library folder `id` is queued or running
+  const isDownloading = (id) => !!downloadJobs.findActive(job => job.type !== 'clip' && videoDownloader.extractors.resolve(job.url)?.source.folder === id);
+  // Whether a clip export job for library entry `id` is queued or running
+  const isExporting = (id) => !!downloadJobs.findActive(job => job.type === 'clip' && job.videoId === id);
+
+  // Retention leaves alone the folders of downloads and clip exports that are still queued or running
+  const storageManager = new StorageManager(VIDEOS_DIR, retention, { isBusy: id => isDownloading(id) || isExporting(id) });
+  storageManager.start();
 
   if (!browserService) {
     console.log('⚠️ [VideoDownload] Core browser service not available');
   }
 
+  if (transcriber) {
+    console.log(`📝 [VideoDownload] Transcription with ${transcriber.label}`);
+  }
+
   // Serve downloaded videos and frames as static files
   if (express) {
     app.use('/api/video-download/files', express.static(VIDEOS_DIR));
@@ -40,9 +72,203 @@ module.exports = (app, config = {}) => {
 
   console.log(`📹 Video Download Plugin mounted at ${mountPath}`);
 
+  // Check a browser profile exists and is authenticated; returns an error response body or null
+  const checkBrowser = async (browserId) => {
+    if (!browserService) {
+      return {
+        status: 500,
+        error: 'Browser service not available. Make sure void-server core is properly configured.'
+      };
+    }
+
+    const browserStatus = await browserService.getBrowserStatus(browserId);
+    if (!browserStatus.success) {
+      return { status: 404, error: 'Browser profile not found' };
+    }
+
+    if (!browserStatus.authenticated) {
+      return { status: 401, error: 'Browser profile not authenticated. Go to Browsers page to authenticate.' };
+    }
+
+    return null;
+  };
+
+  // Validate the frame mode options of a download request; returns an error message or null
+  const checkFrameOptions = ({ frameCount = 5, frameMode = 'count', scene = {}, frameOutput = {}, dedupe = false }) => {
+    if (frameCount !== 'all' && !(Number.isInteger(frameCount) && frameCount >= 0)) {
+      return 'frameCount must be a whole number of frames (0 for none) or "all"';
+    }
+
+    if (!['count', 'scene'].includes(frameMode)) {
+      return 'frameMode must be "count" or "scene"';
+    }
+
+    const { threshold, minFrames, maxFrames } = scene || {};
+    if (threshold !== undefined && !(typeof threshold === 'number' && threshold > 0 && threshold < 1)) {
+      return 'scene.threshold must be a number between 0 and 1';
+    }
+
+    for (const [name, value] of [['minFrames', minFrames], ['maxFrames', maxFrames]]) {
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= 500)) {
+        return `scene.${name} must be an integer between 0 and 500`;
+      }
+    }
+
+    if (minFrames !== undefined && maxFrames !== undefined && minFrames > maxFrames) {
+      return 'scene.minFrames cannot be greater than scene.maxFrames';
+    }
+
+    if (typeof frameOutput !== 'object' || Array.isArray(frameOutput)) {
+      return 'frameOutput must be an object';
+    }
+
+    const { format, maxWidth, maxHeight, quality, grayscale } = frameOutput || {};
+    if (format !== undefined && !['jpg', 'png', 'webp'].includes(format)) {
+      return 'frameOutput.format must be "jpg", "png" or "webp"';
+    }
+
+    for (const [name, value] of [['maxWidth', maxWidth], ['maxHeight', maxHeight]]) {
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 16 && value <= 7680)) {
+        return `frameOutput.${name} must be an integer between 16 and 7680`;
+      }
+    }
+
+    if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+      return 'frameOutput.quality must be an integer between 1 and 100';
+    }
+
+    if (grayscale !== undefined && typeof grayscale !== 'boolean') {
+      return 'frameOutput.grayscale must be true or false';
+    }
+
+    if (typeof dedupe !== 'boolean') {
+      if (!dedupe || typeof dedupe !== 'object' || Array.isArray(dedupe)) {
+        return 'dedupe must be true, false or an object';
+      }
+      const { maxDistance } = dedupe;
+      if (maxDistance !== undefined && !(Number.isInteger(maxDistance) && maxDistance >= 0 && maxDistance <= 32)) {
+        return 'dedupe.maxDistance must be an integer between 0 and 32';
+      }
+    }
+
+    return null;
+  };
+
+  // Validate contact sheet settings (true, false or `{ columns, rows, cellWidth }`); returns an error message or null.
+  // `prefix` is put before setting names in messages.
+  const checkContactSheetOptions = (value, prefix = 'contactSheets.') => {
+    if (typeof value === 'boolean') return null;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'contactSheets must be a boolean or an object';
+    }
+
+    // Each optional integer setting is [name, min, max]
+    for (const [name, min, max] of [['columns', 1, 10], ['rows', 1, 10], ['cellWidth', 64, 1280]]) {
+      const setting = value[name];
+      if (setting !== undefined && !(Number.isInteger(setting) && setting >= min && setting <= max)) {
+        return `${prefix}${name} must be an integer between ${min} and ${max}`;
+      }
+    }
+
+    return null;
+  };
+
+  // Queue a download in the background; progress is available from the jobs API
+  const startDownloadJob = (url, browserId, downloadOptions, options = {}) => {
+    const { batchId = null, concurrency } = options;
+
+    return downloadJobs.start({ url, browserId, ...downloadOptions, batchId }, async ({ onProgress, signal }) => {
+      const result = await videoDownloader.downloadVideo(url, browserService, browserId, { ...downloadOptions, onProgress, signal })
+        .catch((error) => {
+          console.log(signal.aborted ? `🛑 Video download cancelled: ${url}` : `❌ Video download failed: ${error.message}`);
+          throw error;
+        });
+      console.log(result.reused ? `♻️ Already downloaded: ${result.videoPath}` : `✅ Video download complete: ${result.videoPath}`);
+
+      // Build web-accessible URLs for video and frames from the library entry
+      const entry = await videoLibrary.get(result.id);
+      return entry && { ...entry, reused: !!result.reused, framesRefreshed: !!result.framesRefreshed };
+    }, { queue: browserId, concurrency });
+  };
+
+  // Stream snapshots emitted as `eventName` as Server-Sent Events until `isFinished` says stop
+  const streamEvents = (req, res, eventName, initial, isFinished) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (update) => {
+      res.write(`data: ${JSON.stringify(update)}\n\n`);
+      if (isFinished(update)) {
+        cleanup();
+        res.end();
+      }
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      downloadJobs.off(eventName, send);
+    };
+
+    req.on('close', cleanup);
+    downloadJobs.on(eventName, send);
+    send(initial);
+  };
+
+  // List the supported sources and their URL patterns, in the order they're tried
+  app.get('/api/video-download/extractors', (req, res) => {
+    res.json({ success: true, extractors: videoDownloader.extractors.list() });
+  });
+
+  // Say whether downloads can be transcribed, and with what
+  app.get('/api/video-download/transcriber', (req, res) => {
+    res.json({ success: true, available: !!transcriber, transcriber: transcriber ? transcriber.describe() : null });
+  });
+
+  // List the quality variants and audio renditions of a post's videos without downloading
+  app.post('/api/video-download/probe', async (req, res) => {
+    const { url, browserId, allVideos = false } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'URL is required' });
+    }
+
+    if (!browserId) {
+      return res.status(400).json({ success: false, error: 'Browser profile ID is required' });
+    }
+
+    if (!videoDownloader.extractors.resolve(url)) {
+      return res.status(400).json({ success: false, error: 'Unsupported URL' });
+    }
+
+    console.log(`📹 POST /api/video-download/probe url=${url} browser=${browserId}`);
+
+    const browserError = await checkBrowser(browserId);
+    if (browserError) {
+      return res.status(browserError.status).json({ success: false, error: browserError.error });
+    }
+
+    const probe = await videoDownloader.probeVideo(url, browserService, browserId, { allVideos: !!allVideos })
+      .catch((error) => {
+        console.log(`❌ Video probe failed: ${error.message}`);
+        return { error: error.message };
+      });
+
+    if (probe.error) {
+      return res.status(500).json({ success: false, error: probe.error });
+    }
+
+    res.json({ success: true, ...probe });
+  });
+
   // Download video using a browser profile from core
   app.post('/api/video-download/download', async (req, res) => {
-    const { url, browserId, frameCount = 5 } = req.body;
+    const { url, browserId, frameCount = 5, frameMode = 'count', scene = {}, frameOutput = {}, dedupe = false, allVideos = false, quality = 'best', photos = false, force = false, extractAudio = false, transcribe = false, contactSheets = false } = req.body;
 
     if (!url) {
       return res.status(400).json({ success: false, error: 'URL is required' });
@@ -52,54 +278,404 @@ module.exports = (app, config = {}) => {
       return res.status(400).json({ success: false, error: 'Browser profile ID is required' });
     }
 
-    if (!url.match(/x\.com\/[^/]+\/status\/\d+/)) {
-      return res.status(400).json({ success: false, error: 'Invalid X.com URL format' });
+    if (!videoDownloader.extractors.resolve(url)) {
+      return res.status(400).json({ success: false, error: 'Unsupported URL' });
     }
 
-    if (!browserService) {
-      return res.status(500).json({
-        success: false,
-        error: 'Browser service not available. Make sure void-server core is properly configured.'
-      });
+    if (!isValidQuality(quality)) {
+      return res.status(400).json({ success: false, error: 'Invalid quality' });
     }
 
-    console.log(`📹 POST /api/video-download/download url=${url} browser=${browserId} frameCount=${frameCount}`);
+    if (!AUDIO_OPTIONS.includes(extractAudio)) {
+      return res.status(400).json({ success: false, error: 'extractAudio must be true, false, "m4a" or "wav"' });
+    }
 
-    // Check browser profile exists and is authenticated
-    const browserStatus = await browserService.getBrowserStatus(browserId);
-    if (!browserStatus.success) {
-      return res.status(404).json({ success: false, error: 'Browser profile not found' });
+    if (transcribe && !transcriber) {
+      return res.status(400).json({ success: false, error: 'Transcription is not configured' });
     }
 
-    if (!browserStatus.authenticated) {
-      return res.status(401).json({
-        success: false,
-        error: 'Browser profile not authenticated. Go to Browsers page to authenticate.'
-      });
+    const frameError = checkFrameOptions({ frameCount, frameMode, scene, frameOutput, dedupe });
+    if (frameError) {
+      return res.status(400).json({ success: false, error: frameError });
+    }
+
+    const contactSheetError = checkContactSheetOptions(contactSheets);
+    if (contactSheetError) {
+      return res.status(400).json({ success: false, error: contactSheetError });
+    }
+
+    console.log(`📹 POST /api/video-download/download url=${url} browser=${browserId} frameCount=${frameCount} frameMode=${frameMode} frameFormat=${frameOutput?.format || 'jpg'} dedupe=${!!dedupe} allVideos=${allVideos} quality=${quality} photos=${photos} force=${force} extractAudio=${extractAudio} transcribe=${transcribe} contactSheets=${!!contactSheets}`);
+
+    const browserError = await checkBrowser(browserId);
+    if (browserError) {
+      return res.status(browserError.status).json({ success: false, error: browserError.error });
+    }
+
+    const job = startDownloadJob(url, browserId, { frameCount, frameMode, scene, frameOutput, dedupe, allVideos: !!allVideos, quality, photos: !!photos, force: !!force, extractAudio, transcribe: !!transcribe, contactSheets });
+
+    res.status(202).json({ success: true, jobId: job.id, job });
+  });
+
+  // Download a list of URLs, running `concurrency` at a time per browser profile
+  app.post('/api/video-download/batch', async (req, res) => {
+    const { browserId, frameCount = 5, frameMode = 'count', scene = {}, frameOutput = {}, dedupe = false, allVideos = false, quality = 'best', photos = false, force = false, extractAudio = false, transcribe = false, contactSheets = false, concurrency = 2 } = req.body;
+    const urls = typeof req.body.urls === 'string' ? req.body.urls.split(/\s+/) : req.body.urls;
+
+    if (!Array.isArray(urls) || urls.filter(u => typeof u === 'string' && u.trim()).length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one URL is required' });
+    }
+
+    if (urls.length > MAX_BATCH_URLS) {
+      return res.status(400).json({ success: false, error: `A batch can contain at most ${MAX_BATCH_URLS} URLs` });
     }
 
-    videoDownloader.downloadVideo(url, browserService, browserId, { frameCount }).then((result) => {
-      console.log(`✅ Video download complete: ${result.videoPath}`);
+    if (!browserId) {
+      return res.status(400).json({ success: false, error: 'Browser profile ID is required' });
+    }
+
+    if (!isValidQuality(quality)) {
+      return res.status(400).json({ success: false, error: 'Invalid quality' });
+    }
+
+    if (!AUDIO_OPTIONS.includes(extractAudio)) {
+      return res.status(400).json({ success: false, error: 'extractAudio must be true, false, "m4a" or "wav"' });
+    }
 
-      // Build web-accessible URLs for video and frames
-      const videoDir = `${result.metadata.username}_${result.metadata.tweet_id}`;
-      const videoUrl = `/api/video-download/files/${videoDir}/video.mp4`;
-      const frameUrls = result.frames.map((_, i) => `/api/video-download/files/${videoDir}/frame_${i + 1}.jpg`);
+    if (transcribe && !transcriber) {
+      return res.status(400).json({ success: false, error: 'Transcription is not configured' });
+    }
+
+    const frameError = checkFrameOptions({ frameCount, frameMode, scene, frameOutput, dedupe });
+    if (frameError) {
+      return res.status(400).json({ success: false, error: frameError });
+    }
 
-      res.json({
-        success: true,
-        videoPath: result.videoPath,
-        videoUrl,
-        frames: result.frames,
-        frameUrls,
-        metadata: result.metadata
+    const contactSheetError = checkContactSheetOptions(contactSheets);
+    if (contactSheetError) {
+      return res.status(400).json({ success: false, error: contactSheetError });
+    }
+
+    console.log(`📹 POST /api/video-download/batch urls=${urls.length} browser=${browserId} frameCount=${frameCount} concurrency=${concurrency}`);
+
+    const browserError = await checkBrowser(browserId);
+    if (browserError) {
+      return res.status(browserError.status).json({ success: false, error: browserError.error });
+    }
+
+    // Validate each URL and skip posts that appear twice or are already downloading
+    const seen = new Set();
+    const items = urls
+      .filter(u => typeof u === 'string' && u.trim())
+      .map((rawUrl) => {
+        const url = rawUrl.trim();
+        const resolved = videoDownloader.extractors.resolve(url);
+        if (!resolved) {
+          return { url, status: 'invalid', error: 'Unsupported URL' };
+        }
+
+        // Two URLs for the same post or file share a download folder
+        const { folder } = resolved.source;
+        if (seen.has(folder)) {
+          return { url, status: 'skipped', error: 'Duplicate of an earlier URL in this batch' };
+        }
+        seen.add(folder);
+
+        if (downloadJobs.findActive(job => videoDownloader.extractors.resolve(job.url)?.source.folder === folder)) {
+          return { url, status: 'skipped', error: 'Already downloading' };
+        }
+
+        return {
+          url,
+          start: (batchId) => startDownloadJob(url, browserId, { frameCount, frameMode, scene, frameOutput, dedupe, allVideos: !!allVideos, quality, photos: !!photos, force: !!force, extractAudio, transcribe: !!transcribe, contactSheets }, { batchId, concurrency })
+        };
       });
-    }).catch((error) => {
-      console.log(`❌ Video download failed: ${error.message}`);
-      res.status(500).json({
-        success: false,
-        error: error.message
+
+    const batch = downloadJobs.createBatch({ browserId, frameCount, frameMode, frameOutput, dedupe, allVideos: !!allVideos, quality, photos: !!photos, force: !!force, extractAudio, transcribe: !!transcribe, contactSheets, concurrency }, items);
+
+    res.status(202).json({ success: true, batchId: batch.id, batch });
+  });
+
+  // Get a batch with per-URL results and a summary
+  app.get('/api/video-download/batches/:id', (req, res) => {
+    const batch = downloadJobs.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    res.json({ success: true, batch });
+  });
+
+  // Stream a batch's progress as Server-Sent Events
+  app.get('/api/video-download/batches/:id/events', (req, res) => {
+    const batch = downloadJobs.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    streamEvents(req, res, `batch:${batch.id}`, batch, update => update.status === 'finished');
+  });
+
+  // Cancel every unfinished download in a batch
+  app.post('/api/video-download/batches/:id/cancel', async (req, res) => {
+    const batch = await downloadJobs.cancelBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    res.json({ success: true, batch });
+  });
+
+  // List recent download jobs
+  app.get('/api/video-download/jobs', (req, res) => {
+    res.json({ success: true, jobs: downloadJobs.list() });
+  });
+
+  // Get a download job's current state
+  app.get('/api/video-download/jobs/:id', (req, res) => {
+    const job = downloadJobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  });
+
+  // Cancel a running download job and remove its partial files
+  app.post('/api/video-download/jobs/:id/cancel', async (req, res) => {
+    const job = await downloadJobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (job.status !== 'cancelled') {
+      return res.status(409).json({ success: false, error: `Job already ${job.status}`, job });
+    }
+
+    res.json({ success: true, cancelled: true, job });
+  });
+
+  // Stream a download job's progress as Server-Sent Events
+  app.get('/api/video-download/jobs/:id/events', (req, res) => {
+    const job = downloadJobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    streamEvents(req, res, `job:${job.id}`, job, update => downloadJobs.isFinished(update));
+  });
+
+  // List past downloads, newest first
+  app.get('/api/video-download/videos', async (req, res) => {
+    const { page = '1', limit = '20', order = 'desc', username = '' } = req.query;
+
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ success: false, error: 'order must be "asc" or "desc"' });
+    }
+
+    const result = await videoLibrary.list({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+      order,
+      username
+    });
+
+    res.json({ success: true, ...result });
+  });
+
+  // Cut a time range of a past download into an MP4, GIF or WebM clip in its folder
+  app.post('/api/video-download/videos/:id/clips', async (req, res) => {
+    const { start, end, format = 'mp4', video = 1, width, fps } = req.body || {};
+
+    if (typeof start !== 'number' || typeof end !== 'number' || !(start >= 0) || !(end > start)) {
+      return res.status(400).json({ success: false, error: 'start and end must be numbers of seconds with 0 <= start < end' });
+    }
+
+    if (!clipExporter.isFormat(format)) {
+      return res.status(400).json({ success: false, error: 'format must be "mp4", "mp4-reencode", "gif" or "webm"' });
+    }
+
+    // Each optional integer option is [name, value, min, max]
+    for (const [name, value, min, max] of [['video', video, 1, 100], ['width', width, 16, 4096], ['fps', fps, 1, 60]]) {
+      if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+        return res.status(400).json({ success: false, error: `${name} must be an integer between ${min} and ${max}` });
+      }
+    }
+
+    const entry = await videoLibrary.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    const rangeError = clipExporter.checkRange(entry, { video, start, end });
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    if (isDownloading(entry.id)) {
+      return res.status(409).json({ success: false, error: 'This post is downloading' });
+    }
+
+    const options = { video, start, end, format, width, fps };
+    const withUrl = (clip) => ({ ...clip, url: `/api/video-download/files/${entry.id}/${clip.file}` });
+
+    // Re-encodes can run for minutes, past a proxy's timeout, so they're jobs with progress and cancel
+    if (format !== 'mp4') {
+      const job = downloadJobs.start({ type: 'clip', videoId: entry.id, ...options }, async ({ onProgress, signal }) => {
+        const clip = await clipExporter.create(entry, { ...options, onProgress, signal }).catch((error) => {
+          console.log(signal.aborted ? `🛑 Clip export cancelled for ${entry.id}` : `❌ Clip export failed for ${entry.id}: ${error.message}`);
+          throw error;
+        });
+        return { clip: withUrl(clip) };
+      }, { queue: 'clips', concurrency: 1 });
+
+      return res.status(202).json({ success: true, jobId: job.id, job });
+    }
+
+    // A stream copy is quick; stop it if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const clip = await clipExporter.create(entry, { ...options, signal: controller.signal }).catch((error) => {
+      console.log(`❌ Clip export failed for ${req.params.id}: ${error.message}`);
+      return { error: error.message };
+    });
+
+    if (clip.error) {
+      return res.status(500).json({ success: false, error: clip.error });
+    }
+
+    res.status(201).json({ success: true, clip: withUrl(clip) });
+  });
+
+  // Tile a past download's frames into contact sheets and build its seek preview storyboard
+  app.post('/api/video-download/videos/:id/contact-sheets', async (req, res) => {
+    const settings = req.body || {};
+
+    const settingsError = checkContactSheetOptions(settings, '');
+    if (settingsError) {
+      return res.status(400).json({ success: false, error: settingsError });
+    }
+
+    const entry = await videoLibrary.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    if (entry.videos.length === 0) {
+      return res.status(400).json({ success: false, error: 'This download has no videos' });
+    }
+
+    if (isDownloading(entry.id)) {
+      return res.status(409).json({ success: false, error: 'This post is downloading' });
+    }
+
+    const { columns, rows, cellWidth } = settings;
+    const result = await videoDownloader.createContactSheets(videoLibrary.resolveDir(entry.id), { columns, rows, cellWidth })
+      .catch((error) => {
+        console.log(`❌ Contact sheets failed for ${req.params.id}: ${error.message}`);
+        return { error: error.message };
       });
+
+    if (result.error) {
+      return res.status(500).json({ success: false, error: result.error });
+    }
+
+    console.log(`🖼️ Built contact sheets for ${req.params.id}`);
+    res.status(201).json({ success: true, ...await videoLibrary.get(req.params.id) });
+  });
+
+  // Disk usage of all downloads, with the retention policy and its last run
+  app.get('/api/video-download/storage', async (req, res) => {
+    const usage = await storageManager.usage();
+    res.json({ success: true, ...usage, policy: storageManager.policy, last_run: storageManager.lastRun });
+  });
+
+  // Apply the retention policy now; dryRun only reports what it would remove
+  app.post('/api/video-download/storage/cleanup', async (req, res) => {
+    const { dryRun } = req.body || {};
+
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'dryRun must be a boolean' });
+    }
+
+    if (!storageManager.hasLimits()) {
+      return res.status(400).json({ success: false, error: 'No retention policy configured' });
+    }
+
+    const result = await storageManager.enforce({ dryRun }).catch(error => ({ error: error.message, code: error.code }));
+    if (result.error) {
+      return res.status(result.code === 'BUSY' ? 409 : 500).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  });
+
+  // Get a single past download
+  app.get('/api/video-download/videos/:id', async (req, res) => {
+    const entry = await videoLibrary.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+    res.json({ success: true, ...entry });
+  });
+
+  // Export a past download as one JSON or Markdown document with its frames inlined for an LLM
+  app.get('/api/video-download/videos/:id/llm-bundle', async (req, res) => {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'markdown'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be "json" or "markdown"' });
+    }
+
+    // Each numeric option is [query name, min, max]
+    const options = {};
+    for (const [name, min, max] of [['maxDimension', 64, 4096], ['quality', 1, 100], ['maxBytes', 1024, 100 * 1024 * 1024], ['maxTokens', 100, 10000000], ['maxFrames', 1, 1000]]) {
+      if (req.query[name] === undefined) continue;
+      const value = Number(req.query[name]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return res.status(400).json({ success: false, error: `${name} must be an integer between ${min} and ${max}` });
+      }
+      options[name] = value;
+    }
+
+    const bundle = await llmBundle.build(req.params.id, options).catch((error) => {
+      console.log(`❌ LLM bundle failed for ${req.params.id}: ${error.message}`);
+      return { error: error.message };
     });
+
+    if (!bundle) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    if (bundle.error) {
+      return res.status(500).json({ success: false, error: bundle.error });
+    }
+
+    if (format === 'markdown') {
+      res.set('X-Bundle-Frames', String(bundle.frame_count));
+      res.set('X-Bundle-Frames-Dropped', String(bundle.frames_dropped));
+      res.set('X-Bundle-Estimated-Tokens', String(bundle.estimated_tokens));
+      return res.type('text/markdown').send(llmBundle.toMarkdown(bundle));
+    }
+
+    res.json({ success: true, ...bundle });
+  });
+
+  // Delete a past download and its frames
+  app.delete('/api/video-download/videos/:id', async (req, res) => {
+    if (isDownloading(req.params.id)) {
+      return res.status(409).json({ success: false, error: 'This post is downloading' });
+    }
+
+    if (isExporting(req.params.id)) {
+      return res.status(409).json({ success: false, error: 'A clip of this post is exporting' });
+    }
+
+    // Waits for a clip export or other metadata update in the folder to finish first
+    const videoDir = videoLibrary.resolveDir(req.params.id);
+    const deleted = videoDir && await withMetadataLock(videoDir, () => videoLibrary.delete(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+    console.log(`🗑️ Deleted video download ${req.params.id}`);
+    res.json({ success: true, id: req.params.id });
   });
 };
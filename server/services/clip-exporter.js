@@ -0,0 +1,193 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { probeDuration } = require('./media-probe');
+const { withMetadataLock } = require('./metadata-lock');
+
+// File extension of each output format
+const FORMATS = {
+  mp4: 'mp4',
+  'mp4-reencode': 'mp4',
+  gif: 'gif',
+  webm: 'webm'
+};
+
+const DEFAULTS = {
+  gifWidth: 480,
+  gifFps: 12
+};
+
+/**
+ * Clip Exporter
+ *
+ * Cuts a time range out of a downloaded video into a new file in the same
+ * download folder: an MP4 by stream copy (fast, but cut at keyframes) or
+ * re-encoded (frame-accurate), an animated GIF built from a generated
+ * palette, or a VP9 WebM. Each clip is listed under `clips` in metadata.json.
+ */
+class ClipExporter {
+  constructor(videoLibrary, videoDownloader) {
+    this.videoLibrary = videoLibrary;
+    this.videoDownloader = videoDownloader;
+  }
+
+  log(message, level = 'info') {
+    const emoji = {
+      info: '✂️',
+      success: '✅',
+      warning: '⚠️',
+      error: '❌'
+    }[level] || '✂️';
+    console.log(`${emoji} [ClipExporter] ${message}`);
+  }
+
+  isFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  /**
+   * Check a clip request against a library entry; returns an error message or null
+   */
+  checkRange(entry, { video = 1, start, end }) {
+    const source = entry.videos.find(v => v.index === video);
+    if (!source) {
+      return `Video ${video} not found in this download`;
+    }
+    if (!/\.mp4$/i.test(source.videoPath)) {
+      return 'Clips can only be made from videos';
+    }
+
+    const duration = parseFloat(source.duration_seconds);
+    if (duration && start >= duration) {
+      return `start must be before the end of the video (${duration.toFixed(2)}s)`;
+    }
+    if (duration && end > duration + 0.5) {
+      return `end is past the end of the video (${duration.toFixed(2)}s)`;
+    }
+    return null;
+  }
+
+  /**
+   * ffmpeg arguments for a format, cutting `duration` seconds from `start`
+   */
+  ffmpegArgs(format, input, output, { start, duration, width, fps }) {
+    // Seeking before -i is fast; with stream copy it lands on the keyframe before `start`
+    const cut = ['-ss', String(start), '-t', String(duration), '-i', input];
+
+    switch (format) {
+      case 'mp4':
+        return [...cut, '-map', '0', '-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart', '-y', output];
+      case 'mp4-reencode':
+        return [...cut,
+          ...(width ? ['-vf', `scale='min(${width},iw)':-2`] : []),
+          '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p',
+          '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart', '-y', output];
+      case 'gif': {
+        // One pass builds a palette from the clip and maps every frame to it
+        const scale = `fps=${fps || DEFAULTS.gifFps},scale='min(${width || DEFAULTS.gifWidth},iw)':-1:flags=lanczos`;
+        return [...cut,
+          '-filter_complex', `[0:v]${scale},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5`,
+          '-loop', '0', '-y', output];
+      }
+      case 'webm':
+        return [...cut,
+          ...(width ? ['-vf', `scale='min(${width},iw)':-2`] : []),
+          '-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1',
+          '-c:a', 'libopus', '-b:a', '96k', '-y', output];
+      default:
+        throw new Error(`Unknown clip format "${format}"`);
+    }
+  }
+
+  /**
+   * Run ffmpeg, reporting `exporting` progress through `duration` seconds of output.
+   * Killed when `signal` aborts.
+   */
+  async runFfmpeg(args, options = {}) {
+    const { signal, onProgress, duration } = options;
+    const downloader = this.videoDownloader;
+    const ffmpegPath = await downloader.getFfmpegPath();
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, ['-v', 'error', '-nostats', '-progress', 'pipe:1', ...args], { windowsHide: true, signal });
+
+      downloader.watchFfmpegProgress(ffmpeg, (progress) => {
+        const seconds = (parseInt(progress.out_time_us || progress.out_time_ms) || 0) / 1e6;
+        // The last frame can end short of the requested duration
+        const percent = progress.progress === 'end' ? 100 : (duration > 0 ? Math.min(100, Math.round((seconds / duration) * 100)) : undefined);
+        downloader.emitProgress(onProgress, 'exporting', 'Exporting clip', { percent });
+      });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
+      ffmpeg.on('close', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`Failed to export clip: ${stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`}`));
+      });
+      ffmpeg.on('error', (err) => reject(signal?.aborted ? downloader.cancelledError() : err));
+    });
+  }
+
+  /**
+   * Export a clip of a library entry's video (see checkRange for validation).
+   * `options` is `{ video, start, end, format, width, fps, onProgress, signal }`; width and
+   * fps apply to re-encoded formats. Aborting `signal` stops ffmpeg and removes the partial
+   * clip. Resolves with the clip's metadata entry.
+   */
+  async create(entry, options = {}) {
+    // One at a time per download, and never while something else updates its metadata
+    return withMetadataLock(this.videoLibrary.resolveDir(entry.id), () => this.export(entry, options));
+  }
+
+  async export(entry, options = {}) {
+    const { video = 1, start, end, format = 'mp4', width = null, fps = null, onProgress, signal } = options;
+    // Cancelled while waiting for the lock
+    if (signal?.aborted) throw this.videoDownloader.cancelledError();
+
+    const source = entry.videos.find(v => v.index === video);
+    const videoDir = this.videoLibrary.resolveDir(entry.id);
+    const metadataPath = path.join(videoDir, 'metadata.json');
+
+    // Re-read metadata so clips made since the entry was loaded are kept
+    const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+    const clips = Array.isArray(metadata.clips) ? metadata.clips : [];
+    const index = clips.reduce((max, c) => Math.max(max, c.index || 0), 0) + 1;
+    const file = `clip_${index}.${FORMATS[format]}`;
+    const output = path.join(videoDir, file);
+    const duration = end - start;
+
+    this.log(`Exporting ${entry.id} video ${video} ${start}s-${end}s as ${format}`);
+    await this.runFfmpeg(this.ffmpegArgs(format, source.videoPath, output, { start, duration, width, fps }), { signal, onProgress, duration })
+      .catch(async (error) => {
+        await fs.rm(output, { force: true });
+        throw error;
+      });
+
+    const stats = await fs.stat(output);
+    const probe = await this.videoDownloader.probeMedia(output, { signal }).catch(() => null);
+    const [stream] = probe?.video || [];
+    const clipDuration = probe ? probeDuration(probe) : null;
+
+    const clip = {
+      index,
+      file,
+      video,
+      format,
+      start,
+      end,
+      duration_seconds: clipDuration ? parseFloat(clipDuration.toFixed(3)) : parseFloat(duration.toFixed(3)),
+      width: stream?.width || null,
+      height: stream?.height || null,
+      file_size: stats.size,
+      created_at: new Date().toISOString()
+    };
+
+    metadata.clips = [...clips, clip];
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+    this.log(`Saved ${file} (${(stats.size / (1024 * 1024)).toFixed(2)} MB)`, 'success');
+    return clip;
+  }
+}
+
+module.exports = ClipExporter;
@@ -0,0 +1,338 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Share of the overall progress bar each phase covers, as [start, end] percent
+const PHASE_RANGES = {
+  queued: [0, 0],
+  navigating: [0, 10],
+  capturing: [10, 20],
+  downloading: [20, 70],
+  probing: [70, 75],
+  transcribing: [75, 85],
+  extracting: [85, 100],
+  // Clip export jobs have this phase alone
+  exporting: [0, 100],
+  done: [100, 100],
+  failed: [100, 100],
+  cancelled: [100, 100]
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+const MAX_FINISHED_JOBS = 50;
+const MAX_BATCHES = 20;
+
+/**
+ * Download Job Manager
+ *
+ * Runs downloads (and re-encoded clip exports) in the background and broadcasts
+ * their progress so the HTTP request that started them can return immediately.
+ * Jobs sharing a queue key (the browser profile) run at most `concurrency` at a
+ * time. Listeners
+ * subscribe to `job:<id>` or `batch:<id>` for one job or batch, or `update`
+ * for every job.
+ */
+class DownloadJobs extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.tasks = new Map();
+    this.controllers = new Map();
+    this.queues = new Map();
+    this.batches = new Map();
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Create a job and queue `task` to run in the background.
+   * `task` receives `{ onProgress, signal }` and resolves with the job result;
+   * it should stop and reject once `signal` is aborted.
+   */
+  start(params, task, options = {}) {
+    const { queue = 'default', concurrency } = options;
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      ...params,
+      queue,
+      status: 'queued',
+      phase: 'queued',
+      message: 'Queued',
+      percent: 0,
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+    this.tasks.set(job.id, task);
+    this.prune();
+
+    const q = this.getQueue(queue);
+    if (concurrency) {
+      q.concurrency = this.clampConcurrency(concurrency);
+    }
+    q.pending.push(job.id);
+    this.drain(queue);
+
+    return this.toJSON(job);
+  }
+
+  clampConcurrency(value) {
+    return Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(value) || DEFAULT_CONCURRENCY));
+  }
+
+  getQueue(key) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { concurrency: DEFAULT_CONCURRENCY, running: 0, pending: [] });
+    }
+    return this.queues.get(key);
+  }
+
+  /**
+   * Start queued jobs while the queue has free slots
+   */
+  drain(key) {
+    const q = this.getQueue(key);
+    while (q.running < q.concurrency && q.pending.length > 0) {
+      const id = q.pending.shift();
+      q.running++;
+      this.run(id).finally(() => {
+        q.running--;
+        this.drain(key);
+      });
+    }
+  }
+
+  run(id) {
+    const job = this.jobs.get(id);
+    const task = this.tasks.get(id);
+    const controller = new AbortController();
+    this.tasks.delete(id);
+    this.controllers.set(id, controller);
+
+    job.status = 'running';
+    job.message = 'Starting';
+    this.emitUpdate(job);
+
+    return Promise.resolve()
+      .then(() => task({ onProgress: (event) => this.progress(id, event), signal: controller.signal }))
+      .then((result) => this.finish(id, { status: 'completed', phase: 'done', message: 'Done', result }))
+      .catch((error) => {
+        if (controller.signal.aborted) {
+          this.finish(id, { status: 'cancelled', phase: 'cancelled', message: 'Cancelled', error: 'Download cancelled' });
+        } else {
+          this.finish(id, { status: 'failed', phase: 'failed', message: error.message, error: error.message });
+        }
+      });
+  }
+
+  /**
+   * Record a progress event from the downloader
+   */
+  progress(id, event) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') return;
+
+    const { phase, message, ...progress } = event;
+    const [start, end] = PHASE_RANGES[phase] || [job.percent, job.percent];
+    const phasePercent = typeof progress.percent === 'number' ? progress.percent : 0;
+    let percent = start + ((end - start) * phasePercent) / 100;
+
+    // Multi-video posts repeat the per-video phases, so split their share between the videos
+    const perVideoStart = PHASE_RANGES.downloading[0];
+    if (progress.totalVideos > 1 && percent >= perVideoStart) {
+      const share = (100 - perVideoStart) / progress.totalVideos;
+      percent = perVideoStart + share * (progress.video - 1) + (share * (percent - perVideoStart)) / (100 - perVideoStart);
+    }
+
+    job.phase = phase;
+    job.message = message || job.message;
+    job.progress = progress;
+    job.percent = Math.max(job.percent, Math.round(percent));
+    this.emitUpdate(job);
+  }
+
+  finish(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    this.controllers.delete(id);
+    this.tasks.delete(id);
+    Object.assign(job, fields, { percent: 100, progress: {} });
+    this.emitUpdate(job);
+  }
+
+  /**
+   * Stop a queued or running job. Resolves with the final job state once its
+   * task has cleaned up, or null if the job doesn't exist.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (this.isFinished(job)) return Promise.resolve(this.toJSON(job));
+
+    // Queued jobs haven't started anything yet, so they can be dropped directly
+    if (job.status === 'queued') {
+      const q = this.getQueue(job.queue);
+      q.pending = q.pending.filter(pendingId => pendingId !== id);
+      this.finish(id, { status: 'cancelled', phase: 'cancelled', message: 'Cancelled', error: 'Download cancelled' });
+      return Promise.resolve(this.toJSON(job));
+    }
+
+    return new Promise((resolve) => {
+      const onUpdate = (update) => {
+        if (!this.isFinished(update)) return;
+        this.off(`job:${id}`, onUpdate);
+        resolve(update);
+      };
+      this.on(`job:${id}`, onUpdate);
+
+      job.message = 'Cancelling';
+      this.emitUpdate(job);
+      this.controllers.get(id).abort();
+    });
+  }
+
+  emitUpdate(job) {
+    job.updatedAt = new Date().toISOString();
+    const snapshot = this.toJSON(job);
+    this.emit(`job:${job.id}`, snapshot);
+    this.emit('update', snapshot);
+
+    if (job.batchId) {
+      this.updateBatchItem(job.batchId, snapshot);
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs and batches once there are too many
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(j => this.isFinished(j));
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+
+    const batches = [...this.batches.values()].filter(b => this.isBatchFinished(b));
+    for (const batch of batches.slice(0, Math.max(0, batches.length - MAX_BATCHES))) {
+      this.batches.delete(batch.id);
+    }
+  }
+
+  isFinished(job) {
+    return !ACTIVE_STATUSES.includes(job.status);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * Find an unfinished job matching a predicate, e.g. one already downloading the same post
+   */
+  findActive(predicate) {
+    const job = [...this.jobs.values()].find(j => !this.isFinished(j) && predicate(j));
+    return job ? this.toJSON(job) : null;
+  }
+
+  list() {
+    return [...this.jobs.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toJSON(job));
+  }
+
+  toJSON(job) {
+    return { ...job };
+  }
+
+  /**
+   * Group jobs into a batch. Each item is either `{ url, start }`, where
+   * `start(batchId)` starts and returns its job, or `{ url, status, error }`
+   * for a URL that was rejected up front (`invalid` or `skipped`).
+   */
+  createBatch(params, items) {
+    const batch = {
+      id: crypto.randomUUID(),
+      ...params,
+      items: [],
+      createdAt: new Date().toISOString()
+    };
+    this.batches.set(batch.id, batch);
+
+    for (const item of items) {
+      if (item.start) {
+        const job = item.start(batch.id);
+        batch.items.push({ url: item.url, jobId: job.id, status: job.status, percent: 0, message: job.message, error: null, result: null });
+      } else {
+        batch.items.push({ url: item.url, jobId: null, status: item.status, percent: 0, message: null, error: item.error, result: null });
+      }
+    }
+
+    this.prune();
+    return this.batchToJSON(batch);
+  }
+
+  updateBatchItem(batchId, job) {
+    const batch = this.batches.get(batchId);
+    const item = batch?.items.find(i => i.jobId === job.id);
+    if (!item) return;
+
+    item.status = job.status;
+    item.percent = job.percent;
+    item.message = job.message;
+    item.error = job.error;
+    item.result = job.result;
+    this.emit(`batch:${batchId}`, this.batchToJSON(batch));
+  }
+
+  isBatchFinished(batch) {
+    return batch.items.every(i => !ACTIVE_STATUSES.includes(i.status));
+  }
+
+  getBatch(id) {
+    const batch = this.batches.get(id);
+    return batch ? this.batchToJSON(batch) : null;
+  }
+
+  /**
+   * Cancel every unfinished job in a batch
+   */
+  async cancelBatch(id) {
+    const batch = this.batches.get(id);
+    if (!batch) return null;
+
+    // Drop queued jobs first so they don't start while running ones wind down
+    const queued = batch.items.filter(i => i.jobId && i.status === 'queued');
+    const running = batch.items.filter(i => i.jobId && i.status === 'running');
+    await Promise.all(queued.map(i => this.cancel(i.jobId)));
+    await Promise.all(running.map(i => this.cancel(i.jobId)));
+
+    return this.batchToJSON(batch);
+  }
+
+  batchToJSON(batch) {
+    const count = (status) => batch.items.filter(i => i.status === status).length;
+    const summary = {
+      total: batch.items.length,
+      pending: count('queued') + count('running'),
+      completed: count('completed'),
+      failed: count('failed'),
+      cancelled: count('cancelled'),
+      invalid: count('invalid'),
+      skipped: count('skipped')
+    };
+
+    return {
+      ...batch,
+      items: batch.items.map(i => ({ ...i })),
+      status: summary.pending > 0 ? 'running' : 'finished',
+      summary
+    };
+  }
+}
+
+module.exports = DownloadJobs;
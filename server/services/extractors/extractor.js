@@ -0,0 +1,180 @@
+/**
+ * Base class for URL extractors
+ *
+ * An extractor knows one kind of source URL. It decides whether it can handle
+ * a URL, derives a stable ID and download folder from it, captures the media
+ * URLs the source serves, and picks which of the captured media to download.
+ * Quality selection and the download itself are shared by VideoDownloader.
+ *
+ * Subclasses set `name`, `label` and `patterns`, and implement `parse` and `capture`.
+ */
+class Extractor {
+  constructor(downloader) {
+    this.downloader = downloader;
+    this.name = 'base';
+    this.label = 'Base';
+    // Each pattern is { description, regex, example }; regexes must also work in the browser
+    this.patterns = [];
+  }
+
+  log(message, level = 'info') {
+    this.downloader.log(`[${this.label}] ${message}`, level);
+  }
+
+  match(url) {
+    return this.patterns.some(p => p.regex.test(url));
+  }
+
+  /**
+   * Derive `{ id, folder, username, tweetId, site }` from a URL, or null if it's malformed.
+   * `folder` is the download folder name and library ID; `username` and `tweetId`
+   * fill the metadata fields of the same name (tweetId is null outside X).
+   */
+  parse() {
+    throw new Error(`${this.label} extractor does not implement parse()`);
+  }
+
+  /**
+   * Collect the media URLs for a source. Resolves with `{ videoUrls, tweet, session }`, where each
+   * entry of videoUrls is `{ url, contentType, status, timestamp, body }`, `tweet` is
+   * the post details block or null, and `session` is the `{ headers, cookies }` to fetch
+   * the media with outside the browser (see browserSession), or undefined.
+   */
+  async capture() {
+    throw new Error(`${this.label} extractor does not implement capture()`);
+  }
+
+  /**
+   * Group captured media URLs into videos as `[{ id, videos }]`, keeping only the
+   * source's own video (or every one of them with `allVideos`)
+   */
+  selectGroups(videoUrls) {
+    return [{ id: null, videos: videoUrls }];
+  }
+
+  /**
+   * Supported URL patterns in a form the client can turn back into RegExps
+   */
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      patterns: this.patterns.map(p => ({
+        description: p.description,
+        source: p.regex.source,
+        flags: p.regex.flags,
+        example: p.example
+      }))
+    };
+  }
+
+  /**
+   * Headers of the browser request behind a captured response that a plain HTTP client
+   * should send too, so media servers see the same client and referring page
+   */
+  requestHeaders(response) {
+    let headers;
+    try {
+      headers = response.request().headers() || {};
+    } catch {
+      return {};
+    }
+    return Object.fromEntries(['user-agent', 'referer', 'origin'].filter(name => headers[name]).map(name => [name, headers[name]]));
+  }
+
+  /**
+   * The `{ headers, cookies }` downloads replay from the browser: `headers` from requestHeaders
+   * and every cookie in the context, which the downloader filters per URL
+   */
+  async browserSession(context, headers = {}) {
+    const cookies = await context.cookies().catch(() => []);
+    return { headers, cookies: cookies || [] };
+  }
+
+  /**
+   * Have the page check each http(s) request with `checkUrl(url)` before it goes out,
+   * aborting the ones it rejects. Route handlers don't see redirects, so pages (which
+   * is where a redirect would take the browser) are fetched here without following
+   * them and handed back to the browser, whose next hop then comes through again.
+   */
+  async guardRequests(page, checkUrl) {
+    // Checked once per origin, as a page makes many requests to the same few hosts
+    const checked = new Map();
+    const check = (url) => {
+      const { origin } = new URL(url);
+      if (!checked.has(origin)) checked.set(origin, checkUrl(url));
+      return checked.get(origin);
+    };
+
+    await page.route('**/*', async (route) => {
+      const request = route.request();
+      const requestUrl = request.url();
+      if (!/^https?:/i.test(requestUrl)) return route.continue();
+
+      try {
+        await check(requestUrl);
+      } catch (error) {
+        this.log(`Blocked ${requestUrl.substring(0, 80)}: ${error.message}`, 'warning');
+        return route.abort('blockedbyclient').catch(() => {});
+      }
+
+      try {
+        if (request.isNavigationRequest()) {
+          await route.fulfill({ response: await route.fetch({ maxRedirects: 0 }) });
+        } else {
+          await route.continue();
+        }
+      } catch {
+        await route.abort().catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Open a URL in a browser profile from core, passing every network response to
+   * `onResponse`, then run `interact(page, context)` and resolve with its result.
+   * With `checkUrl`, the URL and every request the page makes are checked with it
+   * first (see guardRequests). The page is closed afterwards, or straight away when
+   * `signal` aborts.
+   */
+  async browse(url, browserService, browserId, options = {}) {
+    const { onProgress, signal, onResponse, interact, checkUrl } = options;
+    const { downloader } = this;
+
+    if (checkUrl) await checkUrl(url);
+    this.log(`Opening browser to capture video from: ${url}`);
+    downloader.emitProgress(onProgress, 'navigating', 'Opening browser', { percent: 0 });
+
+    const context = await browserService.getBrowserContext(browserId);
+    downloader.throwIfCancelled(signal);
+
+    const page = await context.newPage();
+
+    // Closing the page makes any pending navigation or wait reject straight away
+    const closePage = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', closePage, { once: true });
+
+    if (onResponse) page.on('response', onResponse);
+
+    let result;
+    try {
+      if (checkUrl) await this.guardRequests(page, checkUrl);
+      this.log(`Navigating to ${url}...`);
+      downloader.emitProgress(onProgress, 'navigating', 'Loading page', { percent: 50 });
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      downloader.emitProgress(onProgress, 'capturing', 'Capturing video streams', { percent: 0 });
+      result = interact ? await interact(page, context) : null;
+    } catch (error) {
+      downloader.throwIfCancelled(signal);
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', closePage);
+      await closePage();
+    }
+
+    downloader.throwIfCancelled(signal);
+    return result;
+  }
+}
+
+module.exports = Extractor;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const Extractor = require('./extractor');
+
+const DIRECT_URL = /^https?:\/\/[^\s/?#]+\/[^\s?#]*\.(?:mp4|m3u8)(?:[?#]\S*)?$/i;
+const PAGE_URL = /^https?:\/\/[^\s/?#]+(?:[/?#]\S*)?$/i;
+
+// Media the page streams, minus the segments of a playlist it's playing
+const MEDIA_URL = /\.(?:mp4|m3u8|webm|mov|m4v)(?:[?#]|$)/i;
+const SEGMENT_URL = /\.(?:ts|m4s|aac)(?:[?#]|$)/i;
+
+/**
+ * Generic Extractor
+ *
+ * Fallback for any other http(s) URL. Direct .mp4/.m3u8 links are downloaded
+ * as they are; other pages are opened in the browser profile and their HTML5
+ * <video> elements, plus any video or playlist the page fetches, are captured.
+ */
+class GenericExtractor extends Extractor {
+  constructor(downloader) {
+    super(downloader);
+    this.name = 'generic';
+    this.label = 'Generic';
+    this.patterns = [
+      { description: 'Direct .mp4 or .m3u8 link', regex: DIRECT_URL, example: 'https://example.com/media/clip.mp4' },
+      { description: 'Web page with an HTML5 video', regex: PAGE_URL, example: 'https://example.com/watch/clip' }
+    ];
+  }
+
+  /**
+   * Folder is <host>_<hash of the URL>, so the same URL always lands in the same folder
+   */
+  parse(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const hash = crypto.createHash('sha1').update(`${parsed.origin}${parsed.pathname}${parsed.search}`).digest('hex').slice(0, 12);
+    const host = parsed.hostname.replace(/[^\w.-]/g, '_');
+    return { id: hash, folder: `${host}_${hash}`, username: host, tweetId: null, site: parsed.hostname };
+  }
+
+  isDirect(url) {
+    return DIRECT_URL.test(url);
+  }
+
+  /**
+   * Build a captured media entry. Progressive entries are complete files rather than playlists.
+   */
+  mediaEntry(url, fields = {}) {
+    const isPlaylist = /\.m3u8(?:[?#]|$)/i.test(url) || /mpegurl/i.test(fields.contentType || '');
+    return {
+      url,
+      contentType: '',
+      status: 200,
+      timestamp: Date.now(),
+      body: null,
+      progressive: !isPlaylist,
+      ...fields
+    };
+  }
+
+  async capture(url, browserService, browserId, options = {}) {
+    const { onProgress, signal } = options;
+
+    // Links and pages on the server's own network are refused (see url-guard)
+    const { checkUrl } = this.downloader.httpOptions;
+
+    if (this.isDirect(url)) {
+      await checkUrl?.(url);
+      this.log(`Direct media link: ${url}`);
+      this.downloader.emitProgress(onProgress, 'capturing', 'Direct video link', { percent: 100 });
+      return { videoUrls: [this.mediaEntry(url)], tweet: null };
+    }
+
+    const captured = [];
+    let mediaHeaders = null;
+
+    const onResponse = (response) => {
+      const responseUrl = response.url();
+      const contentType = response.headers()['content-type'] || '';
+      if (SEGMENT_URL.test(responseUrl) || /mp2t|iso\.segment/i.test(contentType)) return;
+      if (!(MEDIA_URL.test(responseUrl) || contentType.startsWith('video/') || /mpegurl/i.test(contentType))) return;
+
+      this.log(`Found video URL: ${responseUrl.substring(0, 80)}...`);
+      mediaHeaders = mediaHeaders || this.requestHeaders(response);
+      const isPlaylist = /\.m3u8(?:[?#]|$)/i.test(responseUrl) || /mpegurl/i.test(contentType);
+      captured.push(this.mediaEntry(responseUrl, {
+        contentType,
+        status: response.status(),
+        // Keep playlist bodies the browser already fetched, for variant parsing
+        body: isPlaylist ? response.text().catch(() => null) : null,
+        element: null
+      }));
+    };
+
+    const interact = async (page, context) => {
+      await page.waitForTimeout(3000);
+
+      // Players that wait for a click haven't requested anything yet
+      if (captured.length === 0) {
+        await page.evaluate(() => document.querySelector('video')?.play()?.catch(() => {})).catch(() => null);
+        await page.waitForTimeout(2000);
+      }
+
+      // Sources of each <video> element in document order; blob: URLs (MSE players) are skipped
+      // in favour of the playlists captured from the network
+      const elements = await page.evaluate(() => Array.from(document.querySelectorAll('video')).map(video => [
+        video.currentSrc,
+        video.src,
+        ...Array.from(video.querySelectorAll('source')).map(source => source.src)
+      ].filter(src => /^https?:/.test(src || ''))));
+      // Sources only seen in the DOM were still requested with the page as referer
+      const headers = mediaHeaders || { referer: url };
+      return { elements: elements || [], session: await this.browserSession(context, headers) };
+    };
+
+    const { elements, session } = await this.browse(url, browserService, browserId, { onProgress, signal, onResponse, interact, checkUrl });
+
+    const videoUrls = [];
+    const seen = new Set();
+    elements.forEach((sources, element) => {
+      for (const src of new Set(sources)) {
+        // Prefer the network entry for the same URL, which has the real status and playlist body
+        const fetched = captured.find(c => c.url === src);
+        videoUrls.push(fetched ? { ...fetched, element } : this.mediaEntry(src, { element }));
+        seen.add(src);
+      }
+    });
+    videoUrls.push(...captured.filter(c => !seen.has(c.url)));
+
+    this.log(`Found ${elements.length} <video> element(s) and ${captured.length} media request(s)`);
+
+    if (videoUrls.length === 0) {
+      throw new Error('No video found on this page');
+    }
+
+    return { videoUrls, tweet: null, session };
+  }
+
+  /**
+   * One group per <video> element in page order, then one for media seen only on the network.
+   * Without allVideos only the first is kept.
+   */
+  selectGroups(videoUrls, source, allVideos = false) {
+    const groups = new Map();
+    for (const v of videoUrls) {
+      const id = v.element === null || v.element === undefined ? 'network' : `video${v.element + 1}`;
+      if (!groups.has(id)) groups.set(id, { id, videos: [] });
+      groups.get(id).videos.push(v);
+    }
+
+    const ordered = [...groups.values()];
+    const selected = allVideos ? ordered : ordered.slice(0, 1);
+    this.log(`Found ${ordered.length} video group(s), selected ${selected.map(g => g.id).join(', ')}`);
+    return selected;
+  }
+}
+
+module.exports = GenericExtractor;
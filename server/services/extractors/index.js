@@ -0,0 +1,51 @@
+const Extractor = require('./extractor');
+const XExtractor = require('./x-extractor');
+const GenericExtractor = require('./generic-extractor');
+
+/**
+ * Extractor Registry
+ *
+ * Finds the extractor for a URL. Extractors are tried in order, so site-specific
+ * ones come first and the generic fallback last.
+ */
+class ExtractorRegistry {
+  constructor(extractors = []) {
+    this.extractors = extractors;
+  }
+
+  /**
+   * Add a site-specific extractor, ahead of the ones already registered
+   */
+  register(extractor) {
+    this.extractors.unshift(extractor);
+    return this;
+  }
+
+  find(url) {
+    if (typeof url !== 'string') return null;
+    return this.extractors.find(e => e.match(url)) || null;
+  }
+
+  /**
+   * Match a URL and parse it. Resolves to `{ extractor, source }`, or null when
+   * no extractor matches or the match can't be parsed.
+   */
+  resolve(url) {
+    const extractor = this.find(url);
+    const source = extractor ? extractor.parse(url) : null;
+    return source ? { extractor, source } : null;
+  }
+
+  list() {
+    return this.extractors.map(e => e.describe());
+  }
+}
+
+/**
+ * The default registry: X.com, then the generic fallback
+ */
+function createExtractorRegistry(downloader) {
+  return new ExtractorRegistry([new XExtractor(downloader), new GenericExtractor(downloader)]);
+}
+
+module.exports = { Extractor, ExtractorRegistry, XExtractor, GenericExtractor, createExtractorRegistry };
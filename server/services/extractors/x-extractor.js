@@ -0,0 +1,276 @@
+const path = require('path');
+const Extractor = require('./extractor');
+const { isTweetGraphqlUrl, parseTweetGraphql, parseTweetMediaGraphql, parseTweetHtml, parseTweetPhotosHtml } = require('../tweet-parser');
+
+// Anchored to the host, so a path or query merely containing x.com/<user>/status/<id>
+// isn't taken for a post; usernames are at most 15 word characters
+const STATUS_URL = /^https?:\/\/(?:www\.|mobile\.)?(?:x|twitter)\.com\/(\w{1,15})\/status\/(\d+)/i;
+
+/**
+ * X.com Extractor
+ *
+ * Opens a post in an authenticated browser profile, captures the video
+ * streams and GraphQL responses it loads, and keeps the videos that belong
+ * to the post itself rather than replies or quoted posts. Videos, GIFs
+ * (MP4s under tweet_video/) and the post's photos are all recognised.
+ */
+class XExtractor extends Extractor {
+  constructor(downloader) {
+    super(downloader);
+    this.name = 'x';
+    this.label = 'X.com';
+    this.patterns = [
+      { description: 'X.com post', regex: STATUS_URL, example: 'https://x.com/username/status/1234567890' }
+    ];
+  }
+
+  /**
+   * Folder is <username>_<tweetId>, the layout downloads have always used
+   */
+  parse(url) {
+    const match = url.match(STATUS_URL);
+    if (!match) return null;
+
+    const [, username, tweetId] = match;
+    return { id: tweetId, folder: `${username}_${tweetId}`, username, tweetId, site: 'x.com' };
+  }
+
+  /**
+   * Open the post and collect the video URLs it requests.
+   * Resolves with `{ videoUrls, tweet, photos, session }`, where `tweet` holds the post's text, author
+   * and engagement (see tweet-parser), or null if they couldn't be read, `photos`
+   * lists the post's images as `[{ url, format }]` at original resolution, and `session`
+   * carries the browser's headers and cookies for the downloads.
+   */
+  async capture(url, browserService, browserId, options = {}) {
+    const { onProgress, signal, allVideos = false } = options;
+    const { downloader } = this;
+    const videoUrls = [];
+    const tweetResponses = [];
+    let mediaHeaders = null;
+
+    // Track video URLs from network requests
+    // The main tweet's video loads first since it's higher in the DOM
+    const onResponse = (response) => {
+      const responseUrl = response.url();
+      const contentType = response.headers()['content-type'] || '';
+
+      // The post's own details arrive in GraphQL responses alongside the video
+      if (isTweetGraphqlUrl(responseUrl)) {
+        tweetResponses.push(response.json().catch(() => null));
+        return;
+      }
+
+      if (contentType.includes('video') ||
+          responseUrl.includes('.mp4') ||
+          responseUrl.includes('video.twimg.com') ||
+          responseUrl.includes('/ext_tw_video/') ||
+          responseUrl.includes('.m3u8')) {
+        this.log(`Found video URL: ${responseUrl.substring(0, 80)}...`);
+        mediaHeaders = mediaHeaders || this.requestHeaders(response);
+        videoUrls.push({
+          url: responseUrl,
+          contentType,
+          status: response.status(),
+          timestamp: Date.now(),
+          // Keep playlist bodies the browser already fetched, for variant parsing
+          body: responseUrl.includes('.m3u8') ? response.text().catch(() => null) : null
+        });
+      }
+    };
+
+    const interact = async (page, context) => {
+      await page.waitForTimeout(4000);
+
+      if (allVideos) {
+        // Only the first video of a multi-video post autoplays; start each of the
+        // main tweet's players so their streams get requested too
+        const mainTweet = await page.$('article[data-testid="tweet"]');
+        const players = mainTweet ? await mainTweet.$$('[data-testid="videoPlayer"]') : [];
+        this.log(`Found ${players.length} video player(s) in main tweet`);
+
+        for (let i = 0; i < players.length; i++) {
+          downloader.emitProgress(onProgress, 'capturing', `Starting video ${i + 1}/${players.length}`, {
+            percent: Math.round((i / players.length) * 100)
+          });
+          await players[i].scrollIntoViewIfNeeded();
+          await players[i].click();
+          await page.waitForTimeout(2000);
+        }
+      } else if (videoUrls.length > 0) {
+        // If we captured videos during page load, use the first one (main tweet's video)
+        // The main tweet video loads first since it's higher in the DOM
+        this.log(`Found ${videoUrls.length} video(s) during page load, using first (main tweet)`);
+      } else {
+        // No videos captured during page load - try clicking play button
+        this.log('No videos during page load, looking for play button...');
+
+        // Try clicking the FIRST play button (should be main tweet's if it has one)
+        const playButton = await page.$('[data-testid="playButton"], [aria-label="Play"]');
+        if (playButton) {
+          this.log('Clicking play button...');
+          await playButton.click();
+          await page.waitForTimeout(3000);
+        }
+      }
+
+      // Response bodies and the rendered page have to be read before the page closes
+      return {
+        tweetPayloads: await Promise.all(tweetResponses),
+        html: await page.content().catch(() => null),
+        session: await this.browserSession(context, mediaHeaders || {})
+      };
+    };
+
+    const { checkUrl } = downloader.httpOptions;
+    const { tweetPayloads, html, session } = await this.browse(url, browserService, browserId, { onProgress, signal, onResponse, interact, checkUrl });
+    const tweetId = this.parse(url)?.tweetId;
+    const payloads = tweetPayloads.filter(Boolean);
+
+    // The post's own media list, when GraphQL had it, ties captured URLs to media IDs
+    const media = parseTweetMediaGraphql(payloads, tweetId);
+    this.labelMedia(videoUrls, media);
+
+    const photoUrls = media
+      ? media.filter(m => m.type === 'photo' && m.url).map(m => m.url)
+      : (html ? parseTweetPhotosHtml(html, tweetId) : []);
+    const photos = [...new Map(photoUrls.map(u => this.originalPhoto(u)).map(p => [p.url, p])).values()];
+
+    if (videoUrls.length === 0 && photos.length === 0) {
+      throw new Error('No video found in this tweet');
+    }
+
+    const tweet = this.parseTweetDetails(payloads, html, tweetId);
+    return { videoUrls, tweet, photos, session };
+  }
+
+  /**
+   * Mark each captured URL as a video or GIF, and with the ID of the post's media
+   * item it belongs to when the GraphQL media list has a match
+   */
+  labelMedia(videoUrls, media) {
+    const withoutQuery = (u) => u.split('?')[0];
+
+    for (const v of videoUrls) {
+      v.mediaType = v.url.includes('/tweet_video/') ? 'animated_gif' : 'video';
+
+      const item = (media || []).find(m => m.type !== 'photo' &&
+        (m.variants.some(variant => withoutQuery(variant) === withoutQuery(v.url)) || this.getVideoId({ url: v.url }) === m.id));
+      if (item) {
+        v.mediaId = item.id;
+        v.mediaType = item.type;
+      }
+    }
+  }
+
+  /**
+   * Original-resolution URL of a pbs.twimg.com photo, given any of its sized URLs
+   * (`.../media/KEY.jpg` or `.../media/KEY?format=jpg&name=small`)
+   */
+  originalPhoto(url) {
+    const parsed = new URL(url);
+    const ext = path.extname(parsed.pathname).slice(1);
+    const format = parsed.searchParams.get('format') || ext || 'jpg';
+    const base = ext ? parsed.pathname.slice(0, -(ext.length + 1)) : parsed.pathname;
+    return { url: `${parsed.origin}${base}?format=${format}&name=orig`, format };
+  }
+
+  /**
+   * Read the post's details from captured GraphQL responses, falling back to the page HTML
+   */
+  parseTweetDetails(responses, html, tweetId) {
+    const tweet = parseTweetGraphql(responses.filter(Boolean), tweetId) || (html ? parseTweetHtml(html, tweetId) : null);
+    if (tweet) {
+      this.log(`Read post details from ${tweet.source === 'graphql' ? 'GraphQL' : 'page HTML'}`);
+    } else {
+      this.log('Could not read post details', 'warning');
+    }
+    return tweet;
+  }
+
+  /**
+   * Extract video ID from a captured URL to group by tweet/video
+   * X.com URLs look like: video.twimg.com/ext_tw_video/[VIDEO_ID]/... or amplify_video/[VIDEO_ID]/...
+   * GIFs are video.twimg.com/tweet_video/[KEY].mp4, where the key isn't a snowflake
+   * ID, so GIFs use the media ID from labelMedia when there is one.
+   */
+  getVideoId(video) {
+    if (video.mediaId) return video.mediaId;
+    const match = video.url.match(/(?:ext_tw_video|amplify_video)\/(\d+)/) || video.url.match(/tweet_video\/([\w-]+)\./);
+    return match ? match[1] : null;
+  }
+
+  isSnowflake(id) {
+    return /^\d+$/.test(id);
+  }
+
+  /**
+   * Milliseconds since epoch encoded in an X snowflake ID
+   */
+  snowflakeTime(id) {
+    return Number(BigInt(id) >> 22n) + 1288834974657;
+  }
+
+  /**
+   * Pick the captured video groups that belong to the main tweet.
+   * Returns `[{ id, videos }]`; by default only the group closest to the tweet ID.
+   */
+  selectGroups(videoUrls, source, allVideos = false) {
+    const tweetId = source?.tweetId;
+    const tweetIdNum = tweetId ? BigInt(tweetId) : null;
+
+    // Group videos by their video ID
+    const videoGroups = new Map();
+    for (const v of videoUrls) {
+      const id = this.getVideoId(v);
+      if (id) {
+        if (!videoGroups.has(id)) {
+          videoGroups.set(id, { id, mediaType: v.mediaType || 'video', videos: [] });
+        }
+        videoGroups.get(id).videos.push(v);
+      }
+    }
+
+    if (videoGroups.size === 0 || !tweetIdNum) {
+      this.log(`Found ${videoGroups.size} video group(s), using all ${videoUrls.length} URLs`);
+      return [{ id: null, mediaType: videoUrls[0]?.mediaType || 'video', videos: videoUrls }];
+    }
+
+    // Find the video group whose ID is closest to the tweet ID
+    // The main tweet's video ID should be very close to or match the tweet ID
+    const groups = [...videoGroups.values()];
+    const sortedGroups = groups.filter(g => this.isSnowflake(g.id)).sort((a, b) => {
+      const aDiff = tweetIdNum - BigInt(a.id);
+      const bDiff = tweetIdNum - BigInt(b.id);
+      // Prefer positive differences (video ID slightly before tweet ID) and closest match
+      const aAbs = aDiff < 0n ? -aDiff : aDiff;
+      const bAbs = bDiff < 0n ? -bDiff : bDiff;
+      return aAbs < bAbs ? -1 : aAbs > bAbs ? 1 : 0;
+    });
+    // GIFs keyed by file name carry no time, so they follow in the order they loaded
+    sortedGroups.push(...groups.filter(g => !this.isSnowflake(g.id)));
+
+    if (!allVideos) {
+      const selectedGroup = sortedGroups[0];
+      this.log(`Found ${videoGroups.size} video group(s), selected ID ${selectedGroup.id} (closest to tweet ${tweetId}) with ${selectedGroup.videos.length} URLs`);
+      return [selectedGroup];
+    }
+
+    // Media is uploaded shortly before the post goes out, while replies come after it
+    // and quoted posts are usually much older, so keep groups from the hour before the tweet
+    const tweetTime = this.snowflakeTime(tweetId);
+    const mainGroups = sortedGroups
+      .filter(g => {
+        if (!this.isSnowflake(g.id)) return false;
+        const age = tweetTime - this.snowflakeTime(g.id);
+        return age >= -60 * 1000 && age <= 60 * 60 * 1000;
+      })
+      .sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+
+    const selected = mainGroups.length > 0 ? mainGroups : [sortedGroups[0]];
+    this.log(`Found ${videoGroups.size} video group(s), selected ${selected.length} from the main tweet: ${selected.map(g => g.id).join(', ')}`);
+    return selected;
+  }
+}
+
+module.exports = XExtractor;
@@ -0,0 +1,73 @@
+/**
+ * Frame Hash
+ *
+ * Difference hashes (dHash) for spotting near-duplicate frames. A frame is
+ * shrunk to 9×8 grayscale pixels and each of the 64 bits says whether a pixel
+ * is brighter than its right-hand neighbour, so re-encoding noise and small
+ * changes flip few bits while a new picture flips many. Hashes are 16 hex
+ * digits; the Hamming distance between two hashes is the number of bits that
+ * differ. Everything here is a pure function of its input.
+ */
+
+// Size frames are shrunk to before hashing: one column more than bits per row
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * dHash of a HASH_WIDTH × HASH_HEIGHT grayscale image (one byte per pixel, row by row)
+ */
+function differenceHash(pixels) {
+  if (pixels.length !== HASH_WIDTH * HASH_HEIGHT) {
+    throw new Error(`Expected ${HASH_WIDTH * HASH_HEIGHT} pixels, got ${pixels.length}`);
+  }
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of bits that differ between two hashes
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Group frames (by hash, in order) into runs of near-duplicates: a frame joins the
+ * group of the last kept frame when it is within `maxDistance` bits of it, and starts
+ * a new group otherwise. Returns `[{ index, members }]`, where `index` is the kept
+ * frame and `members` every frame index it stands for, itself included.
+ */
+function groupDuplicates(hashes, maxDistance) {
+  const groups = [];
+  for (const [i, hash] of hashes.entries()) {
+    const last = groups[groups.length - 1];
+    if (last && hammingDistance(hashes[last.index], hash) <= maxDistance) {
+      last.members.push(i);
+    } else {
+      groups.push({ index: i, members: [i] });
+    }
+  }
+  return groups;
+}
+
+module.exports = {
+  HASH_WIDTH,
+  HASH_HEIGHT,
+  differenceHash,
+  hammingDistance,
+  groupDuplicates
+};
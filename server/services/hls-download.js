@@ -0,0 +1,177 @@
+/**
+ * HLS Download
+ *
+ * Downloads the segments of HLS media playlists without ffmpeg: segments are
+ * fetched a few at a time through http-download (so each one gets its own
+ * retries, resume and stall timeout), then joined in order behind the fMP4
+ * initialization segment, if there is one, into a single local file per
+ * track. The caller remuxes those files into an MP4.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { downloadFile } = require('./http-download');
+const { isMasterPlaylist, parseMediaPlaylist } = require('./hls-playlist');
+
+const DEFAULTS = {
+  concurrency: 4
+};
+
+// Packed audio keeps its own extension so ffmpeg reads it as raw audio
+const PACKED_AUDIO = ['aac', 'ac3', 'ec3', 'mp3'];
+
+function hlsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Extension for a track's joined file: mp4 for fMP4, otherwise the segments' own format
+ */
+function trackExtension(playlist) {
+  if (playlist.init) return 'mp4';
+  const ext = path.extname(new URL(playlist.segments[0].url).pathname).slice(1).toLowerCase();
+  return PACKED_AUDIO.includes(ext) ? ext : 'ts';
+}
+
+/**
+ * Fetch and parse a media playlist, via a temporary file at `tempPath`. Playlists this module
+ * can't download (master, live, encrypted or byte-range) are rejected with code HLS_UNSUPPORTED.
+ */
+async function loadPlaylist(url, tempPath, options = {}) {
+  await downloadFile(url, tempPath, options);
+  const text = fs.readFileSync(tempPath, 'utf8');
+  fs.rmSync(tempPath, { force: true });
+
+  if (isMasterPlaylist(text)) throw hlsError('Expected a media playlist, got a master playlist', 'HLS_UNSUPPORTED');
+
+  const playlist = parseMediaPlaylist(text, url);
+  if (!playlist.endList) throw hlsError('Live playlists are not supported', 'HLS_UNSUPPORTED');
+  if (playlist.encrypted) throw hlsError('Encrypted playlists are not supported', 'HLS_UNSUPPORTED');
+  if (playlist.byteRanges) throw hlsError('Byte-range playlists are not supported', 'HLS_UNSUPPORTED');
+  if (playlist.segments.length === 0) throw hlsError('Playlist has no segments', 'HLS_EMPTY');
+  return playlist;
+}
+
+/**
+ * Run `task(item)` over items with at most `concurrency` running at once.
+ * The first failure aborts `controller` so the rest stop early, and is rethrown.
+ */
+async function runPool(items, concurrency, controller, task) {
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const item = items[next++];
+      try {
+        await task(item);
+      } catch (error) {
+        if (!failure) {
+          failure = error;
+          controller.abort();
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  if (failure) throw failure;
+}
+
+/**
+ * Append `files` in order to `destPath`
+ */
+async function joinFiles(files, destPath) {
+  const output = await fs.promises.open(destPath, 'w');
+  try {
+    for (const file of files) {
+      for await (const chunk of fs.createReadStream(file)) {
+        await output.write(chunk);
+      }
+      fs.rmSync(file, { force: true });
+    }
+  } finally {
+    await output.close();
+  }
+}
+
+/**
+ * Download HLS media playlists into local files.
+ *
+ * `tracks` is `[{ name, url }]` (e.g. video and a separate audio rendition). Each
+ * is written to `<workDir>/<name>.<ext>`, where ext is mp4 for fMP4 and ts for MPEG-TS.
+ * `onProgress({ segment, totalSegments, bytes, percent, track })` is called as each segment
+ * completes, counting across all tracks, and `onRetry({ track, segment, attempt, retries, delay, error })`
+ * before a segment is retried. Other options (`headers`, `retries`, `stallTimeout`, ...) go to
+ * http-download. Resolves with `[{ name, path, segments, bytes, duration }]`; segment files
+ * are removed either way, and the joined files too on failure; removing workDir is up to the caller.
+ */
+async function downloadHls(tracks, workDir, options = {}) {
+  const { onProgress, onRetry, signal, concurrency = DEFAULTS.concurrency, ...httpOptions } = options;
+
+  // Aborted by the caller's signal or by the first segment that fails for good
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  fs.mkdirSync(workDir, { recursive: true });
+  const segmentDirs = [];
+  const outputs = [];
+
+  try {
+    const loaded = [];
+    for (const track of tracks) {
+      const playlist = await loadPlaylist(track.url, path.join(workDir, `${track.name}.m3u8`), { ...httpOptions, signal: controller.signal });
+      loaded.push({ ...track, playlist });
+    }
+
+    const totalSegments = loaded.reduce((sum, t) => sum + t.playlist.segments.length + (t.playlist.init ? 1 : 0), 0);
+    let done = 0;
+    let bytes = 0;
+    const results = [];
+
+    for (const { name, playlist } of loaded) {
+      const segmentDir = path.join(workDir, `${name}.segments`);
+      fs.mkdirSync(segmentDir, { recursive: true });
+      segmentDirs.push(segmentDir);
+
+      const parts = [
+        ...(playlist.init ? [{ index: 'init', url: playlist.init.url }] : []),
+        ...playlist.segments
+      ].map(part => ({ ...part, file: path.join(segmentDir, `${String(part.index).padStart(5, '0')}.seg`) }));
+
+      await runPool(parts, Math.max(1, parseInt(concurrency) || 1), controller, async (part) => {
+        const result = await downloadFile(part.url, part.file, {
+          ...httpOptions,
+          signal: controller.signal,
+          onRetry: (retry) => onRetry?.({ track: name, segment: part.index, ...retry })
+        });
+        done++;
+        bytes += result.bytes;
+        onProgress?.({ segment: done, totalSegments, bytes, percent: Math.round((done / totalSegments) * 100), track: name });
+      });
+
+      const output = path.join(workDir, `${name}.${trackExtension(playlist)}`);
+      outputs.push(output);
+      await joinFiles(parts.map(p => p.file), output);
+      results.push({ name, path: output, segments: playlist.segments.length, bytes: fs.statSync(output).size, duration: playlist.duration });
+    }
+
+    return results;
+  } catch (error) {
+    for (const output of outputs) fs.rmSync(output, { force: true });
+    throw signal?.aborted ? hlsError('Download cancelled', 'CANCELLED') : error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    for (const dir of segmentDirs) fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  DEFAULTS,
+  downloadHls,
+  loadPlaylist,
+  trackExtension
+};
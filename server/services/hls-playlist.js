@@ -0,0 +1,205 @@
+/**
+ * HLS Playlist Helpers
+ *
+ * Parses HLS master playlists into selectable video variants and audio
+ * renditions, picks one for a requested quality, and parses media playlists
+ * into the segments to download.
+ */
+
+/**
+ * Parse an attribute list like `BANDWIDTH=2176000,RESOLUTION=1280x720,CODECS="avc1.640020,mp4a.40.2"`
+ */
+function parseAttributes(list) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(list)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+function resolveUri(uri, baseUrl) {
+  return new URL(uri, baseUrl).toString();
+}
+
+function isMasterPlaylist(text) {
+  return typeof text === 'string' && text.includes('#EXT-X-STREAM-INF');
+}
+
+/**
+ * Parse a master playlist into `{ variants, audio }`.
+ * Video variants are sorted best first; each links to its audio rendition if it has a separate one.
+ */
+function parseMasterPlaylist(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(l => l.trim());
+  const audio = [];
+  const variants = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+      if (attrs.TYPE !== 'AUDIO' || !attrs.URI) continue;
+
+      // X encodes the audio bitrate in the group ID (e.g. "audio-128000") and path (/mp4a/128000/)
+      // GROUP-ID is required by the spec but not always there
+      const groupId = attrs['GROUP-ID'] || null;
+      const bitrate = parseInt((groupId || '').match(/\d+/)?.[0] ?? attrs.URI.match(/\/mp4a\/(\d+)\//)?.[1]) || 0;
+      audio.push({
+        id: `audio-${bitrate || audio.length + 1}`,
+        type: 'audio',
+        url: resolveUri(attrs.URI, baseUrl),
+        groupId,
+        name: attrs.NAME || null,
+        language: attrs.LANGUAGE || null,
+        channels: attrs.CHANNELS || null,
+        bandwidth: bitrate,
+        isDefault: attrs.DEFAULT === 'YES'
+      });
+    } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      const uri = lines.slice(i + 1).find(l => l && !l.startsWith('#'));
+      if (!uri) continue;
+
+      const [width, height] = (attrs.RESOLUTION || '').split('x').map(n => parseInt(n) || 0);
+      const bandwidth = parseInt(attrs.BANDWIDTH) || 0;
+      variants.push({
+        id: height ? `${width}x${height}-${bandwidth}` : `${bandwidth}`,
+        type: 'video',
+        url: resolveUri(uri, baseUrl),
+        width: width || null,
+        height: height || null,
+        bandwidth,
+        averageBandwidth: parseInt(attrs['AVERAGE-BANDWIDTH']) || null,
+        codecs: attrs.CODECS || null,
+        frameRate: parseFloat(attrs['FRAME-RATE']) || null,
+        audioGroup: attrs.AUDIO || null
+      });
+    }
+  }
+
+  // Link each variant to the best rendition in its audio group
+  for (const variant of variants) {
+    const renditions = audio
+      .filter(a => variant.audioGroup && a.groupId === variant.audioGroup)
+      .sort((a, b) => b.bandwidth - a.bandwidth);
+    variant.audioUrl = renditions.length > 0 ? renditions[0].url : null;
+  }
+
+  return {
+    variants: sortVariants(variants),
+    audio: audio.sort((a, b) => b.bandwidth - a.bandwidth)
+  };
+}
+
+/**
+ * Parse a media playlist into `{ segments, init, targetDuration, duration, endList, encrypted, byteRanges }`.
+ * Each segment is `{ index, url, duration }`; `init` is the `#EXT-X-MAP` initialization
+ * segment of fMP4 playlists (`{ url }`), or null for MPEG-TS.
+ * `encrypted` and `byteRanges` flag features the segment downloader doesn't handle.
+ */
+function parseMediaPlaylist(text, baseUrl) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim());
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist');
+  }
+
+  const segments = [];
+  let init = null;
+  let targetDuration = null;
+  let endList = false;
+  let encrypted = false;
+  let byteRanges = false;
+  let segmentDuration = null;
+
+  for (const line of lines) {
+    if (!line) continue;
+
+    if (line.startsWith('#EXTINF:')) {
+      segmentDuration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      targetDuration = parseFloat(line.slice('#EXT-X-TARGETDURATION:'.length)) || null;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+      if (attrs.URI) init = { url: resolveUri(attrs.URI, baseUrl) };
+      if (attrs.BYTERANGE) byteRanges = true;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+      if (attrs.METHOD && attrs.METHOD !== 'NONE') encrypted = true;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byteRanges = true;
+    } else if (line === '#EXT-X-ENDLIST') {
+      endList = true;
+    } else if (!line.startsWith('#')) {
+      segments.push({ index: segments.length, url: resolveUri(line, baseUrl), duration: segmentDuration ?? 0 });
+      segmentDuration = null;
+    }
+  }
+
+  const duration = segments.reduce((sum, s) => sum + s.duration, 0);
+  return { segments, init, targetDuration, duration: parseFloat(duration.toFixed(3)), endList, encrypted, byteRanges };
+}
+
+/**
+ * Sort video variants best first: by height, then bandwidth
+ */
+function sortVariants(variants) {
+  return [...variants].sort((a, b) => (b.height || 0) - (a.height || 0) || b.bandwidth - a.bandwidth);
+}
+
+/**
+ * Pick a variant for a quality setting:
+ * `best`, `worst`, `audio` (best audio-only rendition), a max height (`480` or `"480p"`)
+ * or a variant/rendition `id` from the probe results.
+ */
+function selectVariant(variants, audio, quality = 'best') {
+  if (quality === 'audio') {
+    if (audio.length === 0) throw new Error('No audio-only rendition available for this video');
+    return audio[0];
+  }
+
+  if (variants.length === 0) {
+    throw new Error('No video variants available');
+  }
+
+  if (quality === 'best' || quality === undefined || quality === null || quality === '') {
+    return variants[0];
+  }
+
+  if (quality === 'worst') {
+    return variants[variants.length - 1];
+  }
+
+  const maxHeight = typeof quality === 'number' ? quality : (String(quality).match(/^(\d+)p?$/) || [])[1];
+  if (maxHeight) {
+    // Best variant that fits, or the smallest one if none do
+    return variants.find(v => v.height && v.height <= parseInt(maxHeight)) || variants[variants.length - 1];
+  }
+
+  const explicit = [...variants, ...audio].find(v => v.id === quality);
+  if (!explicit) {
+    throw new Error(`Unknown quality "${quality}"`);
+  }
+  return explicit;
+}
+
+/**
+ * Check a quality setting is one selectVariant understands, without any variants at hand
+ */
+function isValidQuality(quality) {
+  return quality === undefined ||
+    typeof quality === 'number' ||
+    (typeof quality === 'string' && /^[\w.-]+$/.test(quality));
+}
+
+module.exports = {
+  parseAttributes,
+  isMasterPlaylist,
+  parseMasterPlaylist,
+  parseMediaPlaylist,
+  sortVariants,
+  selectVariant,
+  isValidQuality
+};
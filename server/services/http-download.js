@@ -0,0 +1,354 @@
+/**
+ * HTTP Download
+ *
+ * Downloads a URL to a file over http(s), surviving flaky connections:
+ * data goes to `<dest>.part` and is renamed only once its size matches what
+ * the server announced, interrupted transfers resume with a Range request,
+ * network errors, stalls and 5xx/429 responses are retried with exponential
+ * backoff, and a transfer that receives nothing for `stallTimeout` is dropped.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const DEFAULTS = {
+  retries: 5,
+  minDelay: 1000,
+  maxDelay: 30000,
+  stallTimeout: 30000,
+  maxRedirects: 10
+};
+
+const PROGRESS_INTERVAL = 250;
+
+function downloadError(message, { retryable = false, code } = {}) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  if (code) error.code = code;
+  return error;
+}
+
+function cancelledError() {
+  return downloadError('Download cancelled', { code: 'CANCELLED' });
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): minDelay doubling up to maxDelay
+ */
+function backoffDelay(attempt, { minDelay, maxDelay }) {
+  return Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Range and total size from a `Content-Range: bytes 100-199/200` header. A 416 sends
+ * `*` in place of the range, which leaves start and end null; total is null when it's `*`.
+ */
+function parseContentRange(header) {
+  const match = (header || '').match(/bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)/i);
+  if (!match) return null;
+  const toInt = (value) => (value === undefined ? null : parseInt(value));
+  return { start: toInt(match[1]), end: toInt(match[2]), total: match[3] === '*' ? null : parseInt(match[3]) };
+}
+
+/**
+ * One request: append to the .part file from `offset`, following redirects.
+ * Resolves with `{ url, totalBytes }` (the final URL, and the size the server announced
+ * or null) once the response has been written.
+ */
+function requestOnce(url, partPath, offset, state, options) {
+  const { signal, stallTimeout, maxRedirects, onData, headers: extraHeaders, checkUrl, lookup } = options;
+
+  return new Promise((resolve, reject) => {
+    let request = null;
+    let stallTimer = null;
+    let settled = false;
+    let writing = false;
+    let stallError = null;
+
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(stallTimer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(value);
+    };
+
+    // Reset on every chunk; firing means the connection went quiet
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        stallError = downloadError(`No data received for ${stallTimeout / 1000}s`, { retryable: true, code: 'STALLED' });
+        request?.destroy(stallError);
+      }, stallTimeout);
+    };
+
+    const onAbort = () => {
+      request?.destroy();
+      finish(cancelledError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const get = (currentUrl, redirects) => {
+      if (redirects > maxRedirects) {
+        finish(downloadError('Too many redirects'));
+        return;
+      }
+
+      // Vetted on every hop, so a redirect can't lead anywhere the first URL couldn't
+      Promise.resolve()
+        .then(() => checkUrl?.(currentUrl))
+        .then(() => {
+          // send throws for URLs http.get won't take, such as other protocols
+          if (!settled) send(currentUrl, redirects);
+        })
+        .catch(finish);
+    };
+
+    const send = (currentUrl, redirects) => {
+      const protocol = currentUrl.startsWith('https') ? https : http;
+      // Per-URL headers let cookies follow a redirect to another host only when they apply there
+      const headers = { ...(typeof extraHeaders === 'function' ? extraHeaders(currentUrl) : extraHeaders) };
+      if (offset > 0) {
+        headers.Range = `bytes=${offset}-`;
+        // Only resume if the file hasn't changed since the first attempt
+        if (state.validator) headers['If-Range'] = state.validator;
+      }
+
+      armStallTimer();
+      request = protocol.get(currentUrl, { headers, ...(lookup && { lookup }) }, (response) => {
+        const { statusCode } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
+          response.resume();
+          let location;
+          try {
+            location = new URL(response.headers.location, currentUrl).toString();
+          } catch {
+            finish(downloadError(`Bad redirect location: ${response.headers.location}`));
+            return;
+          }
+          get(location, redirects + 1);
+          return;
+        }
+
+        if (statusCode === 416 && offset > 0) {
+          // Nothing left past offset: either the .part is already whole or it's stale
+          response.resume();
+          const range = parseContentRange(response.headers['content-range']);
+          if (range?.total === offset) {
+            finish(null, { url: currentUrl, totalBytes: offset });
+          } else {
+            fs.rmSync(partPath, { force: true });
+            finish(downloadError('Range not satisfiable, restarting', { retryable: true }));
+          }
+          return;
+        }
+
+        if (statusCode >= 500 || statusCode === 429) {
+          response.resume();
+          finish(downloadError(`Download failed: ${statusCode}`, { retryable: true }));
+          return;
+        }
+
+        if (statusCode !== 200 && statusCode !== 206) {
+          response.resume();
+          finish(downloadError(`Download failed: ${statusCode}`));
+          return;
+        }
+
+        // A 200 to a Range request means the server is sending the whole file again
+        const resuming = statusCode === 206 && offset > 0;
+        const range = statusCode === 206 ? parseContentRange(response.headers['content-range']) : null;
+        if (resuming && range && range.start !== offset) {
+          response.resume();
+          fs.rmSync(partPath, { force: true });
+          finish(downloadError(`Server resumed at byte ${range.start} instead of ${offset}`, { retryable: true }));
+          return;
+        }
+
+        const length = parseInt(response.headers['content-length']);
+        const totalBytes = range?.total ?? (Number.isNaN(length) ? null : (resuming ? offset : 0) + length);
+        state.validator = state.validator || response.headers.etag || response.headers['last-modified'] || null;
+
+        const file = fs.createWriteStream(partPath, { flags: resuming ? 'a' : 'w' });
+        writing = true;
+        let received = resuming ? offset : 0;
+
+        response.on('data', (chunk) => {
+          armStallTimer();
+          received += chunk.length;
+          onData(received, totalBytes);
+        });
+        response.pipe(file);
+
+        file.on('error', (err) => {
+          response.destroy();
+          finish(err);
+        });
+
+        // Wait for the file to flush before checking what arrived
+        file.on('finish', () => {
+          if (!response.complete) return;
+          finish(null, { url: currentUrl, totalBytes });
+        });
+
+        response.on('error', () => {});
+        response.on('close', () => {
+          if (response.complete) return;
+          const cause = stallError || response.errored;
+          const error = signal?.aborted
+            ? cancelledError()
+            : downloadError(cause?.message || 'Connection dropped mid-download', { retryable: true, code: cause?.code || 'INTERRUPTED' });
+          // Let what did arrive reach the disk, so the next attempt resumes from the right offset
+          file.end(() => finish(error));
+        });
+      });
+
+      request.on('error', (err) => {
+        if (signal?.aborted) {
+          finish(cancelledError());
+          return;
+        }
+        // Once the body is streaming, the response's close handler reports the failure after the file flushes
+        if (writing) return;
+        // Connection-level failures (reset, refused, DNS, stall) are all worth retrying
+        err.retryable = err.retryable ?? true;
+        finish(err);
+      });
+    };
+
+    get(url, 0);
+  });
+}
+
+/**
+ * Download `url` to `destPath`.
+ *
+ * `onProgress({ bytes, totalBytes, percent })` is called at most every 250ms, and
+ * `onRetry({ attempt, retries, delay, error })` before each retry. `headers` is sent with
+ * every request, either as an object or as a function of the URL being requested.
+ * `checkUrl(url)` is awaited before the request and before following each redirect;
+ * when it rejects, the download fails with its error without retrying. `lookup` is
+ * passed to http.get, to resolve host names another way.
+ * Failed attempts that received data reset the retry count, so a long download
+ * over a flaky connection keeps going as long as it makes progress.
+ * Resolves with `{ path, bytes, totalBytes, attempts, resumed }`, where totalBytes is the size the
+ * server announced (null if it didn't); the .part file is removed on failure.
+ */
+async function downloadFile(url, destPath, options = {}) {
+  const { onProgress, onRetry, signal, ...rest } = options;
+  const config = { ...DEFAULTS, ...rest };
+  const partPath = `${destPath}.part`;
+  const state = { validator: null };
+
+  let lastReport = 0;
+  const onData = (bytes, totalBytes) => {
+    const now = Date.now();
+    if (!onProgress || now - lastReport < PROGRESS_INTERVAL) return;
+    lastReport = now;
+    onProgress({ bytes, totalBytes, percent: totalBytes ? Math.round((bytes / totalBytes) * 100) : undefined });
+  };
+
+  // A .part left by a crashed run can't be checked against the server's copy, so start over
+  fs.rmSync(partPath, { force: true });
+
+  let currentUrl = url;
+  let failures = 0;
+  let attempts = 0;
+  let resumed = false;
+
+  try {
+    while (true) {
+      if (signal?.aborted) throw cancelledError();
+
+      const offset = fileSize(partPath);
+      resumed = resumed || offset > 0;
+      attempts++;
+
+      try {
+        const result = await requestOnce(currentUrl, partPath, offset, state, { ...config, signal, onData });
+        currentUrl = result.url;
+
+        const bytes = fileSize(partPath);
+        if (result.totalBytes !== null && bytes !== result.totalBytes) {
+          // More than announced can't be fixed by resuming
+          if (bytes > result.totalBytes) fs.rmSync(partPath, { force: true });
+          throw downloadError(`Incomplete download: got ${bytes} of ${result.totalBytes} bytes`, { retryable: true, code: 'INCOMPLETE' });
+        }
+
+        fs.renameSync(partPath, destPath);
+        onProgress?.({ bytes, totalBytes: result.totalBytes ?? bytes, percent: 100 });
+        return { path: destPath, bytes, totalBytes: result.totalBytes, attempts, resumed };
+      } catch (error) {
+        if (error.code === 'CANCELLED' || !error.retryable) throw error;
+
+        failures = fileSize(partPath) > offset ? 1 : failures + 1;
+        if (failures > config.retries) {
+          throw downloadError(`${error.message} (gave up after ${attempts} attempts)`, { code: error.code });
+        }
+
+        const delay = backoffDelay(failures, config);
+        onRetry?.({ attempt: failures, retries: config.retries, delay, error });
+        await sleep(delay, signal);
+      }
+    }
+  } catch (error) {
+    fs.rmSync(partPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * `Cookie` header value for a request to `url`, from browser cookies shaped like
+ * Playwright's `context.cookies()` (`{ name, value, domain, path, secure, expires }`).
+ * Only cookies whose domain, path and scheme match are included; null if none do.
+ */
+function cookieHeader(cookies, url) {
+  if (!cookies?.length) return null;
+  const { hostname, pathname, protocol } = new URL(url);
+  const now = Date.now() / 1000;
+
+  const matching = cookies.filter((cookie) => {
+    const domain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+    const domainMatches = hostname === domain || (cookie.domain?.startsWith('.') && hostname.endsWith(`.${domain}`));
+    const cookiePath = cookie.path || '/';
+    const pathMatches = pathname === cookiePath || pathname.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`);
+    const expired = cookie.expires > 0 && cookie.expires < now;
+    return domainMatches && pathMatches && !expired && !(cookie.secure && protocol !== 'https:');
+  });
+
+  return matching.length > 0 ? matching.map(c => `${c.name}=${c.value}`).join('; ') : null;
+}
+
+module.exports = {
+  DEFAULTS,
+  downloadFile,
+  cookieHeader,
+  backoffDelay,
+  parseContentRange
+};
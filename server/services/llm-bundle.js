@@ -0,0 +1,255 @@
+const { spawn } = require('child_process');
+
+const DEFAULTS = {
+  maxDimension: 1024,
+  quality: 80,
+  maxBytes: 10 * 1024 * 1024,
+  maxTokens: null,
+  // Most frames a bundle holds, whatever the budget
+  maxFrames: 100
+};
+
+// Frames encoded up front to estimate the size of the rest
+const SAMPLE_FRAMES = 3;
+
+/**
+ * LLM Bundle Service
+ *
+ * Packs a downloaded video's metadata and frames into one JSON or Markdown
+ * document, with frames resized and re-encoded as base64 JPEG data URIs.
+ * How many frames fit the byte or token budget is estimated from a few
+ * sample encodes, so only the frames that go in the bundle are encoded.
+ * Frames are picked evenly across the video.
+ */
+class LlmBundle {
+  constructor(videoLibrary, videoDownloader) {
+    this.videoLibrary = videoLibrary;
+    this.videoDownloader = videoDownloader;
+  }
+
+  log(message, level = 'info') {
+    const emoji = {
+      info: '🧠',
+      success: '✅',
+      warning: '⚠️',
+      error: '❌'
+    }[level] || '🧠';
+    console.log(`${emoji} [LlmBundle] ${message}`);
+  }
+
+  /**
+   * Map a 1-100 JPEG quality to ffmpeg's -q:v scale, where 2 is best and 31 worst
+   */
+  ffmpegQuality(quality) {
+    return Math.round(31 - ((Math.max(1, Math.min(100, quality)) - 1) / 99) * 29);
+  }
+
+  /**
+   * Resize a frame to fit maxDimension and re-encode it as JPEG
+   */
+  async encodeFrame(framePath, maxDimension, quality) {
+    const ffmpegPath = await this.videoDownloader.getFfmpegPath();
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-v', 'error',
+        '-i', framePath,
+        '-vf', `scale=w='min(iw,${maxDimension})':h='min(ih,${maxDimension})':force_original_aspect_ratio=decrease`,
+        '-q:v', String(this.ffmpegQuality(quality)),
+        '-frames:v', '1',
+        '-f', 'image2pipe',
+        '-vcodec', 'mjpeg',
+        'pipe:1'
+      ], { windowsHide: true });
+
+      const chunks = [];
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.on('close', (code) => {
+        if (code === 0 && chunks.length > 0) resolve(Buffer.concat(chunks));
+        else reject(new Error(`Failed to encode ${framePath}`));
+      });
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  /**
+   * Read the pixel size from a JPEG's start-of-frame marker
+   */
+  jpegSize(buffer) {
+    let offset = 2;
+    while (offset < buffer.length - 8) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+    return { width: null, height: null };
+  }
+
+  /**
+   * Rough token cost of an image, using the common width * height / 750 estimate
+   */
+  imageTokens(width, height) {
+    return width && height ? Math.ceil((width * height) / 750) : 0;
+  }
+
+  /**
+   * Pick `count` items spread evenly across a list, always keeping the first and last
+   */
+  pickEvenly(items, count) {
+    if (count >= items.length) return items;
+    if (count <= 0) return [];
+    if (count === 1) return [items[0]];
+    const picked = new Set(Array.from({ length: count }, (_, i) => Math.round((i * (items.length - 1)) / (count - 1))));
+    return [...picked].map(i => items[i]);
+  }
+
+  /**
+   * Build the bundle for a library entry. Resolves with null if the download doesn't exist.
+   */
+  async build(id, options = {}) {
+    const entry = await this.videoLibrary.get(id);
+    if (!entry) return null;
+
+    const { maxDimension, quality, maxBytes, maxTokens, maxFrames } = { ...DEFAULTS, ...options };
+    const { metadata } = entry;
+
+    // Every frame of every video, in order, with its timestamp from the manifest if there is one
+    const candidates = entry.videos.flatMap(video => video.frames.map((framePath, i) => ({
+      video: video.index,
+      index: i + 1,
+      path: framePath,
+      timestamp: video.frameManifest?.[i]?.timestamp ?? null,
+      time: video.frameManifest?.[i]?.time ?? null
+    })));
+
+    const document = {
+      id,
+      // Downloads from before extractors existed are all from X.com
+      source: metadata.site || 'x.com',
+      url: metadata.url,
+      username: metadata.username,
+      tweet_id: metadata.tweet_id,
+      media_type: metadata.media_type || 'video',
+      downloaded_at: metadata.downloaded_at,
+      tweet: metadata.tweet || null,
+      duration_seconds: parseFloat(metadata.duration_seconds) || null,
+      video_count: entry.videos.length,
+      videos: entry.videos.map(v => ({ index: v.index, duration_seconds: parseFloat(v.duration_seconds) || null }))
+    };
+    const textTokens = Math.ceil(JSON.stringify(document).length / 4);
+
+    const encoded = new Map();
+    const encode = async (frame) => {
+      if (encoded.has(frame.path)) return;
+      const buffer = await this.encodeFrame(frame.path, maxDimension, quality);
+      const { width, height } = this.jpegSize(buffer);
+      const dataUri = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+      encoded.set(frame.path, { width, height, bytes: dataUri.length, tokens: this.imageTokens(width, height), dataUri });
+    };
+
+    // Estimate how many frames fit from a few spread across the video
+    const samples = this.pickEvenly(candidates, SAMPLE_FRAMES);
+    for (const frame of samples) await encode(frame);
+    const average = (key) => samples.reduce((sum, frame) => sum + encoded.get(frame.path)[key], 0) / samples.length;
+
+    let count = Math.min(candidates.length, maxFrames);
+    if (samples.length > 0 && maxBytes) count = Math.min(count, Math.floor(maxBytes / average('bytes')));
+    if (samples.length > 0 && maxTokens) count = Math.min(count, Math.floor(Math.max(0, maxTokens - textTokens) / average('tokens')));
+
+    let selected = this.pickEvenly(candidates, count);
+    for (const frame of selected) await encode(frame);
+
+    // The estimate can be low; thin out the encoded frames until they fit
+    while (selected.length > 0) {
+      const totals = selected.reduce((sum, frame) => ({
+        bytes: sum.bytes + encoded.get(frame.path).bytes,
+        tokens: sum.tokens + encoded.get(frame.path).tokens
+      }), { bytes: 0, tokens: textTokens });
+
+      const byteRatio = maxBytes ? totals.bytes / maxBytes : 0;
+      const tokenRatio = maxTokens ? totals.tokens / maxTokens : 0;
+      const ratio = Math.max(byteRatio, tokenRatio);
+      if (ratio <= 1) break;
+
+      selected = this.pickEvenly(selected, Math.min(selected.length - 1, Math.floor(selected.length / ratio)));
+    }
+
+    const frames = selected.map((frame) => {
+      const { width, height, bytes, tokens, dataUri } = encoded.get(frame.path);
+      return {
+        video: frame.video,
+        index: frame.index,
+        timestamp: frame.timestamp,
+        time: frame.time,
+        width,
+        height,
+        bytes,
+        estimated_tokens: tokens,
+        data_uri: dataUri
+      };
+    });
+
+    if (frames.length < candidates.length) {
+      this.log(`Dropped ${candidates.length - frames.length}/${candidates.length} frames of ${id} to fit the budget`, 'warning');
+    }
+
+    return {
+      ...document,
+      options: { max_dimension: maxDimension, quality, max_bytes: maxBytes, max_tokens: maxTokens, max_frames: maxFrames },
+      frame_count: frames.length,
+      frames_available: candidates.length,
+      frames_dropped: candidates.length - frames.length,
+      total_bytes: frames.reduce((sum, f) => sum + f.bytes, 0),
+      estimated_tokens: frames.reduce((sum, f) => sum + f.estimated_tokens, textTokens),
+      frames
+    };
+  }
+
+  /**
+   * Render a bundle as Markdown, with frames as inline images
+   */
+  toMarkdown(bundle) {
+    const lines = [
+      `# Video from ${bundle.tweet_id ? `@${bundle.username}` : bundle.source}`,
+      '',
+      `- URL: ${bundle.url}`,
+      ...(bundle.tweet_id ? [`- Tweet ID: ${bundle.tweet_id}`] : []),
+      `- Duration: ${bundle.duration_seconds ?? 'unknown'}s`,
+      `- Videos: ${bundle.video_count}`,
+      `- Frames: ${bundle.frame_count} of ${bundle.frames_available}${bundle.frames_dropped ? ` (${bundle.frames_dropped} dropped to fit the budget)` : ''}`,
+      `- Downloaded: ${bundle.downloaded_at}`,
+      ''
+    ];
+
+    const { tweet } = bundle;
+    if (tweet) {
+      const author = [tweet.author?.display_name, tweet.author?.username && `@${tweet.author.username}`].filter(Boolean).join(' ');
+      lines.push('## Post', '');
+      if (author) lines.push(`- Author: ${author}`);
+      if (tweet.created_at) lines.push(`- Posted: ${tweet.created_at}`);
+      if (tweet.reply_to) lines.push(`- Replying to: @${tweet.reply_to.username}`);
+      const metrics = Object.entries(tweet.metrics || {}).filter(([, v]) => typeof v === 'number');
+      if (metrics.length > 0) lines.push(`- Engagement: ${metrics.map(([k, v]) => `${v} ${k}`).join(', ')}`);
+      lines.push('', ...tweet.text.split('\n').map(l => `> ${l}`), '');
+      if (tweet.quote) {
+        lines.push(`Quoting @${tweet.quote.username}:`, '', ...tweet.quote.text.split('\n').map(l => `> ${l}`), '');
+      }
+    }
+
+    lines.push('## Frames', '');
+
+    for (const frame of bundle.frames) {
+      const video = bundle.video_count > 1 ? `Video ${frame.video}, ` : '';
+      const label = `${video}Frame ${frame.index}${frame.time ? ` at ${frame.time}` : ''}`;
+      lines.push(`### ${label}`, '', `![${label}](${frame.data_uri})`, '');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = LlmBundle;
@@ -0,0 +1,117 @@
+/**
+ * Media Probe
+ *
+ * Turns `ffprobe -show_format -show_streams -of json` output into the
+ * `streams` block saved in metadata.json: the container format plus the
+ * details of each video and audio stream. Everything here is a pure
+ * function of the parsed JSON.
+ */
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toInteger(value) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Frames per second from ffprobe's `30000/1001`-style rates, to three decimals
+ */
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!(num > 0) || !(den > 0)) return null;
+  return Math.round((num / den) * 1000) / 1000;
+}
+
+/**
+ * Clockwise rotation in degrees (0, 90, 180 or 270) a player applies to a video stream.
+ * Older ffprobe reports it as a `rotate` tag, newer as display matrix side data
+ * (counter-clockwise, so negated).
+ */
+function parseRotation(stream) {
+  const tag = toInteger(stream.tags?.rotate);
+  const matrix = (stream.side_data_list || []).find(d => typeof d.rotation === 'number');
+  const degrees = tag ?? (matrix ? -matrix.rotation : 0);
+  return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+function parseVideoStream(stream) {
+  const rotation = parseRotation(stream);
+  const sideways = rotation === 90 || rotation === 270;
+  return {
+    index: stream.index,
+    codec: stream.codec_name || null,
+    profile: stream.profile || null,
+    width: stream.width || null,
+    height: stream.height || null,
+    // Size as shown, after rotation
+    display_width: (sideways ? stream.height : stream.width) || null,
+    display_height: (sideways ? stream.width : stream.height) || null,
+    display_aspect_ratio: stream.display_aspect_ratio && stream.display_aspect_ratio !== '0:1' ? stream.display_aspect_ratio : null,
+    pixel_format: stream.pix_fmt || null,
+    frame_rate: parseFrameRate(stream.avg_frame_rate) ?? parseFrameRate(stream.r_frame_rate),
+    frame_count: toInteger(stream.nb_frames),
+    bit_rate: toInteger(stream.bit_rate),
+    rotation,
+    duration: toNumber(stream.duration)
+  };
+}
+
+function parseAudioStream(stream) {
+  return {
+    index: stream.index,
+    codec: stream.codec_name || null,
+    profile: stream.profile || null,
+    sample_rate: toInteger(stream.sample_rate),
+    channels: stream.channels || null,
+    channel_layout: stream.channel_layout || null,
+    bit_rate: toInteger(stream.bit_rate),
+    language: stream.tags?.language && stream.tags.language !== 'und' ? stream.tags.language : null,
+    duration: toNumber(stream.duration)
+  };
+}
+
+/**
+ * Build the `streams` block from ffprobe's JSON: `{ format, video, audio }`.
+ * Cover art attached to audio files is not counted as a video stream.
+ */
+function parseProbe(json) {
+  const streams = Array.isArray(json?.streams) ? json.streams : [];
+  const format = json?.format || {};
+
+  return {
+    format: {
+      name: format.format_name || null,
+      long_name: format.format_long_name || null,
+      duration: toNumber(format.duration),
+      size: toInteger(format.size),
+      bit_rate: toInteger(format.bit_rate),
+      stream_count: format.nb_streams ?? streams.length
+    },
+    video: streams
+      .filter(s => s.codec_type === 'video' && !s.disposition?.attached_pic)
+      .map(parseVideoStream),
+    audio: streams
+      .filter(s => s.codec_type === 'audio')
+      .map(parseAudioStream)
+  };
+}
+
+/**
+ * The duration of probed media: the container's, or else its longest stream's
+ */
+function probeDuration(probe) {
+  if (probe.format.duration > 0) return probe.format.duration;
+  const durations = [...probe.video, ...probe.audio].map(s => s.duration || 0);
+  return durations.length > 0 ? Math.max(...durations) : null;
+}
+
+module.exports = {
+  parseFrameRate,
+  parseRotation,
+  parseProbe,
+  probeDuration
+};
@@ -0,0 +1,34 @@
+/**
+ * Metadata Lock
+ *
+ * Serialises updates to a saved download's metadata.json. Clip exports,
+ * reused downloads, contact sheets and retention's frame pruning each read
+ * the file, work for a while and write it back; run through the lock, one
+ * of them can't write back a copy read before another's change landed.
+ * Locks are per download folder and live in this module, so every service
+ * in the process shares them.
+ */
+
+const path = require('path');
+
+// Folder path -> promise settling when the last queued task for it has finished
+const tails = new Map();
+
+/**
+ * Run `task()` once every task queued before it for the same folder has settled.
+ * Resolves or rejects with the task's own result.
+ */
+function withMetadataLock(videoDir, task) {
+  const key = path.resolve(videoDir);
+  const run = (tails.get(key) || Promise.resolve()).then(() => task());
+  const tail = run.catch(() => {});
+  tails.set(key, tail);
+  tail.then(() => {
+    if (tails.get(key) === tail) tails.delete(key);
+  });
+  return run;
+}
+
+module.exports = {
+  withMetadataLock
+};
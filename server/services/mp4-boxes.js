@@ -0,0 +1,77 @@
+/**
+ * MP4 Boxes
+ *
+ * Reads the top-level boxes (atoms) of an MP4/M4A file to tell a complete file
+ * from a truncated one: every box must fit inside the file, and the `moov` box
+ * holding the sample tables must be there. Only box headers are read, so this
+ * is cheap even for large files.
+ */
+const fs = require('fs').promises;
+
+/**
+ * List a file's top-level boxes as `[{ type, offset, size }]`. Resolves with
+ * `{ boxes, fileSize, error }`, where error describes the first box that is
+ * malformed or runs past the end of the file (null if none).
+ */
+async function readTopLevelBoxes(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+    const boxes = [];
+    let offset = 0;
+
+    while (offset < fileSize) {
+      const { bytesRead } = await handle.read(header, 0, 16, offset);
+      if (bytesRead < 8) {
+        return { boxes, fileSize, error: `${fileSize - offset} stray bytes at the end of the file` };
+      }
+
+      const type = header.toString('latin1', 4, 8);
+      // Box types are four printable characters; anything else is not a box header
+      if (!/^[\x20-\x7e]{4}$/.test(type)) {
+        return { boxes, fileSize, error: `No valid box at byte ${offset}` };
+      }
+      let size = header.readUInt32BE(0);
+      let headerSize = 8;
+      if (size === 1) {
+        // 64-bit size follows the type
+        if (bytesRead < 16) return { boxes, fileSize, error: `${type} box header is cut off` };
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        // The box runs to the end of the file
+        size = fileSize - offset;
+      }
+
+      if (size < headerSize) {
+        return { boxes, fileSize, error: `Invalid ${type} box size ${size} at byte ${offset}` };
+      }
+
+      boxes.push({ type, offset, size });
+      if (offset + size > fileSize) {
+        return { boxes, fileSize, error: `${type} box is cut off: ${fileSize - offset} of ${size} bytes` };
+      }
+      offset += size;
+    }
+
+    return { boxes, fileSize, error: null };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check an MP4 file's box structure. Resolves with `{ ok, detail }`.
+ */
+async function checkMp4Structure(filePath) {
+  const { boxes, error } = await readTopLevelBoxes(filePath);
+  if (error) return { ok: false, detail: error };
+  if (!boxes.some(box => box.type === 'moov')) return { ok: false, detail: 'No moov box' };
+  return { ok: true, detail: [...new Set(boxes.map(box => box.type))].join(', ') };
+}
+
+module.exports = {
+  readTopLevelBoxes,
+  checkMp4Structure
+};
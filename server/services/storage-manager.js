@@ -0,0 +1,348 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { withMetadataLock } = require('./metadata-lock');
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  maxTotalSizeMb: null,
+  maxAgeDays: null,
+  keepVideos: false,
+  intervalMinutes: 60,
+  dryRun: false
+};
+
+const FRAME_FILE = /^frame_\d+\.(jpg|png|webp)$/;
+// VideoDownloader's work folder for a download of <id>, and the earlier copy it replaces
+const WORK_DIR = /^\.(.+)\.download-\w+(\.old)?$/;
+
+/**
+ * Storage Manager
+ *
+ * Reports how much disk the download folders use and enforces the retention
+ * policy: downloads older than `maxAgeDays` go first, then the oldest ones
+ * until the total fits `maxTotalSizeMb`. With `keepVideos`, only frames are
+ * pruned and videos, photos and metadata stay. Runs on startup and every
+ * `intervalMinutes`; `dryRun` reports what would go without touching anything.
+ */
+class StorageManager {
+  /**
+   * `isBusy(id)` says whether a download folder is being written right now, so it's left alone
+   */
+  constructor(videosDir, policy = {}, options = {}) {
+    this.VIDEOS_DIR = videosDir;
+    this.policy = { ...DEFAULTS, ...policy };
+    this.isBusy = options.isBusy || (() => false);
+    this.timer = null;
+    this.lastRun = null;
+    this.running = null;
+  }
+
+  log(message, level = 'info') {
+    const emoji = {
+      info: '🗄️',
+      success: '✅',
+      warning: '⚠️',
+      error: '❌'
+    }[level] || '🗄️';
+    console.log(`${emoji} [StorageManager] ${message}`);
+  }
+
+  /**
+   * Whether the policy sets any limit at all
+   */
+  hasLimits() {
+    return this.policy.maxTotalSizeMb > 0 || this.policy.maxAgeDays > 0;
+  }
+
+  /**
+   * Remove unfinished downloads (see removeStaleWork), then enforce the policy now and every
+   * `intervalMinutes`. Without limits only the unfinished downloads are removed.
+   */
+  start() {
+    // Whatever a stopped process left half-done goes first, with or without limits
+    const cleanup = this.removeStaleWork().catch(error => this.log(`Removing unfinished downloads failed: ${error.message}`, 'error'));
+    if (!this.hasLimits()) return;
+
+    const { maxTotalSizeMb, maxAgeDays, keepVideos, intervalMinutes, dryRun } = this.policy;
+    this.log(`Retention: ${[
+      maxTotalSizeMb > 0 && `max ${maxTotalSizeMb} MB`,
+      maxAgeDays > 0 && `max ${maxAgeDays} days`,
+      keepVideos && 'frames only',
+      dryRun && 'dry run'
+    ].filter(Boolean).join(', ')}`);
+
+    const run = () => {
+      // A manual run is still going; the next tick will catch up
+      if (this.running) return;
+      this.enforce().catch(error => this.log(`Retention run failed: ${error.message}`, 'error'));
+    };
+    cleanup.then(run);
+
+    if (intervalMinutes > 0) {
+      this.timer = setInterval(run, intervalMinutes * 60 * 1000);
+      // Don't keep the process alive just for cleanup
+      this.timer.unref?.();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Total size and file count of a folder, with frames counted separately
+   */
+  async measure(dir) {
+    const totals = { bytes: 0, frameBytes: 0, frameCount: 0 };
+
+    const dirents = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const dirent of dirents) {
+      const entryPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        const sub = await this.measure(entryPath);
+        totals.bytes += sub.bytes;
+        totals.frameBytes += sub.frameBytes;
+        totals.frameCount += sub.frameCount;
+      } else if (dirent.isFile()) {
+        const { size } = await fs.stat(entryPath).catch(() => ({ size: 0 }));
+        totals.bytes += size;
+        if (FRAME_FILE.test(dirent.name)) {
+          totals.frameBytes += size;
+          totals.frameCount++;
+        }
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Measure one download folder. Folders without readable metadata (interrupted
+   * downloads) are included too, dated by their modification time.
+   */
+  async readDownload(id) {
+    const dir = path.join(this.VIDEOS_DIR, id);
+    const metadata = await fs.readFile(path.join(dir, 'metadata.json'), 'utf8')
+      .then(JSON.parse)
+      .catch(() => null);
+    const { mtime } = await fs.stat(dir);
+    const { bytes, frameBytes, frameCount } = await this.measure(dir);
+
+    return {
+      id,
+      size_bytes: bytes,
+      size_mb: (bytes / MB).toFixed(2),
+      frame_count: frameCount,
+      frame_bytes: frameBytes,
+      downloaded_at: metadata?.downloaded_at || mtime.toISOString(),
+      frames_pruned_at: metadata?.frames_pruned_at || null,
+      complete: !!metadata
+    };
+  }
+
+  /**
+   * Storage usage of every download, largest first
+   */
+  async usage() {
+    const dirents = await fs.readdir(this.VIDEOS_DIR, { withFileTypes: true }).catch(() => []);
+    const downloads = await Promise.all(
+      dirents.filter(d => d.isDirectory() && !d.name.startsWith('.')).map(d => this.readDownload(d.name).catch(() => null))
+    );
+    const present = downloads.filter(Boolean).sort((a, b) => b.size_bytes - a.size_bytes);
+    const totalBytes = present.reduce((sum, d) => sum + d.size_bytes, 0);
+
+    return {
+      total_bytes: totalBytes,
+      total_mb: (totalBytes / MB).toFixed(2),
+      download_count: present.length,
+      frame_count: present.reduce((sum, d) => sum + d.frame_count, 0),
+      frame_bytes: present.reduce((sum, d) => sum + d.frame_bytes, 0),
+      downloads: present
+    };
+  }
+
+  /**
+   * Work out what the policy removes, oldest downloads first.
+   * Returns `[{ id, action, reason, bytes }]`, where action is `delete` or `prune_frames`.
+   */
+  plan(downloads, totalBytes) {
+    const { maxTotalSizeMb, maxAgeDays, keepVideos } = this.policy;
+    const oldest = [...downloads].sort((a, b) => new Date(a.downloaded_at) - new Date(b.downloaded_at));
+    const actions = [];
+    let remaining = totalBytes;
+
+    const evict = (download, reason) => {
+      if (keepVideos) {
+        // Only frames can go, so downloads with none left are skipped
+        if (download.frame_count === 0) return;
+        actions.push({ id: download.id, action: 'prune_frames', reason, bytes: download.frame_bytes });
+        remaining -= download.frame_bytes;
+      } else {
+        actions.push({ id: download.id, action: 'delete', reason, bytes: download.size_bytes });
+        remaining -= download.size_bytes;
+      }
+    };
+
+    const candidates = oldest.filter(d => !this.isBusy(d.id));
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * DAY;
+      for (const download of candidates) {
+        if (new Date(download.downloaded_at).getTime() < cutoff) evict(download, 'age');
+      }
+    }
+
+    if (maxTotalSizeMb > 0) {
+      const limit = maxTotalSizeMb * MB;
+      for (const download of candidates) {
+        if (remaining <= limit) break;
+        if (actions.some(a => a.id === download.id)) continue;
+        evict(download, 'size');
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Remove the hidden work folders of downloads that never finished because the process
+   * stopped mid-download or mid-swap; usage() doesn't see them, so they'd pile up unnoticed.
+   * An earlier copy left by a swap goes back in place if the new one never arrived, and
+   * otherwise hands over the clips the new metadata lists. Folders of downloads still
+   * running are left alone. Resolves with the names removed.
+   */
+  async removeStaleWork() {
+    const dirents = await fs.readdir(this.VIDEOS_DIR, { withFileTypes: true }).catch(() => []);
+    const removed = [];
+
+    for (const dirent of dirents) {
+      const match = dirent.isDirectory() && dirent.name.match(WORK_DIR);
+      if (!match || this.isBusy(match[1])) continue;
+
+      const workDir = path.join(this.VIDEOS_DIR, dirent.name);
+      const videoDir = path.join(this.VIDEOS_DIR, match[1]);
+      await withMetadataLock(videoDir, async () => {
+        if (match[2]) {
+          const restored = await fs.rename(workDir, videoDir).then(() => true, (error) => {
+            if (error.code === 'ENOENT' || error.code === 'ENOTEMPTY' || error.code === 'EEXIST') return false;
+            throw error;
+          });
+          if (restored) {
+            this.log(`Restored ${match[1]} from an unfinished re-download`, 'warning');
+            return;
+          }
+          const metadata = await fs.readFile(path.join(videoDir, 'metadata.json'), 'utf8').then(JSON.parse).catch(() => null);
+          for (const clip of Array.isArray(metadata?.clips) ? metadata.clips : []) {
+            const target = path.join(videoDir, clip.file);
+            if (await fs.stat(target).then(() => false, () => true)) {
+              await fs.rename(path.join(workDir, clip.file), target).catch(() => {});
+            }
+          }
+        }
+        await fs.rm(workDir, { recursive: true, force: true });
+        removed.push(dirent.name);
+      });
+    }
+
+    if (removed.length > 0) this.log(`Removed ${removed.length} unfinished download folder(s)`, 'warning');
+    return removed;
+  }
+
+  /**
+   * Delete a frame folder's frames and manifest, and record the pruning in metadata.json
+   */
+  async pruneFrames(id) {
+    const dir = path.join(this.VIDEOS_DIR, id);
+
+    const prune = async (folder) => {
+      const dirents = await fs.readdir(folder, { withFileTypes: true }).catch(() => []);
+      for (const dirent of dirents) {
+        const entryPath = path.join(folder, dirent.name);
+        if (dirent.isDirectory()) await prune(entryPath);
+        else if (FRAME_FILE.test(dirent.name) || dirent.name === 'frames.json') await fs.rm(entryPath, { force: true });
+      }
+    };
+
+    await withMetadataLock(dir, async () => {
+      await prune(dir);
+
+      const metadataPath = path.join(dir, 'metadata.json');
+      const metadata = await fs.readFile(metadataPath, 'utf8').then(JSON.parse).catch(() => null);
+      if (metadata) {
+        metadata.frames_pruned_at = new Date().toISOString();
+        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      }
+    });
+  }
+
+  /**
+   * Apply the retention policy once. `dryRun` (default: the policy's) only reports.
+   * Resolves with `{ dry_run, policy, actions, freed_bytes, total_before, total_after, ran_at }`.
+   * Rejects with code BUSY while another run is in progress.
+   */
+  async enforce(options = {}) {
+    // Overlapping runs (timer and a manual request) would act on the same folders,
+    // and handing back the other run's result would ignore this call's dryRun
+    if (this.running) {
+      const error = new Error('A retention run is already in progress');
+      error.code = 'BUSY';
+      throw error;
+    }
+
+    this.running = (async () => {
+      const dryRun = options.dryRun ?? this.policy.dryRun;
+      if (!dryRun) await this.removeStaleWork();
+      const { downloads, total_bytes: totalBefore } = await this.usage();
+      const actions = this.plan(downloads, totalBefore);
+
+      if (!dryRun) {
+        for (const action of actions) {
+          // A download may have started in the folder since the plan was made
+          if (this.isBusy(action.id)) {
+            action.skipped = true;
+            continue;
+          }
+          if (action.action === 'delete') {
+            // Waits for a clip export or contact-sheet build in the folder to finish,
+            // then checks again for a download started meanwhile
+            const dir = path.join(this.VIDEOS_DIR, action.id);
+            await withMetadataLock(dir, async () => {
+              if (this.isBusy(action.id)) action.skipped = true;
+              else await fs.rm(dir, { recursive: true, force: true });
+            });
+          } else {
+            await this.pruneFrames(action.id);
+          }
+        }
+      }
+
+      const freed = actions.filter(a => !a.skipped).reduce((sum, a) => sum + a.bytes, 0);
+      if (actions.length > 0) {
+        const verb = dryRun ? 'Would free' : 'Freed';
+        this.log(`${verb} ${(freed / MB).toFixed(1)} MB from ${actions.length} download(s)`, dryRun ? 'info' : 'success');
+      }
+
+      this.lastRun = {
+        dry_run: dryRun,
+        policy: this.policy,
+        actions,
+        freed_bytes: freed,
+        total_before: totalBefore,
+        total_after: totalBefore - freed,
+        ran_at: new Date().toISOString()
+      };
+      return this.lastRun;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+}
+
+module.exports = StorageManager;
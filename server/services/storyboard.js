@@ -0,0 +1,86 @@
+/**
+ * Storyboard
+ *
+ * Layout for contact sheets (a video's extracted frames tiled into a grid) and
+ * WebVTT thumbnail storyboards: sprite images of small thumbnails taken every
+ * `interval` seconds, with one cue per thumbnail whose text is
+ * `storyboard_N.jpg#xywh=x,y,w,h`, the form players read for seek previews.
+ * Everything here is a pure function of its input.
+ */
+const { formatCueTime } = require('./transcript-formats');
+
+/**
+ * Short label for a contact sheet cell: `M:SS.s`, or `H:MM:SS.s` from an hour on
+ */
+function formatLabel(seconds) {
+  const tenths = Math.max(0, Math.round(seconds * 10));
+  const hours = Math.floor(tenths / 36000);
+  const minutes = Math.floor((tenths % 36000) / 600);
+  const secs = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Even height for a cell `width` pixels wide showing a sourceWidth × sourceHeight picture (16:9 if unknown)
+ */
+function scaledHeight(width, sourceWidth, sourceHeight) {
+  const aspect = sourceWidth > 0 && sourceHeight > 0 ? sourceHeight / sourceWidth : 9 / 16;
+  return Math.max(2, Math.round((width * aspect) / 2) * 2);
+}
+
+/**
+ * Split items into pages of `size`
+ */
+function paginate(items, size) {
+  const pages = [];
+  for (let i = 0; i < items.length; i += size) pages.push(items.slice(i, i + size));
+  return pages;
+}
+
+/**
+ * Seconds between storyboard thumbnails: `minInterval`, or longer so a video has no more than `maxThumbnails`
+ */
+function storyboardInterval(duration, { minInterval, maxThumbnails }) {
+  const interval = Math.max(minInterval, duration / maxThumbnails);
+  return Math.round(interval * 1000) / 1000;
+}
+
+/**
+ * Where each storyboard thumbnail sits: `[{ start, end, image, x, y }]`, `count` thumbnails
+ * `interval` seconds apart laid out row by row, columns × rows to an image.
+ * `image` is the 1-based sprite image number.
+ */
+function storyboardCells({ count, interval, duration, width, height, columns, rows }) {
+  const cells = [];
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    if (start >= duration) break;
+    const cell = i % (columns * rows);
+    cells.push({
+      start,
+      end: Math.min(duration, start + interval),
+      image: Math.floor(i / (columns * rows)) + 1,
+      x: (cell % columns) * width,
+      y: Math.floor(cell / columns) * height
+    });
+  }
+  return cells;
+}
+
+/**
+ * WebVTT storyboard for storyboardCells; `imageName(n)` names the nth sprite image
+ */
+function toStoryboardVtt(cells, { width, height, imageName }) {
+  const cues = cells.map(c =>
+    `${formatCueTime(c.start)} --> ${formatCueTime(c.end)}\n${imageName(c.image)}#xywh=${c.x},${c.y},${width},${height}`);
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = {
+  formatLabel,
+  scaledHeight,
+  paginate,
+  storyboardInterval,
+  storyboardCells,
+  toStoryboardVtt
+};
@@ -0,0 +1,85 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const Transcriber = require('./transcriber');
+const { parseTranscript } = require('../transcript-formats');
+
+// whisper.cpp's CLI: JSON output to `{output}.json`, with progress on stderr
+const WHISPER_CPP_ARGS = ['-m', '{model}', '-f', '{input}', '-l', '{language}', '-oj', '-of', '{output}', '-pp'];
+
+const DEFAULTS = {
+  command: null,
+  args: WHISPER_CPP_ARGS,
+  model: '',
+  language: 'auto',
+  // What the command writes to `{output}.<format>`: json, vtt or srt
+  output: 'json',
+  // Give up on a run after this many minutes (0 waits forever)
+  timeoutMinutes: 60
+};
+
+/**
+ * Command Transcriber
+ *
+ * Runs a local speech-to-text program, whisper.cpp by default. `args` may use
+ * the placeholders `{input}` (the WAV file), `{output}` (a path without
+ * extension the program writes its transcript to), `{model}` and `{language}`.
+ * Progress is read from `progress = N%` lines, as whisper.cpp prints with `-pp`.
+ */
+class CommandTranscriber extends Transcriber {
+  constructor(options = {}) {
+    super({ ...DEFAULTS, ...options });
+    this.name = 'command';
+    this.label = this.options.label || path.basename(this.options.command || 'command');
+  }
+
+  expandArgs(values) {
+    return this.options.args.map(arg => arg.replace(/\{(input|output|model|language)\}/g, (_, key) => values[key]));
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const { workDir, language = this.options.language, onProgress, signal } = options;
+    const { command, model, output, timeoutMinutes } = this.options;
+    const outputPrefix = path.join(workDir, '.transcript');
+    const outputPath = `${outputPrefix}.${output}`;
+
+    await fs.rm(outputPath, { force: true });
+
+    try {
+      await new Promise((resolve, reject) => {
+        const child = spawn(command, this.expandArgs({ input: audioPath, output: outputPrefix, model, language }), {
+          windowsHide: true,
+          signal,
+          ...(timeoutMinutes > 0 && { timeout: timeoutMinutes * 60 * 1000 })
+        });
+
+        let stderr = '';
+        const watch = (data) => {
+          const text = data.toString();
+          stderr = (stderr + text).slice(-4000);
+          const matches = [...text.matchAll(/progress\s*=\s*(\d+)%/g)];
+          if (matches.length > 0 && onProgress) onProgress(parseInt(matches[matches.length - 1][1]));
+        };
+        child.stdout.on('data', watch);
+        child.stderr.on('data', watch);
+
+        child.on('close', (code, killedBy) => {
+          if (code === 0) resolve();
+          else if (killedBy === 'SIGTERM' && !signal?.aborted) reject(new Error(`Transcription timed out after ${timeoutMinutes} minutes`));
+          else reject(new Error(`Transcription failed: ${stderr.trim().split('\n').pop() || `${command} exited with ${code}`}`));
+        });
+        child.on('error', reject);
+      });
+
+      const text = await fs.readFile(outputPath, 'utf8').catch(() => {
+        throw new Error(`${this.label} did not write ${path.basename(outputPath)}`);
+      });
+      const transcript = parseTranscript(text, output);
+      return { ...transcript, language: transcript.language || (language !== 'auto' ? language : null) };
+    } finally {
+      await fs.rm(outputPath, { force: true });
+    }
+  }
+}
+
+module.exports = CommandTranscriber;
@@ -0,0 +1,27 @@
+const Transcriber = require('./transcriber');
+const CommandTranscriber = require('./command-transcriber');
+
+// Adapters selectable by `type` in the transcription config
+const TRANSCRIBERS = {
+  command: CommandTranscriber
+};
+
+/**
+ * Build the transcriber a plugin's `transcription` config describes, or null when
+ * transcription is off. `adapter` may be a ready Transcriber instance; otherwise
+ * `type` (default `command`) picks one of TRANSCRIBERS and gets the rest as options.
+ */
+function createTranscriber(config = {}) {
+  if (config.adapter instanceof Transcriber) return config.adapter;
+
+  const { type = 'command', ...options } = config;
+  if (type === 'command' && !options.command) return null;
+
+  const Adapter = TRANSCRIBERS[type];
+  if (!Adapter) {
+    throw new Error(`Unknown transcriber type "${type}"`);
+  }
+  return new Adapter(options);
+}
+
+module.exports = { Transcriber, CommandTranscriber, createTranscriber };
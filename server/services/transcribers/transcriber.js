@@ -0,0 +1,32 @@
+/**
+ * Base class for transcribers
+ *
+ * A transcriber turns speech in an audio file into timed text segments,
+ * locally. VideoDownloader hands it a 16 kHz mono WAV and writes the
+ * transcript files and metadata itself, so an adapter only has to produce
+ * segments.
+ *
+ * Subclasses set `name` and `label`, and implement `transcribe`.
+ */
+class Transcriber {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = 'base';
+    this.label = 'Base';
+  }
+
+  /**
+   * Transcribe a 16 kHz mono WAV file. `workDir` is a folder the adapter may write
+   * scratch files to; `onProgress(percent)` reports progress when the adapter knows it.
+   * Resolves with `{ language, segments }`, each segment `{ start, end, text }` in seconds.
+   */
+  async transcribe() {
+    throw new Error(`${this.label} transcriber does not implement transcribe()`);
+  }
+
+  describe() {
+    return { name: this.name, label: this.label };
+  }
+}
+
+module.exports = Transcriber;
@@ -0,0 +1,124 @@
+/**
+ * Transcript Formats
+ *
+ * Converts transcript segments (`[{ start, end, text }]`, times in seconds)
+ * to WebVTT, SRT and plain text, and reads the files transcription tools
+ * write: whisper.cpp's JSON (`-oj`), `{ segments }` JSON, WebVTT and SRT.
+ * Everything here is a pure function of its input.
+ */
+
+/**
+ * Format seconds as `HH:MM:SS.mmm` (WebVTT) or `HH:MM:SS,mmm` (SRT)
+ */
+function formatCueTime(seconds, separator = '.') {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const secs = Math.floor((ms % 60000) / 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Parse `HH:MM:SS.mmm`, `MM:SS.mmm` or the SRT `HH:MM:SS,mmm` to seconds
+ */
+function parseCueTime(value) {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Tidy segments: trim text, drop empty ones, round times to milliseconds and sort by start
+ */
+function normalizeSegments(segments) {
+  return segments
+    .map(s => ({
+      start: Math.round(Math.max(0, s.start) * 1000) / 1000,
+      end: Math.round(Math.max(s.start, s.end) * 1000) / 1000,
+      text: String(s.text || '').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(s => s.text && Number.isFinite(s.start) && Number.isFinite(s.end))
+    .sort((a, b) => a.start - b.start);
+}
+
+function toVtt(segments) {
+  const cues = segments.map(s => `${formatCueTime(s.start)} --> ${formatCueTime(s.end)}\n${s.text}`);
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toSrt(segments) {
+  return segments
+    .map((s, i) => `${i + 1}\n${formatCueTime(s.start, ',')} --> ${formatCueTime(s.end, ',')}\n${s.text}`)
+    .join('\n\n') + '\n';
+}
+
+function toText(segments) {
+  return segments.map(s => s.text).join('\n') + '\n';
+}
+
+/**
+ * Read WebVTT or SRT cues; both are blocks with a `start --> end` line followed by text
+ */
+function parseCues(text) {
+  const segments = [];
+  for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+
+    const [from, to] = lines[timing].split('-->');
+    const start = parseCueTime(from);
+    // Cue settings may follow the end time
+    const end = parseCueTime(to.trim().split(/\s+/)[0]);
+    if (start === null || end === null) continue;
+
+    // Drop voice and styling tags such as <v Speaker> and <i>
+    segments.push({ start, end, text: lines.slice(timing + 1).join(' ').replace(/<[^>]+>/g, '') });
+  }
+  return normalizeSegments(segments);
+}
+
+/**
+ * Read whisper.cpp `-oj` output (`transcription[].offsets` in ms) or `{ segments: [{ start, end, text }] }`.
+ * Returns `{ language, segments }`.
+ */
+function parseTranscriptJson(json) {
+  if (Array.isArray(json.transcription)) {
+    return {
+      language: json.result?.language || null,
+      segments: normalizeSegments(json.transcription.map(t => ({
+        start: (t.offsets?.from ?? 0) / 1000,
+        end: (t.offsets?.to ?? 0) / 1000,
+        text: t.text
+      })))
+    };
+  }
+
+  if (Array.isArray(json.segments)) {
+    return { language: json.language || null, segments: normalizeSegments(json.segments) };
+  }
+
+  throw new Error('Transcript JSON has neither `transcription` nor `segments`');
+}
+
+/**
+ * Parse a transcript file's contents by format (`json`, `vtt` or `srt`) into `{ language, segments }`
+ */
+function parseTranscript(text, format) {
+  if (format === 'json') return parseTranscriptJson(JSON.parse(text));
+  if (format === 'vtt' || format === 'srt') return { language: null, segments: parseCues(text) };
+  throw new Error(`Unknown transcript format "${format}"`);
+}
+
+module.exports = {
+  formatCueTime,
+  parseCueTime,
+  normalizeSegments,
+  toVtt,
+  toSrt,
+  toText,
+  parseCues,
+  parseTranscriptJson,
+  parseTranscript
+};
@@ -0,0 +1,286 @@
+/**
+ * Tweet Parser
+ *
+ * Extracts a post's text, author, reply/quote context and engagement counts,
+ * either from the GraphQL responses (TweetDetail, TweetResultByRestId) the
+ * X.com page fetches or, failing that, from the rendered page HTML.
+ * Everything here is a pure function of its input, so it works on saved
+ * responses as well as live ones.
+ */
+
+const GRAPHQL_OPERATIONS = ['TweetDetail', 'TweetResultByRestId'];
+
+function isTweetGraphqlUrl(url) {
+  return url.includes('/graphql/') && GRAPHQL_OPERATIONS.some(op => url.includes(`/${op}`));
+}
+
+function toNumber(value) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Convert X's `Wed Nov 15 12:00:00 +0000 2023` dates to ISO 8601
+ */
+function toIsoDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Unwrap `TweetWithVisibilityResults` and similar wrappers around a tweet result
+ */
+function unwrapTweet(result) {
+  if (!result) return null;
+  if (result.tweet && !result.legacy) return result.tweet;
+  return result;
+}
+
+/**
+ * Depth-first search of a GraphQL response for the tweet result with `rest_id === tweetId`
+ */
+function findTweetResult(json, tweetId) {
+  const stack = [json];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') continue;
+
+    const tweet = unwrapTweet(node);
+    if (tweet && tweet.rest_id === tweetId && tweet.legacy) {
+      return tweet;
+    }
+
+    for (const value of Object.values(node)) {
+      if (value && typeof value === 'object') stack.push(value);
+    }
+  }
+  return null;
+}
+
+function parseUser(userResult) {
+  const user = userResult?.result;
+  if (!user) return null;
+
+  const legacy = user.legacy || {};
+  const core = user.core || {};
+  return {
+    id: user.rest_id || null,
+    username: core.screen_name || legacy.screen_name || null,
+    display_name: core.name || legacy.name || null,
+    verified: !!(user.is_blue_verified || legacy.verified),
+    followers_count: toNumber(legacy.followers_count),
+    profile_image_url: user.avatar?.image_url || legacy.profile_image_url_https || null
+  };
+}
+
+/**
+ * Build the `tweet` metadata block from a GraphQL tweet result
+ */
+function parseTweetResult(result) {
+  const tweet = unwrapTweet(result);
+  if (!tweet?.legacy) return null;
+
+  const { legacy } = tweet;
+  const quoted = unwrapTweet(tweet.quoted_status_result?.result);
+  const quotedAuthor = quoted ? parseUser(quoted.core?.user_results) : null;
+
+  return {
+    id: tweet.rest_id,
+    // Long posts keep their full text in note_tweet; legacy.full_text is truncated
+    text: decodeEntities(tweet.note_tweet?.note_tweet_results?.result?.text || legacy.full_text || ''),
+    lang: legacy.lang || null,
+    created_at: toIsoDate(legacy.created_at),
+    author: parseUser(tweet.core?.user_results),
+    reply_to: legacy.in_reply_to_status_id_str
+      ? { tweet_id: legacy.in_reply_to_status_id_str, username: legacy.in_reply_to_screen_name || null }
+      : null,
+    quote: quoted?.legacy
+      ? {
+        tweet_id: quoted.rest_id,
+        username: quotedAuthor?.username || null,
+        display_name: quotedAuthor?.display_name || null,
+        text: decodeEntities(quoted.note_tweet?.note_tweet_results?.result?.text || quoted.legacy.full_text || '')
+      }
+      : null,
+    metrics: {
+      replies: toNumber(legacy.reply_count),
+      reposts: toNumber(legacy.retweet_count),
+      quotes: toNumber(legacy.quote_count),
+      likes: toNumber(legacy.favorite_count),
+      bookmarks: toNumber(legacy.bookmark_count),
+      views: toNumber(tweet.views?.count)
+    },
+    source: 'graphql'
+  };
+}
+
+/**
+ * List a GraphQL tweet result's attached media as
+ * `[{ id, type, url, width, height, variants }]`, where type is `photo`,
+ * `video` or `animated_gif` and variants are the video URLs X offers
+ */
+function parseTweetMedia(result) {
+  const tweet = unwrapTweet(result);
+  const media = tweet?.legacy?.extended_entities?.media || tweet?.legacy?.entities?.media || [];
+  return media.map(m => ({
+    id: m.id_str || null,
+    type: m.type || null,
+    url: m.media_url_https || null,
+    width: toNumber(m.original_info?.width),
+    height: toNumber(m.original_info?.height),
+    variants: (m.video_info?.variants || []).map(v => v.url).filter(Boolean)
+  }));
+}
+
+/**
+ * Find the tweet in one or more GraphQL response bodies and list its media
+ */
+function parseTweetMediaGraphql(responses, tweetId) {
+  for (const json of [].concat(responses)) {
+    const result = findTweetResult(json, tweetId);
+    if (result) return parseTweetMedia(result);
+  }
+  return null;
+}
+
+/**
+ * Find and parse the tweet in one or more GraphQL response bodies
+ */
+function parseTweetGraphql(responses, tweetId) {
+  for (const json of [].concat(responses)) {
+    const result = findTweetResult(json, tweetId);
+    if (result) return parseTweetResult(result);
+  }
+  return null;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Turn an HTML fragment into plain text, keeping emoji images' alt text and line breaks
+ */
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<img[^>]*\balt="([^"]*)"[^>]*>/gi, '$1')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  ).trim();
+}
+
+/**
+ * Inner HTML of the first element carrying `data-testid="<testId>"`, matched by tag depth
+ */
+function findByTestId(html, testId) {
+  const open = new RegExp(`<(\\w+)[^>]*data-testid="${testId}"[^>]*>`, 'i').exec(html);
+  if (!open) return null;
+
+  const tag = open[1];
+  const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  tags.lastIndex = open.index + open[0].length;
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return html.slice(open.index + open[0].length, match.index);
+  }
+  return html.slice(open.index + open[0].length);
+}
+
+/**
+ * Parse counts like "1.2K" or "3,456" from an engagement label
+ */
+function parseCount(text) {
+  const match = text.replace(/,/g, '').match(/([\d.]+)([KMB])?/);
+  if (!match) return null;
+  const scale = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+  return Math.round(parseFloat(match[1]) * scale);
+}
+
+/**
+ * The <article> of the tweet on a status page, or the first one if none links to it
+ */
+function findArticle(html, tweetId) {
+  const articles = html.split(/<article\b/i).slice(1).map(chunk => `<article${chunk}`);
+  return articles.find(a => new RegExp(`/status/${tweetId}["/?]`).test(a)) || articles[0] || null;
+}
+
+/**
+ * Build the `tweet` metadata block from the rendered status page HTML.
+ * Less complete than GraphQL: no quote details or author ID.
+ */
+function parseTweetHtml(html, tweetId) {
+  const article = findArticle(html, tweetId);
+  if (!article) return null;
+
+  const textHtml = findByTestId(article, 'tweetText');
+  const userHtml = findByTestId(article, 'User-Name');
+  const userText = userHtml ? htmlToText(userHtml.replace(/<\/(div|span)>/gi, '$&\n')) : '';
+  const userLines = userText.split('\n').map(l => l.trim()).filter(Boolean);
+  const username = (userLines.find(l => l.startsWith('@')) || '').slice(1) || null;
+  const datetime = (article.match(/<time[^>]*datetime="([^"]+)"/i) || [])[1];
+  const replyTo = (decodeEntities(article.replace(/<[^>]+>/g, ' ')).match(/Replying to\s+@(\w+)/) || [])[1];
+
+  // The action bar's aria-label reads like "12 replies, 34 reposts, 56 likes, 7 bookmarks, 8901 views"
+  const groupLabel = (article.match(/role="group"[^>]*aria-label="([^"]+)"/i) || article.match(/aria-label="([^"]+)"[^>]*role="group"/i) || [])[1] || '';
+  const metric = (name) => {
+    const part = decodeEntities(groupLabel).split(/,\s+/).find(p => new RegExp(`\\b${name}`, 'i').test(p));
+    return part ? parseCount(part) : null;
+  };
+
+  return {
+    id: tweetId,
+    text: textHtml ? htmlToText(textHtml) : '',
+    lang: (article.match(/data-testid="tweetText"[^>]*lang="([^"]+)"/i) || article.match(/lang="([^"]+)"[^>]*data-testid="tweetText"/i) || [])[1] || null,
+    created_at: datetime ? toIsoDate(datetime) : null,
+    author: userLines.length > 0
+      ? { id: null, username, display_name: userLines[0].startsWith('@') ? null : userLines[0], verified: /data-testid="icon-verified"/.test(userHtml), followers_count: null, profile_image_url: null }
+      : null,
+    reply_to: replyTo ? { tweet_id: null, username: replyTo } : null,
+    quote: null,
+    metrics: {
+      replies: metric('repl'),
+      reposts: metric('repost'),
+      quotes: null,
+      likes: metric('like'),
+      bookmarks: metric('bookmark'),
+      views: metric('view')
+    },
+    source: 'html'
+  };
+}
+
+/**
+ * List the photo URLs shown in the tweet's article on the rendered status page.
+ * Photos of a quoted post are rendered inside the same article, so they're included.
+ */
+function parseTweetPhotosHtml(html, tweetId) {
+  const article = findArticle(html, tweetId);
+  if (!article) return [];
+
+  const urls = [...article.matchAll(/<img[^>]*\bsrc="(https:\/\/pbs\.twimg\.com\/media\/[^"]+)"/gi)]
+    .map(match => decodeEntities(match[1]));
+  return [...new Set(urls)];
+}
+
+module.exports = {
+  isTweetGraphqlUrl,
+  findTweetResult,
+  parseTweetResult,
+  parseTweetGraphql,
+  parseTweetMedia,
+  parseTweetMediaGraphql,
+  parseTweetHtml,
+  parseTweetPhotosHtml,
+  htmlToText
+};
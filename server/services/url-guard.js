@@ -0,0 +1,120 @@
+/**
+ * URL Guard
+ *
+ * Keeps downloads of user-supplied URLs on the public internet: a URL is
+ * only fetched when its host, and every address the host resolves to, is
+ * outside the loopback, private, link-local, unique-local and other
+ * non-public ranges. Without it, a link to `http://169.254.169.254/` or a
+ * page redirecting to `http://10.0.0.5/` would have the server fetch from
+ * its own network and save the answer in the library.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Ranges that don't reach the public internet
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, and broadcast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b:1::', 48], // local-use NAT64
+  ['fc00::', 7], // unique-local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+function blockedError(message) {
+  const error = new Error(message);
+  error.code = 'BLOCKED_ADDRESS';
+  // For http-download: the host won't move to a public address on a retry
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Whether an IP address is on the public internet. IPv4-mapped IPv6
+ * addresses (`::ffff:10.0.0.1`) are judged by their IPv4 address.
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  if (family === 4) return !BLOCKED.check(address, 'ipv4');
+
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  // URL parsing writes them in hex: [::ffff:127.0.0.1] becomes [::ffff:7f00:1]
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  return !BLOCKED.check(address, 'ipv6');
+}
+
+/**
+ * Check `url` is an http(s) URL whose host resolves only to public addresses.
+ * Resolves with the addresses; rejects with code BLOCKED_ADDRESS otherwise, or with
+ * the lookup's own error when the host doesn't resolve. `lookup` replaces
+ * dns.promises.lookup, for tests.
+ */
+async function checkPublicUrl(url, { lookup = dns.promises.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw blockedError(`Not a valid URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw blockedError(`Only http and https URLs can be downloaded, not ${parsed.protocol}`);
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (blocked || addresses.length === 0) {
+    throw blockedError(`Refusing to fetch ${parsed.host}: it resolves to ${blocked || 'no address'}, which is not a public address`);
+  }
+  return addresses;
+}
+
+/**
+ * Drop-in for dns.lookup (as http.get's `lookup` option) that fails on non-public
+ * addresses, so a host can't pass checkPublicUrl and then resolve somewhere private
+ * when the connection is made
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(a => !isPublicAddress(a));
+    if (blocked) return callback(blockedError(`Refusing to connect to ${hostname}: it resolves to ${blocked}, which is not a public address`));
+    return callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  checkPublicUrl,
+  publicLookup
+};
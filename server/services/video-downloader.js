@@ -1,20 +1,65 @@
 const { spawn } = require('child_process');
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const { isMasterPlaylist, parseMasterPlaylist, sortVariants, selectVariant } = require('./hls-playlist');
+const { createExtractorRegistry } = require('./extractors');
+const { downloadFile, cookieHeader } = require('./http-download');
+const { checkPublicUrl, publicLookup } = require('./url-guard');
+const { downloadHls } = require('./hls-download');
+const { normalizeSegments, toVtt, toSrt, toText } = require('./transcript-formats');
+const { parseProbe, probeDuration } = require('./media-probe');
+const { checkMp4Structure } = require('./mp4-boxes');
+const { formatLabel, scaledHeight, paginate, storyboardInterval, storyboardCells, toStoryboardVtt } = require('./storyboard');
+const { HASH_WIDTH, HASH_HEIGHT, differenceHash, groupDuplicates } = require('./frame-hash');
+const { withMetadataLock } = require('./metadata-lock');
+
+const SCENE_DEFAULTS = { threshold: 0.3, minFrames: 1, maxFrames: 20 };
+// Frames are written as `format` images no larger than maxWidth × maxHeight (null for no limit), at `quality` 1-100
+const FRAME_OUTPUT_DEFAULTS = { format: 'jpg', maxWidth: null, maxHeight: null, quality: 100, grayscale: false };
+const FRAME_FORMATS = ['jpg', 'png', 'webp'];
+const FRAME_FILE = /^frame_\d+\.(jpg|png|webp)$/;
+// Frames whose hash is at most `maxDistance` bits (of 64) from the last kept frame count as duplicates
+const DEDUPE_DEFAULTS = { maxDistance: 5 };
+// silencedetect settings: quieter than `threshold` dB for at least `minDuration` seconds counts as silence
+const SILENCE_DEFAULTS = { threshold: -35, minDuration: 0.5 };
+const AUDIO_FORMATS = ['m4a', 'wav'];
+const CONTACT_SHEET_DEFAULTS = { columns: 4, rows: 4, cellWidth: 320 };
+// Storyboard thumbnails are `width` pixels wide, every `minInterval` seconds or further apart so a video has at most `maxThumbnails`
+const STORYBOARD_DEFAULTS = { width: 160, columns: 10, rows: 5, minInterval: 1, maxThumbnails: 100 };
+const CONTACT_SHEET_IMAGE = /^contact_sheet_\d+\.jpg$/;
+const STORYBOARD_IMAGE = /^storyboard_\d+\.jpg$/;
+const VERIFICATION_DEFAULTS = {
+  // Downloads retried after the first one fails verification
+  retries: 2,
+  // Seconds the probed duration may differ from the HLS playlist's (or 1% of it, if more)
+  durationTolerance: 1,
+  // Seconds decoded at the start and at the end of the file; 0 skips the decode check
+  decodeSeconds: 1
+};
 
 /**
  * Video Downloader Service
  *
- * Downloads videos from X.com using browser profiles from void-server core.
+ * Downloads videos using browser profiles from void-server core.
  * Requires a browser profile to be created and authenticated via the Browsers page.
+ * Source-specific work (matching URLs, capturing media) is done by the
+ * extractors in ./extractors; quality selection, downloading and frames live here.
  */
 class VideoDownloader {
-  constructor(videosDir, ffmpegService = null) {
+  constructor(videosDir, ffmpegService = null, httpOptions = {}, transcriber = null, verification = {}) {
     this.VIDEOS_DIR = videosDir;
     this.ffmpegService = ffmpegService;
+    // Downloads only reach public addresses (see url-guard) unless allowPrivateAddresses is set
+    const { allowPrivateAddresses = false, ...httpDefaults } = httpOptions;
+    this.httpOptions = allowPrivateAddresses
+      ? httpDefaults
+      : { ...httpDefaults, checkUrl: (url) => checkPublicUrl(url), lookup: publicLookup };
+    // A Transcriber from ./transcribers, or null when transcription isn't set up
+    this.transcriber = transcriber;
+    this.verification = { ...VERIFICATION_DEFAULTS, ...verification };
+    this.extractors = createExtractorRegistry(this);
   }
 
   log(message, level = 'info') {
@@ -28,19 +73,45 @@ class VideoDownloader {
   }
 
   /**
-   * Extract tweet ID from X.com URL
+   * Error thrown when a download is stopped through its AbortSignal
    */
-  extractTweetId(url) {
-    const match = url.match(/status\/(\d+)/);
-    return match ? match[1] : null;
+  cancelledError() {
+    const error = new Error('Download cancelled');
+    error.code = 'CANCELLED';
+    return error;
+  }
+
+  throwIfCancelled(signal) {
+    if (signal?.aborted) throw this.cancelledError();
+  }
+
+  /**
+   * Report a progress event to the caller, if it asked for them
+   */
+  emitProgress(onProgress, phase, message, data = {}) {
+    if (onProgress) onProgress({ phase, message, ...data });
   }
 
   /**
-   * Extract username from X.com URL
+   * Collect ffmpeg `-progress pipe:1` key/value blocks and hand each one to callback
    */
-  extractUsername(url) {
-    const match = url.match(/x\.com\/([^/]+)\/status/);
-    return match ? match[1] : 'unknown';
+  watchFfmpegProgress(ffmpeg, callback) {
+    let buffer = '';
+    let block = {};
+    ffmpeg.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const [key, value] = line.trim().split('=');
+        if (!key) continue;
+        block[key] = value;
+        if (key === 'progress') {
+          callback(block);
+          block = {};
+        }
+      }
+    });
   }
 
   /**
@@ -81,36 +152,55 @@ class VideoDownloader {
   }
 
   /**
-   * Get video duration using ffprobe
+   * Read a media file's container and streams with one ffprobe call.
+   * Resolves with the `streams` block described in ./media-probe.
    */
-  async getVideoDuration(videoPath) {
+  async probeMedia(mediaPath, options = {}) {
+    const { signal } = options;
     const ffprobePath = await this.getFfprobePath();
 
     return new Promise((resolve, reject) => {
       const ffprobe = spawn(ffprobePath, [
         '-v', 'error',
-        '-show_entries', 'format=duration',
-        '-of', 'default=noprint_wrappers=1:nokey=1',
-        videoPath
-      ], { windowsHide: true });
+        '-show_format',
+        '-show_streams',
+        '-of', 'json',
+        mediaPath
+      ], { windowsHide: true, signal });
 
       let output = '';
+      let stderr = '';
       ffprobe.stdout.on('data', (data) => { output += data.toString(); });
+      ffprobe.stderr.on('data', (data) => { stderr += data.toString(); });
       ffprobe.on('close', (code) => {
-        if (code === 0) resolve(parseFloat(output.trim()));
-        else reject(new Error('Failed to get video duration'));
+        if (code !== 0) {
+          reject(new Error(`Failed to read media info: ${stderr.trim().split('\n').pop() || `ffprobe exited with ${code}`}`));
+          return;
+        }
+        try {
+          resolve(parseProbe(JSON.parse(output)));
+        } catch {
+          reject(new Error('Failed to read media info: ffprobe output is not JSON'));
+        }
       });
       ffprobe.on('error', reject);
     });
   }
 
   /**
-   * Extract frames from video at specific positions
+   * Get video duration in seconds (0 when unknown). Pass `probe` to reuse an earlier probeMedia result.
    */
-  async extractFrames(videoPath, outputDir, count = 5) {
-    const ffmpegPath = await this.getFfmpegPath();
-    const duration = await this.getVideoDuration(videoPath);
-    const frames = [];
+  async getVideoDuration(videoPath, options = {}) {
+    const probe = options.probe || await this.probeMedia(videoPath, { signal: options.signal });
+    return probeDuration(probe) || 0;
+  }
+
+  /**
+   * Extract `count` frames evenly spaced across the video.
+   * Resolves with `{ frames, timestamps }` like extractFramesAt.
+   */
+  async extractFrames(videoPath, outputDir, count = 5, options = {}) {
+    const duration = await this.getVideoDuration(videoPath, options);
 
     this.log(`Extracting ${count} frames from ${duration.toFixed(2)}s video`);
 
@@ -119,319 +209,610 @@ class VideoDownloader {
       return i === count - 1 ? Math.max(0, position - 0.5) : position;
     });
 
-    for (let i = 0; i < positions.length; i++) {
-      const timestamp = positions[i];
-      const framePath = path.join(outputDir, `frame_${i + 1}.jpg`);
+    return this.extractFramesAt(videoPath, outputDir, positions, options);
+  }
 
-      await new Promise((resolve, reject) => {
-        const ffmpeg = spawn(ffmpegPath, [
-          '-ss', timestamp.toString(),
-          '-i', videoPath,
-          '-vframes', '1',
-          '-q:v', '2',
-          '-y',
-          framePath
-        ], { windowsHide: true });
+  /**
+   * Extract one frame per timestamp (in seconds) as frame_1.jpg, frame_2.jpg, ...
+   * (or .png/.webp, as `output` from frameOutputSettings asks).
+   * Resolves with the frame paths and the actual timestamp of each frame.
+   *
+   * All frames come from one ffmpeg pass: a select filter keeps the first frame
+   * at or after each timestamp, and decoding stops after the last one. Seeking
+   * once per frame instead re-decodes from the previous keyframe every time,
+   * which gets slow for many frames or sparse keyframes.
+   */
+  async extractFramesAt(videoPath, outputDir, positions, options = {}) {
+    const { onProgress, signal, output = FRAME_OUTPUT_DEFAULTS } = options;
+    const ffmpegPath = await this.getFfmpegPath();
+    const count = positions.length;
+    if (count === 0) return { frames: [], timestamps: [] };
 
-        ffmpeg.on('close', (code) => {
-          if (code === 0) {
-            this.log(`Extracted frame ${i + 1}/${count} at ${timestamp.toFixed(2)}s`);
-            frames.push(framePath);
-            resolve();
-          } else {
-            reject(new Error(`Failed to extract frame ${i + 1}`));
-          }
-        });
-        ffmpeg.on('error', reject);
+    // Round targets down to the millisecond so float rounding can't skip the frame exactly at a timestamp
+    const targets = positions.map(t => Math.max(0, Math.floor(t * 1000 - 1) / 1000));
+    const unique = [...new Set(targets)].sort((a, b) => a - b);
+    const select = unique
+      .map(t => `gte(t,${t})*(isnan(prev_t)+lt(prev_t,${t}))`)
+      .join('+');
+    const { filters, codec } = this.frameOutputArgs(output);
+    const tempFile = (n) => path.join(outputDir, `.extract_${n}.${output.format}`);
+
+    this.emitProgress(onProgress, 'extracting', `Extracting frame 1/${count}`, { frame: 0, totalFrames: count, percent: 0 });
+
+    const selectedTimes = await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-t', (unique[unique.length - 1] + 1).toFixed(3),
+        '-i', videoPath,
+        '-an',
+        '-vf', [`select='${select}'`, 'showinfo', ...filters].join(','),
+        '-vsync', 'vfr',
+        ...codec,
+        '-nostats',
+        '-y',
+        tempFile('%d')
+      ], { windowsHide: true, signal });
+
+      // showinfo logs one line with pts_time per selected frame
+      const times = [];
+      let buffer = '';
+      ffmpeg.stderr.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const match = line.match(/Parsed_showinfo.*\bpts_time:\s*([\d.]+)/);
+          if (!match) continue;
+          times.push(parseFloat(match[1]));
+          const frame = Math.min(times.length, count);
+          this.emitProgress(onProgress, 'extracting', `Extracted frame ${frame}/${count}`, {
+            frame,
+            totalFrames: count,
+            percent: Math.round((times.length / unique.length) * 100)
+          });
+        }
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0 && times.length > 0) resolve(times);
+        else reject(new Error('Failed to extract frames'));
       });
+      ffmpeg.on('error', reject);
+    });
+
+    // Timestamps that share a frame (or fall past the end) reuse the nearest selected frame
+    const frames = [];
+    const timestamps = [];
+    for (let i = 0; i < count; i++) {
+      const found = selectedTimes.findIndex(t => t >= targets[i]);
+      const index = found === -1 ? selectedTimes.length - 1 : found;
+      const framePath = path.join(outputDir, `frame_${i + 1}.${output.format}`);
+      await fs.copyFile(tempFile(index + 1), framePath);
+      frames.push(framePath);
+      timestamps.push(selectedTimes[index]);
     }
 
-    return frames;
+    await Promise.all(selectedTimes.map((_, i) => fs.rm(tempFile(i + 1), { force: true })));
+
+    this.log(`Extracted ${count} frames in one pass`);
+    this.emitProgress(onProgress, 'extracting', `Extracted frame ${count}/${count}`, { frame: count, totalFrames: count, percent: 100 });
+
+    return { frames, timestamps };
   }
 
   /**
-   * Download file using Node.js https (cross-platform, no curl dependency)
+   * Find visual changes with ffmpeg's scene detection.
+   * Returns `[{ timestamp, score }]` for every frame scoring above threshold (0-1).
    */
-  downloadFileHttp(url, destPath) {
-    return new Promise((resolve, reject) => {
-      const protocol = url.startsWith('https') ? https : http;
+  async detectScenes(videoPath, threshold, options = {}) {
+    const { onProgress, signal } = options;
+    const ffmpegPath = await this.getFfmpegPath();
+    const duration = await this.getVideoDuration(videoPath, options);
 
-      const makeRequest = (currentUrl, redirectCount = 0) => {
-        if (redirectCount > 10) {
-          reject(new Error('Too many redirects'));
-          return;
-        }
+    this.log(`Detecting scene changes (threshold ${threshold})`);
 
-        protocol.get(currentUrl, (response) => {
-          // Handle redirects
-          if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-            let redirectUrl = response.headers.location;
-            // Handle relative redirects
-            if (redirectUrl.startsWith('/')) {
-              const urlObj = new URL(currentUrl);
-              redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-            }
-            makeRequest(redirectUrl, redirectCount + 1);
-            return;
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-i', videoPath,
+        '-an',
+        '-vf', `select='gt(scene,${threshold})',metadata=print:key=lavfi.scene_score:file=-`,
+        '-progress', 'pipe:1',
+        '-nostats',
+        '-f', 'null',
+        '-'
+      ], { windowsHide: true, signal });
+
+      // stdout interleaves `frame:N pts:... pts_time:T` / `lavfi.scene_score=S` pairs with progress blocks
+      const scenes = [];
+      let buffer = '';
+      let timestamp = null;
+      ffmpeg.stdout.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const time = line.match(/pts_time:([\d.]+)/);
+          const score = line.match(/^lavfi\.scene_score=([\d.]+)/);
+          const outTime = line.match(/^out_time_(?:us|ms)=(\d+)/);
+
+          if (time) {
+            timestamp = parseFloat(time[1]);
+          } else if (score && timestamp !== null) {
+            scenes.push({ timestamp, score: parseFloat(score[1]) });
+            timestamp = null;
+          } else if (outTime && duration > 0) {
+            this.emitProgress(onProgress, 'extracting', `Detecting scene changes (${scenes.length} found)`, {
+              scenes: scenes.length,
+              percent: Math.min(100, Math.round((parseInt(outTime[1]) / 1e6 / duration) * 100))
+            });
           }
+        }
+      });
 
-          if (response.statusCode !== 200) {
-            reject(new Error(`Download failed: ${response.statusCode}`));
-            return;
-          }
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          this.log(`Found ${scenes.length} scene changes`);
+          resolve(scenes);
+        } else {
+          reject(new Error('Failed to detect scene changes'));
+        }
+      });
+      ffmpeg.on('error', reject);
+    });
+  }
 
-          const file = fsSync.createWriteStream(destPath);
-          response.pipe(file);
+  /**
+   * Choose frame timestamps from detected scenes, keeping the highest scoring
+   * ones when there are more than maxFrames and topping up with evenly spaced
+   * frames when there are fewer than minFrames.
+   */
+  selectSceneFrames(scenes, duration, minFrames, maxFrames) {
+    const picked = [...scenes]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxFrames);
+
+    // Top up with evenly spaced frames, preferring ones away from the scene changes
+    const gap = duration / (minFrames * 2);
+    const evenly = Array.from({ length: minFrames }, (_, i) => ((i + 0.5) / minFrames) * duration);
+    const spaced = evenly.filter(t => picked.every(p => Math.abs(p.timestamp - t) >= gap));
+    const rest = evenly.filter(t => !spaced.includes(t));
+    for (const timestamp of [...spaced, ...rest]) {
+      if (picked.length >= minFrames) break;
+      picked.push({ timestamp, score: null });
+    }
 
-          file.on('finish', () => {
-            file.close();
-            resolve(destPath);
-          });
+    return picked.sort((a, b) => a.timestamp - b.timestamp);
+  }
 
-          file.on('error', (err) => {
-            fsSync.unlinkSync(destPath);
-            reject(err);
-          });
-        }).on('error', reject);
-      };
+  /**
+   * Extract frames at scene changes. Resolves with the frame paths and
+   * timestamps, plus `sceneFrames`, the timestamp and score of each one.
+   */
+  async extractSceneFrames(videoPath, outputDir, options = {}) {
+    const { onProgress, signal, output } = options;
+    const threshold = options.threshold ?? SCENE_DEFAULTS.threshold;
+    const minFrames = Math.max(0, parseInt(options.minFrames ?? SCENE_DEFAULTS.minFrames));
+    const maxFrames = Math.max(1, minFrames, parseInt(options.maxFrames ?? SCENE_DEFAULTS.maxFrames));
+
+    // Detection and extraction each take half of the extracting phase
+    const scaled = (offset) => onProgress && ((event) => onProgress({ ...event, percent: offset + (event.percent || 0) / 2 }));
+
+    const probe = options.probe || await this.probeMedia(videoPath, { signal });
+    const duration = await this.getVideoDuration(videoPath, { probe });
+    const scenes = await this.detectScenes(videoPath, threshold, { onProgress: scaled(0), probe, signal });
+    const picked = this.selectSceneFrames(scenes, duration, minFrames, maxFrames);
+
+    this.log(`Extracting ${picked.length} scene frames (${scenes.length} detected)`);
+    const { frames, timestamps } = await this.extractFramesAt(videoPath, outputDir, picked.map(p => p.timestamp), { onProgress: scaled(50), output, signal });
+
+    const sceneFrames = picked.map((p, i) => ({
+      file: path.basename(frames[i]),
+      timestamp: parseFloat(p.timestamp.toFixed(3)),
+      score: p.score === null ? null : parseFloat(p.score.toFixed(4))
+    }));
+
+    return { frames, timestamps, sceneFrames, scenesDetected: scenes.length };
+  }
 
-      makeRequest(url);
+  /**
+   * Download a file over HTTP(S) with resume, retries and a stall timeout (see http-download).
+   * `httpOptions` passed to the constructor override the retry and timeout defaults.
+   * Resolves with `{ path, bytes, totalBytes, attempts, resumed }`.
+   */
+  async downloadFileHttp(url, destPath, options = {}) {
+    const { onProgress, signal, headers, label = 'Downloading video' } = options;
+
+    const result = await downloadFile(url, destPath, {
+      ...this.httpOptions,
+      headers,
+      signal,
+      onProgress: (progress) => this.emitProgress(onProgress, 'downloading', label, progress),
+      onRetry: ({ attempt, retries, delay, error }) => {
+        this.log(`${error.message}; retry ${attempt}/${retries} in ${delay / 1000}s`, 'warning');
+        this.emitProgress(onProgress, 'downloading', `${label} (retry ${attempt}/${retries} after: ${error.message})`, {});
+      }
+    }).catch((error) => {
+      throw signal?.aborted ? this.cancelledError() : error;
     });
+
+    if (result.attempts > 1) {
+      this.log(`Downloaded ${result.bytes} bytes in ${result.attempts} attempts${result.resumed ? ' (resumed)' : ''}`);
+    }
+    return result;
   }
 
   /**
-   * Download video from X.com URL using browser profile from core
+   * Reject with code BLOCKED_ADDRESS when `url` may not be fetched: when its host
+   * resolves to a private address, unless allowPrivateAddresses is set
    */
-  async downloadVideoFile(url, outputPath, browserService, browserId) {
-    this.log(`Opening browser to capture video from: ${url}`);
+  async checkUrl(url) {
+    await this.httpOptions.checkUrl?.(url);
+  }
 
-    // Get browser context from core service
-    const context = await browserService.getBrowserContext(browserId);
+  /**
+   * Fetch a small text resource such as a playlist. Redirects are not followed.
+   */
+  async fetchText(url, options = {}) {
+    const { signal } = options;
+    const { lookup } = this.httpOptions;
+    const protocol = url.startsWith('https') ? https : http;
+    await this.checkUrl(url);
 
-    const page = await context.newPage();
-    const videoUrls = [];
+    return new Promise((resolve, reject) => {
+      const request = protocol.get(url, { signal, ...(lookup && { lookup }) }, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(new Error(`Request failed: ${response.statusCode}`));
+          return;
+        }
 
-    // Track video URLs from network requests
-    // The main tweet's video loads first since it's higher in the DOM
-    page.on('response', (response) => {
-      const responseUrl = response.url();
-      const contentType = response.headers()['content-type'] || '';
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { body += chunk; });
+        response.on('end', () => resolve(body));
+        response.on('error', reject);
+      });
 
-      if (contentType.includes('video') ||
-          responseUrl.includes('.mp4') ||
-          responseUrl.includes('video.twimg.com') ||
-          responseUrl.includes('/ext_tw_video/') ||
-          responseUrl.includes('.m3u8')) {
-        this.log(`Found video URL: ${responseUrl.substring(0, 80)}...`);
-        videoUrls.push({
-          url: responseUrl,
-          contentType,
-          status: response.status(),
-          timestamp: Date.now()
-        });
-      }
+      request.on('error', (err) => reject(signal?.aborted ? this.cancelledError() : err));
     });
+  }
 
-    this.log(`Navigating to ${url}...`);
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await page.waitForTimeout(4000);
-
-    // If we captured videos during page load, use the first one (main tweet's video)
-    // The main tweet video loads first since it's higher in the DOM
-    if (videoUrls.length > 0) {
-      this.log(`Found ${videoUrls.length} video(s) during page load, using first (main tweet)`);
-    } else {
-      // No videos captured during page load - try clicking play button
-      this.log('No videos during page load, looking for play button...');
-
-      // Try clicking the FIRST play button (should be main tweet's if it has one)
-      const playButton = await page.$('[data-testid="playButton"], [aria-label="Play"]');
-      if (playButton) {
-        this.log('Clicking play button...');
-        await playButton.click();
-        await page.waitForTimeout(3000);
+  /**
+   * List the downloadable variants of one captured video group.
+   * Prefers the HLS master playlist; falls back to the variant playlists or MP4s
+   * that were captured directly, using the WxH in their URLs.
+   */
+  async getVariants(group, options = {}) {
+    const { signal } = options;
+    const playlists = group.videos.filter(v => v.status === 200 && v.url.includes('.m3u8'));
+
+    for (const playlist of playlists) {
+      const text = (await playlist.body) || await this.fetchText(playlist.url, { signal }).catch(() => null);
+      if (isMasterPlaylist(text)) {
+        const { variants, audio } = parseMasterPlaylist(text, playlist.url);
+        if (variants.length > 0) {
+          return { type: 'hls', masterUrl: playlist.url, variants, audio };
+        }
       }
     }
 
-    await page.close();
+    const fromUrls = (videos) => sortVariants(videos.map((v) => {
+      const res = v.url.match(/\/(\d+)x(\d+)\//);
+      const width = res ? parseInt(res[1]) : null;
+      const height = res ? parseInt(res[2]) : null;
+      return { id: height ? `${width}x${height}` : v.url, type: 'video', url: v.url, width, height, bandwidth: 0, codecs: null, audioUrl: null };
+    }));
 
-    if (videoUrls.length === 0) {
-      throw new Error('No video found in this tweet');
+    const hlsVariants = playlists.filter(v => v.url.match(/\/\d+x\d+\//) || v.url.includes('pl/avc1'));
+    if (hlsVariants.length > 0) {
+      return { type: 'hls', masterUrl: null, variants: fromUrls(hlsVariants), audio: [] };
     }
 
-    // Extract video ID from URL to group by tweet/video
-    // X.com URLs look like: video.twimg.com/ext_tw_video/[VIDEO_ID]/... or amplify_video/[VIDEO_ID]/...
-    const getVideoId = (url) => {
-      const match = url.match(/(?:ext_tw_video|amplify_video)\/(\d+)/);
-      return match ? match[1] : null;
-    };
+    // A <video> element fetches its file with range requests, answered with 206
+    const mp4Videos = group.videos.filter(v => [200, 206].includes(v.status) && (v.progressive || v.url.includes('.mp4')) && !v.url.includes('.m4s'));
+    if (mp4Videos.length === 0 && playlists.length > 0) {
+      // Media playlists from other sites don't carry a resolution in their URL
+      return { type: 'hls', masterUrl: null, variants: fromUrls(playlists), audio: [] };
+    }
+    return { type: 'mp4', masterUrl: null, variants: fromUrls(mp4Videos), audio: [] };
+  }
 
-    // Extract tweet ID from the URL to match against video IDs
-    const tweetId = this.extractTweetId(url);
-    const tweetIdNum = tweetId ? BigInt(tweetId) : null;
-
-    // Group videos by their video ID
-    const videoGroups = new Map();
-    for (const v of videoUrls) {
-      const id = getVideoId(v.url);
-      if (id) {
-        if (!videoGroups.has(id)) {
-          videoGroups.set(id, { videos: [] });
-        }
-        videoGroups.get(id).videos.push(v);
-      }
+  /**
+   * Choose what to download from a captured video group for a quality setting
+   */
+  async selectDownload(group, quality = 'best', options = {}) {
+    const { type, variants, audio } = await this.getVariants(group, options);
+
+    if (variants.length === 0 && audio.length === 0) {
+      throw new Error('Could not find downloadable video URL');
     }
 
-    // Find the video group whose ID is closest to the tweet ID
-    // The main tweet's video ID should be very close to or match the tweet ID
-    let mainTweetVideos = videoUrls;
-    if (videoGroups.size > 0 && tweetIdNum) {
-      const sortedGroups = [...videoGroups.entries()].sort((a, b) => {
-        const aDiff = tweetIdNum - BigInt(a[0]);
-        const bDiff = tweetIdNum - BigInt(b[0]);
-        // Prefer positive differences (video ID slightly before tweet ID) and closest match
-        const aAbs = aDiff < 0n ? -aDiff : aDiff;
-        const bAbs = bDiff < 0n ? -bDiff : bDiff;
-        return aAbs < bAbs ? -1 : aAbs > bAbs ? 1 : 0;
-      });
+    const variant = selectVariant(variants, audio, quality);
+    const label = variant.type === 'audio'
+      ? 'audio only'
+      : (variant.height ? `${variant.width}x${variant.height}` : 'unknown resolution');
+    this.log(`Found ${type === 'hls' ? 'HLS stream' : 'MP4'} (${label}, quality=${quality})`);
+
+    return {
+      downloadUrl: variant.url,
+      audioUrl: variant.type === 'video' ? variant.audioUrl : null,
+      isHLS: type === 'hls',
+      variant
+    };
+  }
 
-      const selectedGroup = sortedGroups[0];
-      mainTweetVideos = selectedGroup[1].videos;
-      this.log(`Found ${videoGroups.size} video group(s), selected ID ${selectedGroup[0]} (closest to tweet ${tweetId}) with ${mainTweetVideos.length} URLs`);
-    } else {
-      this.log(`Found ${videoGroups.size} video group(s), using all ${mainTweetVideos.length} URLs`);
-    }
-
-    // Find best video URL from main tweet's videos
-    const hlsPlaylists = mainTweetVideos
-      .filter(v => v.status === 200 && v.url.includes('.m3u8'))
-      .filter(v => v.url.match(/\/\d+x\d+\//) || v.url.includes('pl/avc1'))
-      .sort((a, b) => {
-        const aRes = a.url.match(/\/(\d+)x(\d+)\//);
-        const bRes = b.url.match(/\/(\d+)x(\d+)\//);
-        const aPixels = aRes ? parseInt(aRes[1]) * parseInt(aRes[2]) : 0;
-        const bPixels = bRes ? parseInt(bRes[1]) * parseInt(bRes[2]) : 0;
-        return bPixels - aPixels;
-      });
+  /**
+   * Headers for fetching captured media outside the browser: the browser's own request
+   * headers (user agent, referer) plus whichever of its cookies apply to each URL.
+   * `session` is the `{ headers, cookies }` an extractor's capture returns.
+   */
+  sessionHeaders(session) {
+    if (!session) return undefined;
+    return (url) => {
+      const cookie = cookieHeader(session.cookies, url);
+      return { ...session.headers, ...(cookie ? { Cookie: cookie } : {}) };
+    };
+  }
 
-    let downloadUrl;
-    let isHLS = false;
+  /**
+   * Download a selection from selectDownload to outputPath. Resolves with `{ path, expected }`,
+   * where expected holds what the source announced for verifyDownload: the `bytes` of a
+   * direct download's Content-Length or the `duration` of an HLS playlist (null when unknown).
+   */
+  async downloadMediaUrl(selection, outputPath, options = {}) {
+    const { downloadUrl, audioUrl, isHLS } = selection;
+    const { onProgress, signal, session } = options;
 
-    if (hlsPlaylists.length > 0) {
-      downloadUrl = hlsPlaylists[0].url;
-      isHLS = true;
-      this.log(`Found HLS stream (highest quality)`);
-    } else {
-      const mp4Videos = mainTweetVideos
-        .filter(v => v.status === 200 && v.url.includes('.mp4') && !v.url.includes('.m4s'))
-        .sort((a, b) => {
-          const aRes = a.url.match(/(\d+)x(\d+)/);
-          const bRes = b.url.match(/(\d+)x(\d+)/);
-          const aPixels = aRes ? parseInt(aRes[1]) * parseInt(aRes[2]) : 0;
-          const bPixels = bRes ? parseInt(bRes[1]) * parseInt(bRes[2]) : 0;
-          return bPixels - aPixels;
-        });
+    this.log(`Downloading video...`);
+    this.emitProgress(onProgress, 'downloading', 'Downloading video', { bytes: 0, percent: 0 });
 
-      if (mp4Videos.length > 0) {
-        downloadUrl = mp4Videos[0].url;
-        this.log(`Found MP4 (highest quality)`);
+    const expected = { bytes: null, duration: null };
+    if (isHLS) {
+      try {
+        const { duration } = await this.downloadHlsSegments(downloadUrl, audioUrl, outputPath, { onProgress, signal, session });
+        expected.duration = duration;
+      } catch (error) {
+        if (error.code !== 'HLS_UNSUPPORTED') throw error;
+        // ffmpeg follows the playlist's segment URLs and redirects without asking, so it can't be held to public addresses
+        if (this.httpOptions.checkUrl) {
+          throw new Error(`${error.message}; handing the stream to ffmpeg instead needs httpDownload.allowPrivateAddresses`);
+        }
+        this.log(`${error.message}, letting ffmpeg fetch the stream`, 'warning');
+        await this.downloadHlsWithFfmpeg(downloadUrl, audioUrl, outputPath, { onProgress, signal });
       }
+    } else {
+      // Direct MP4 download using Node.js https (cross-platform)
+      const { totalBytes } = await this.downloadFileHttp(downloadUrl, outputPath, { onProgress, signal, headers: this.sessionHeaders(session) });
+      expected.bytes = totalBytes ?? null;
     }
 
-    if (!downloadUrl) {
-      throw new Error('Could not find downloadable video URL');
+    this.log('Video downloaded successfully', 'success');
+    return { path: outputPath, expected };
+  }
+
+  /**
+   * Download an HLS stream segment by segment (see hls-download), with its separate
+   * audio rendition if it has one, then remux the local files into outputPath.
+   * Resolves with `{ duration }`, the video playlist's total duration.
+   */
+  async downloadHlsSegments(playlistUrl, audioUrl, outputPath, options = {}) {
+    const { onProgress, signal, session } = options;
+    const workDir = `${outputPath}.hls`;
+    const tracks = [{ name: 'video', url: playlistUrl }, ...(audioUrl ? [{ name: 'audio', url: audioUrl }] : [])];
+
+    try {
+      const results = await downloadHls(tracks, workDir, {
+        ...this.httpOptions,
+        headers: this.sessionHeaders(session),
+        signal,
+        onProgress: ({ segment, totalSegments, bytes, percent }) => {
+          this.emitProgress(onProgress, 'downloading', `Downloading segment ${segment}/${totalSegments}`, { bytes, segment, totalSegments, percent });
+        },
+        onRetry: ({ track, segment, attempt, retries, delay, error }) => {
+          this.log(`${track} segment ${segment}: ${error.message}; retry ${attempt}/${retries} in ${delay / 1000}s`, 'warning');
+        }
+      });
+
+      this.log(`Downloaded ${results.map(r => `${r.segments} ${r.name} segments`).join(' and ')}, remuxing`);
+      await this.remuxTracks(results.map(r => r.path), outputPath, { signal });
+      return { duration: results[0].duration };
+    } catch (error) {
+      throw signal?.aborted ? this.cancelledError() : error;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
     }
+  }
 
-    this.log(`Downloading video...`);
+  /**
+   * Copy local video (and audio) files into one MP4 without re-encoding
+   */
+  async remuxTracks(inputs, outputPath, options = {}) {
+    const { signal } = options;
+    const ffmpegPath = await this.getFfmpegPath();
 
-    if (isHLS) {
-      // HLS requires ffmpeg to download
-      const ffmpegPath = await this.getFfmpegPath();
+    // With a separate audio file, take the video from the first input and the audio from the second
+    const args = inputs.flatMap(input => ['-i', input]);
+    if (inputs.length > 1) args.push('-map', '0:v:0', '-map', '1:a:0');
 
-      return new Promise((resolve, reject) => {
-        const ffmpeg = spawn(ffmpegPath, [
-          '-i', downloadUrl,
-          '-c', 'copy',
-          '-bsf:a', 'aac_adtstoasc',
-          '-y',
-          outputPath
-        ], { windowsHide: true });
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        ...args,
+        '-c', 'copy',
+        '-bsf:a', 'aac_adtstoasc',
+        '-movflags', '+faststart',
+        '-y',
+        outputPath
+      ], { windowsHide: true, signal });
 
-        ffmpeg.on('close', (code) => {
-          if (code === 0) {
-            this.log('Video downloaded successfully', 'success');
-            resolve(outputPath);
-          } else {
-            reject(new Error('Failed to download HLS video'));
-          }
-        });
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
 
-        ffmpeg.on('error', (err) => reject(err));
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(outputPath);
+        } else {
+          reject(new Error(`Failed to remux HLS video: ${stderr.trim().split('\n').pop()}`));
+        }
       });
-    } else {
-      // Direct MP4 download using Node.js https (cross-platform)
-      await this.downloadFileHttp(downloadUrl, outputPath);
-      this.log('Video downloaded successfully', 'success');
-      return outputPath;
-    }
+
+      ffmpeg.on('error', (err) => reject(signal?.aborted ? this.cancelledError() : err));
+    });
   }
 
   /**
-   * Get total frame count from video using ffprobe
+   * Let ffmpeg fetch an HLS stream itself, for playlists the segment downloader
+   * doesn't handle (live, encrypted or byte-range)
    */
-  async getTotalFrameCount(videoPath) {
-    const ffprobePath = await this.getFfprobePath();
+  async downloadHlsWithFfmpeg(downloadUrl, audioUrl, outputPath, options = {}) {
+    const { onProgress, signal } = options;
+    const ffmpegPath = await this.getFfmpegPath();
 
     return new Promise((resolve, reject) => {
-      const ffprobe = spawn(ffprobePath, [
-        '-v', 'error',
-        '-select_streams', 'v:0',
-        '-count_frames',
-        '-show_entries', 'stream=nb_read_frames',
-        '-of', 'default=noprint_wrappers=1:nokey=1',
-        videoPath
-      ], { windowsHide: true });
+      // Variants with a separate audio rendition are muxed with it
+      const inputs = audioUrl
+        ? ['-i', downloadUrl, '-i', audioUrl, '-map', '0:v:0', '-map', '1:a:0']
+        : ['-i', downloadUrl];
 
-      let output = '';
-      ffprobe.stdout.on('data', (data) => { output += data.toString(); });
-      ffprobe.on('close', (code) => {
-        if (code === 0) resolve(parseInt(output.trim()) || 0);
-        else reject(new Error('Failed to get frame count'));
+      const ffmpeg = spawn(ffmpegPath, [
+        ...inputs,
+        '-c', 'copy',
+        '-bsf:a', 'aac_adtstoasc',
+        '-progress', 'pipe:1',
+        '-nostats',
+        '-y',
+        outputPath
+      ], { windowsHide: true, signal });
+
+      // HLS playlists don't announce a total size, so only bytes are reported
+      this.watchFfmpegProgress(ffmpeg, (progress) => {
+        this.emitProgress(onProgress, 'downloading', 'Downloading video', {
+          bytes: parseInt(progress.total_size) || 0
+        });
       });
-      ffprobe.on('error', reject);
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(outputPath);
+        } else {
+          reject(new Error('Failed to download HLS video'));
+        }
+      });
+
+      ffmpeg.on('error', (err) => reject(signal?.aborted ? this.cancelledError() : err));
     });
   }
 
   /**
-   * Extract all frames from video
+   * Match a URL to its extractor and parse it, throwing if no extractor supports it
+   */
+  resolveSource(url) {
+    const resolved = this.extractors.resolve(url);
+    if (!resolved) {
+      throw new Error('Unsupported URL - no extractor can handle it');
+    }
+    return resolved;
+  }
+
+  /**
+   * Download a URL's main video using browser profile from core
+   */
+  async downloadVideoFile(url, outputPath, browserService, browserId, options = {}) {
+    const { extractor, source } = this.resolveSource(url);
+    const { videoUrls, session } = await extractor.capture(url, browserService, browserId, options);
+    const [mainGroup] = extractor.selectGroups(videoUrls, source);
+    const selection = await this.selectDownload(mainGroup, options.quality, options);
+    await this.downloadMediaUrl(selection, outputPath, { ...options, session });
+    return outputPath;
+  }
+
+  /**
+   * Capture a post's videos and list their available variants without downloading
+   */
+  async probeVideo(url, browserService, browserId, options = {}) {
+    const { allVideos = false, onProgress, signal } = options;
+    const { extractor, source } = this.resolveSource(url);
+
+    const { videoUrls, tweet = null, photos = [] } = await extractor.capture(url, browserService, browserId, { onProgress, signal, allVideos });
+    const groups = videoUrls.length > 0 ? extractor.selectGroups(videoUrls, source, allVideos) : [];
+
+    const videos = [];
+    for (let i = 0; i < groups.length; i++) {
+      const { type, masterUrl, variants, audio } = await this.getVariants(groups[i], { signal });
+      videos.push({ index: i + 1, media_id: groups[i].id, media_type: groups[i].mediaType || 'video', type, master_url: masterUrl, variants, audio });
+    }
+
+    return { id: source.folder, extractor: extractor.name, tweet_id: source.tweetId, username: source.username, url, tweet, videos, photos };
+  }
+
+  /**
+   * Get total frame count of a video's first video stream.
+   * Uses the container's frame count, or estimates it from duration and frame
+   * rate when the container doesn't store one, rather than decoding every frame.
+   */
+  async getTotalFrameCount(videoPath, options = {}) {
+    const probe = options.probe || await this.probeMedia(videoPath, { signal: options.signal });
+    const [stream] = probe.video;
+    if (!stream) return 0;
+    if (stream.frame_count > 0) return stream.frame_count;
+
+    const duration = stream.duration || probeDuration(probe) || 0;
+    return stream.frame_rate ? Math.round(duration * stream.frame_rate) : 0;
+  }
+
+  /**
+   * Extract all frames from video.
+   * Resolves with `{ frames, timestamps }` like extractFramesAt.
    */
-  async extractAllFrames(videoPath, outputDir) {
+  async extractAllFrames(videoPath, outputDir, options = {}) {
+    const { onProgress, signal, output = FRAME_OUTPUT_DEFAULTS } = options;
+    const { filters, codec } = this.frameOutputArgs(output);
     const ffmpegPath = await this.getFfmpegPath();
-    this.log('Extracting all frames from video...');
+    const probe = options.probe || await this.probeMedia(videoPath, { signal });
+    const duration = await this.getVideoDuration(videoPath, { probe });
+    const totalFrames = await this.getTotalFrameCount(videoPath, { probe });
+    this.log(totalFrames ? `Extracting all ${totalFrames} frames from video...` : 'Extracting all frames from video...');
+    this.emitProgress(onProgress, 'extracting', 'Extracting all frames', { frame: 0, totalFrames, percent: 0 });
 
     return new Promise((resolve, reject) => {
       const ffmpeg = spawn(ffmpegPath, [
         '-i', videoPath,
-        '-q:v', '2',
+        '-vf', ['showinfo', ...filters].join(','),
+        ...codec,
+        '-progress', 'pipe:1',
+        '-nostats',
         '-y',
-        path.join(outputDir, 'frame_%d.jpg')
-      ], { windowsHide: true });
+        path.join(outputDir, `frame_%d.${output.format}`)
+      ], { windowsHide: true, signal });
+
+      // showinfo logs each frame's pts_time, in output order
+      const timestamps = [];
+      let buffer = '';
+      ffmpeg.stderr.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const match = line.match(/Parsed_showinfo.*\bpts_time:\s*([\d.]+)/);
+          if (match) timestamps.push(parseFloat(match[1]));
+        }
+      });
+
+      // The frame total is only an estimate, so progress is based on decoded time
+      this.watchFfmpegProgress(ffmpeg, (progress) => {
+        const frame = parseInt(progress.frame) || 0;
+        const seconds = (parseInt(progress.out_time_us || progress.out_time_ms) || 0) / 1e6;
+        this.emitProgress(onProgress, 'extracting', totalFrames ? `Extracted frame ${frame}/${totalFrames}` : `Extracted frame ${frame}`, {
+          frame,
+          totalFrames,
+          percent: duration > 0 ? Math.min(100, Math.round((seconds / duration) * 100)) : undefined
+        });
+      });
 
       ffmpeg.on('close', async (code) => {
         if (code === 0) {
-          // Get list of extracted frames
-          const files = await fs.readdir(outputDir);
-          const frames = files
-            .filter(f => f.startsWith('frame_') && f.endsWith('.jpg'))
-            .sort((a, b) => {
-              const aNum = parseInt(a.match(/frame_(\d+)/)[1]);
-              const bNum = parseInt(b.match(/frame_(\d+)/)[1]);
-              return aNum - bNum;
-            })
-            .map(f => path.join(outputDir, f));
+          const frames = await this.listFrames(outputDir);
 
           this.log(`Extracted ${frames.length} frames`, 'success');
-          resolve(frames);
+          resolve({ frames, timestamps: frames.map((_, i) => timestamps[i] ?? null) });
         } else {
           reject(new Error('Failed to extract all frames'));
         }
@@ -441,64 +822,1371 @@ class VideoDownloader {
   }
 
   /**
-   * Main download method
+   * The frame output settings a `frameOutput` download option asks for, over FRAME_OUTPUT_DEFAULTS
    */
-  async downloadVideo(url, browserService, browserId, options = {}) {
-    const { frameCount = 5 } = options;
-    const shouldExtractFrames = frameCount === 'all' || (typeof frameCount === 'number' && frameCount > 0);
+  frameOutputSettings(value) {
+    const {
+      format = FRAME_OUTPUT_DEFAULTS.format,
+      maxWidth = FRAME_OUTPUT_DEFAULTS.maxWidth,
+      maxHeight = FRAME_OUTPUT_DEFAULTS.maxHeight,
+      quality = FRAME_OUTPUT_DEFAULTS.quality,
+      grayscale = FRAME_OUTPUT_DEFAULTS.grayscale
+    } = value || {};
+    return { format: FRAME_FORMATS.includes(format) ? format : FRAME_OUTPUT_DEFAULTS.format, maxWidth, maxHeight, quality, grayscale: !!grayscale };
+  }
 
-    // Get ffmpeg path (auto-downloads if needed when ffmpegService is available)
-    if (shouldExtractFrames) {
-      this.log('Checking ffmpeg availability...');
-      const ffmpegPath = await this.getFfmpegPath();
-      this.log(`Using ffmpeg: ${ffmpegPath}`);
+  /**
+   * The filters (to append to a -vf chain) and encoder arguments that write frames as `output` asks
+   */
+  frameOutputArgs(output) {
+    const filters = [];
+    if (output.maxWidth || output.maxHeight) {
+      // Only ever shrinks, keeping the aspect ratio
+      filters.push(`scale=w='min(iw,${output.maxWidth || 'iw'})':h='min(ih,${output.maxHeight || 'ih'})':force_original_aspect_ratio=decrease`);
     }
+    if (output.grayscale) {
+      // libwebp has no gray pixel format, so WebP frames keep YUV with the colour removed
+      filters.push(output.format === 'webp' ? 'hue=s=0' : 'format=gray');
+    }
+
+    const codec = {
+      // 1-100 onto ffmpeg's -q:v scale, where 2 is best and 31 worst
+      jpg: ['-q:v', String(Math.round(31 - ((output.quality - 1) / 99) * 29))],
+      // PNG is lossless, so quality doesn't apply
+      png: [],
+      webp: ['-c:v', 'libwebp', '-quality', String(output.quality)]
+    }[output.format];
 
-    const tweetId = this.extractTweetId(url);
-    const username = this.extractUsername(url);
+    return { filters, codec };
+  }
+
+  /**
+   * Paths of the frame_N.jpg (.png, .webp) files in a folder, ordered by frame number
+   */
+  async listFrames(framesDir) {
+    const files = await fs.readdir(framesDir).catch(() => []);
+    return files
+      .filter(f => FRAME_FILE.test(f))
+      .sort((a, b) => parseInt(a.match(/frame_(\d+)/)[1]) - parseInt(b.match(/frame_(\d+)/)[1]))
+      .map(f => path.join(framesDir, f));
+  }
 
-    if (!tweetId) {
-      throw new Error('Invalid X.com URL - could not extract tweet ID');
+  /**
+   * Remove the frames and frames.json of an earlier extraction, so a run with fewer
+   * frames (or another format) doesn't leave the old run's frame files behind
+   */
+  async clearFrames(framesDir) {
+    const stale = await this.listFrames(framesDir);
+    await Promise.all([...stale, path.join(framesDir, 'frames.json')].map(f => fs.rm(f, { force: true })));
+    if (stale.length > 0) {
+      this.log(`Removed ${stale.length} frame(s) from an earlier extraction`);
     }
+  }
 
-    this.log(`Downloading video from @${username} (${tweetId})`);
+  /**
+   * The duplicate frame settings a `dedupe` download option asks for, or null for none
+   */
+  dedupeSettings(value) {
+    if (!value) return null;
+    const { maxDistance = DEDUPE_DEFAULTS.maxDistance } = typeof value === 'object' ? value : {};
+    return { maxDistance };
+  }
 
-    await fs.mkdir(this.VIDEOS_DIR, { recursive: true });
+  /**
+   * dHash of each frame (see ./frame-hash). The frames must be frame_1 to frame_N of one
+   * folder and format, as the extractors write them, so one ffmpeg pass reads them all.
+   */
+  async hashFrames(frames, options = {}) {
+    const ffmpegPath = await this.getFfmpegPath();
+    const ext = path.extname(frames[0]);
+    const frameSize = HASH_WIDTH * HASH_HEIGHT;
+
+    const pixels = await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-v', 'error',
+        '-f', 'image2',
+        '-start_number', '1',
+        '-i', path.join(path.dirname(frames[0]), `frame_%d${ext}`),
+        // area averaging so each pixel sums up its part of the frame
+        '-vf', `scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`,
+        '-f', 'rawvideo',
+        'pipe:1'
+      ], { windowsHide: true, signal: options.signal });
+
+      const chunks = [];
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.on('close', (code) => {
+        const buffer = Buffer.concat(chunks);
+        if (code === 0 && buffer.length === frames.length * frameSize) resolve(buffer);
+        else reject(new Error('Failed to hash frames'));
+      });
+      ffmpeg.on('error', reject);
+    });
 
-    const videoDir = path.join(this.VIDEOS_DIR, `${username}_${tweetId}`);
-    await fs.mkdir(videoDir, { recursive: true });
+    return frames.map((_, i) => differenceHash(pixels.subarray(i * frameSize, (i + 1) * frameSize)));
+  }
 
-    const videoPath = path.join(videoDir, 'video.mp4');
+  /**
+   * Drop frames within `maxDistance` bits of the last kept frame and renumber the rest
+   * frame_1, frame_2, ... Resolves with the kept frame paths and timestamps, plus `kept`
+   * (each kept frame's original index), `hashes`, `covers` (the original timestamps each
+   * kept frame stands for) and `removed`.
+   */
+  async dedupeFrames(frames, timestamps, options = {}) {
+    const { maxDistance = DEDUPE_DEFAULTS.maxDistance, onProgress, signal } = options;
+    this.emitProgress(onProgress, 'extracting', `Checking ${frames.length} frames for duplicates`, {});
+
+    const hashes = await this.hashFrames(frames, { signal });
+    const groups = groupDuplicates(hashes, maxDistance);
+    const kept = new Set(groups.map(g => g.index));
+
+    await Promise.all(frames.filter((_, i) => !kept.has(i)).map(f => fs.rm(f, { force: true })));
+    // Kept frames only move to lower numbers, onto files already removed or moved
+    const renamed = [];
+    for (const [i, group] of groups.entries()) {
+      const from = frames[group.index];
+      const to = path.join(path.dirname(from), `frame_${i + 1}${path.extname(from)}`);
+      if (from !== to) await fs.rename(from, to);
+      renamed.push(to);
+    }
 
-    await this.downloadVideoFile(url, videoPath, browserService, browserId);
+    const removed = frames.length - groups.length;
+    this.log(removed > 0 ? `Removed ${removed} near-duplicate frame(s), kept ${groups.length}` : 'No near-duplicate frames');
 
-    const stats = await fs.stat(videoPath);
-    const duration = await this.getVideoDuration(videoPath);
+    return {
+      frames: renamed,
+      timestamps: groups.map(g => timestamps[g.index]),
+      kept: groups.map(g => g.index),
+      hashes: groups.map(g => hashes[g.index]),
+      covers: groups.map(g => g.members.map(m => (typeof timestamps[m] === 'number' ? parseFloat(timestamps[m].toFixed(3)) : null))),
+      removed
+    };
+  }
 
-    let frames = [];
-    if (frameCount === 'all') {
-      frames = await this.extractAllFrames(videoPath, videoDir);
-    } else if (typeof frameCount === 'number' && frameCount > 0) {
-      frames = await this.extractFrames(videoPath, videoDir, frameCount);
-    }
-
-    const metadata = {
-      tweet_id: tweetId,
-      username,
-      url,
-      downloaded_at: new Date().toISOString(),
-      file_size: stats.size,
-      file_size_mb: (stats.size / (1024 * 1024)).toFixed(2),
-      duration_seconds: duration.toFixed(2),
-      frame_count: frames.length,
-      browser_profile: browserId
+  /**
+   * Whether frame options ask for any frames at all
+   */
+  wantsFrames({ frameCount, frameMode }) {
+    return frameMode === 'scene' || frameCount === 'all' || (typeof frameCount === 'number' && frameCount > 0);
+  }
+
+  /**
+   * Probe a downloaded file and check it is usable: it must have a video stream (an
+   * audio stream for `audioOnly` downloads) and a duration. Resolves with the `streams`
+   * block for metadata; rejects with code `INVALID_MEDIA` otherwise.
+   */
+  async probeDownload(mediaPath, options = {}) {
+    const { audioOnly = false, onProgress, signal } = options;
+    const name = path.basename(mediaPath);
+
+    this.emitProgress(onProgress, 'probing', 'Reading video info', { percent: 0 });
+    const probe = await this.probeMedia(mediaPath, { signal });
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = 'INVALID_MEDIA';
+      return error;
     };
+    if (audioOnly ? probe.audio.length === 0 : probe.video.length === 0) {
+      throw invalid(`Downloaded ${name} has no ${audioOnly ? 'audio' : 'video'} stream`);
+    }
+    if (!(probeDuration(probe) > 0)) {
+      throw invalid(`Downloaded ${name} has no duration`);
+    }
 
-    await fs.writeFile(path.join(videoDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    this.emitProgress(onProgress, 'probing', 'Reading video info', { percent: 100 });
+    return probe;
+  }
+
+  /**
+   * Decode `seconds` of a file with ffmpeg, from the start or from the end, and
+   * resolve with `{ ok, detail }`. `-xerror` makes the first decoding error fatal.
+   */
+  async decodeCheck(mediaPath, seconds, fromEnd, options = {}) {
+    const { signal } = options;
+    const ffmpegPath = await this.getFfmpegPath();
+    const seek = fromEnd ? ['-sseof', `-${seconds}`] : [];
 
-    this.log(`Successfully downloaded video and extracted ${frames.length} frames`, 'success');
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-v', 'error',
+        '-xerror',
+        ...seek,
+        '-i', mediaPath,
+        '-t', String(seconds),
+        '-f', 'null',
+        '-'
+      ], { windowsHide: true, signal });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
+      ffmpeg.on('close', (code) => {
+        const lastLine = stderr.trim().split('\n').pop();
+        resolve(code === 0
+          ? { ok: true, detail: `Decoded ${fromEnd ? 'last' : 'first'} ${seconds}s` }
+          : { ok: false, detail: `${fromEnd ? 'End' : 'Start'}: ${lastLine || `ffmpeg exited with ${code}`}` });
+      });
+      ffmpeg.on('error', (err) => reject(signal?.aborted ? this.cancelledError() : err));
+    });
+  }
 
-    return { videoPath, frames, metadata };
+  /**
+   * Check a downloaded file before it is used: its size against the Content-Length,
+   * that it probes (see probeDownload), its MP4 box structure when it is an MP4 or MOV
+   * (judged by the probe, or by its extension if that failed), its duration against
+   * the HLS playlist's, and that its first and last seconds decode. `expected` is what
+   * downloadMediaUrl resolved with. Resolves with `{ probe, verification }`, where
+   * verification is `{ ok, checks }` and each check is `{ ok, detail }`; checks that
+   * can't run (nothing expected, or the probe failed) are left out.
+   */
+  async verifyDownload(mediaPath, expected = {}, options = {}) {
+    const { audioOnly = false, onProgress, signal } = options;
+    const { durationTolerance, decodeSeconds } = this.verification;
+    const checks = {};
+
+    this.emitProgress(onProgress, 'probing', 'Verifying download', { percent: 0 });
+
+    const stats = await fs.stat(mediaPath);
+    if (expected.bytes) {
+      checks.size = { ok: stats.size === expected.bytes, detail: `${stats.size} of ${expected.bytes} bytes` };
+    }
+
+    let probe = null;
+    try {
+      probe = await this.probeDownload(mediaPath, { audioOnly, signal });
+      checks.probe = { ok: true, detail: `${probe.video.length} video, ${probe.audio.length} audio stream(s)` };
+    } catch (error) {
+      if (signal?.aborted) throw this.cancelledError();
+      checks.probe = { ok: false, detail: error.message };
+    }
+
+    // Direct links are saved as .mp4 whatever they are, so WebM and the like skip this
+    const isMp4 = probe
+      ? (probe.format.name || '').split(',').some(name => name === 'mov' || name === 'mp4')
+      : /\.(mp4|m4a)$/i.test(mediaPath);
+    if (isMp4) {
+      checks.structure = await checkMp4Structure(mediaPath);
+    }
+
+    if (probe && expected.duration) {
+      const duration = probeDuration(probe);
+      const tolerance = Math.max(durationTolerance, expected.duration * 0.01);
+      checks.duration = {
+        ok: Math.abs(duration - expected.duration) <= tolerance,
+        detail: `${duration.toFixed(2)}s, playlist ${expected.duration.toFixed(2)}s`
+      };
+    }
+
+    if (probe && decodeSeconds > 0) {
+      this.emitProgress(onProgress, 'probing', 'Verifying download', { percent: 50 });
+      const start = await this.decodeCheck(mediaPath, decodeSeconds, false, { signal });
+      checks.decode = start.ok ? await this.decodeCheck(mediaPath, decodeSeconds, true, { signal }) : start;
+      if (checks.decode.ok) checks.decode.detail = `Decoded first and last ${decodeSeconds}s`;
+    }
+
+    this.emitProgress(onProgress, 'probing', 'Verifying download', { percent: 100 });
+    const ok = Object.values(checks).every(check => check.ok);
+    return { probe: ok ? probe : null, verification: { ok, checks } };
+  }
+
+  /**
+   * Download a selection and verify it (see verifyDownload), downloading it again
+   * up to `verification.retries` times while verification fails. Before each retry,
+   * `recapture()` (when given) resolves with a fresh `{ selection, session }`, as signed
+   * media URLs expire. Resolves with `{ probe, verification, selection }`, verification
+   * also recording the `attempts` made, the `failures` of earlier attempts and when it
+   * passed; rejects with code `VERIFICATION_FAILED` once the retries are used up.
+   */
+  async downloadVerified(selection, mediaPath, options = {}) {
+    const { audioOnly = false, onProgress, signal, recapture } = options;
+    let { session } = options;
+    const { retries } = this.verification;
+    const failures = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const { expected } = await this.downloadMediaUrl(selection, mediaPath, { onProgress, signal, session });
+      const { probe, verification } = await this.verifyDownload(mediaPath, expected, { audioOnly, onProgress, signal });
+
+      if (verification.ok) {
+        if (failures.length > 0) this.log(`${path.basename(mediaPath)} verified on attempt ${attempt}`, 'success');
+        return {
+          probe,
+          verification: { ...verification, attempts: attempt, failures, verified_at: new Date().toISOString() },
+          selection
+        };
+      }
+
+      const reason = Object.entries(verification.checks)
+        .filter(([, check]) => !check.ok)
+        .map(([name, check]) => `${name}: ${check.detail}`)
+        .join('; ');
+      failures.push({ attempt, reason });
+      await fs.rm(mediaPath, { force: true });
+
+      if (attempt > retries) {
+        const error = new Error(`Downloaded ${path.basename(mediaPath)} failed verification after ${attempt} attempt(s): ${reason}`);
+        error.code = 'VERIFICATION_FAILED';
+        throw error;
+      }
+
+      this.log(`${path.basename(mediaPath)} failed verification (${reason}); retry ${attempt}/${retries}`, 'warning');
+      this.emitProgress(onProgress, 'downloading', `Download failed verification, retry ${attempt}/${retries}: ${reason}`, {});
+
+      if (recapture) {
+        try {
+          ({ selection, session } = await recapture());
+        } catch (error) {
+          if (signal?.aborted) throw this.cancelledError();
+          this.log(`Couldn't capture ${path.basename(mediaPath)} again (${error.message}); retrying the same URL`, 'warning');
+        }
+      }
+    }
+  }
+
+  /**
+   * Read size and duration of a downloaded video and extract its frames into framesDir.
+   * `frameOptions` is `{ frameCount, frameMode, scene, output, dedupe }` as passed to downloadVideo,
+   * with `output` from frameOutputSettings and `dedupe` from dedupeSettings. With `dedupe`,
+   * near-duplicate frames are removed after extraction (see dedupeFrames) and `duplicatesRemoved`
+   * is their count; it is null otherwise.
+   * Pass `probe` (from probeDownload) to skip probing the file again.
+   */
+  async processVideo(videoPath, framesDir, frameOptions, options = {}) {
+    const { frameCount, frameMode = 'count', scene = {}, output = FRAME_OUTPUT_DEFAULTS, dedupe = null } = frameOptions;
+    const { onProgress, signal } = options;
+
+    const probe = options.probe || await this.probeDownload(videoPath, { audioOnly: /\.m4a$/i.test(videoPath), onProgress, signal });
+    const stats = await fs.stat(videoPath);
+    const duration = probeDuration(probe);
+
+    await this.clearFrames(framesDir);
+
+    let frames = [];
+    let timestamps = [];
+    let sceneFrames = null;
+    if (frameMode === 'scene') {
+      ({ frames, timestamps, sceneFrames } = await this.extractSceneFrames(videoPath, framesDir, { ...scene, onProgress, probe, output, signal }));
+    } else if (frameCount === 'all') {
+      ({ frames, timestamps } = await this.extractAllFrames(videoPath, framesDir, { onProgress, probe, output, signal }));
+    } else if (typeof frameCount === 'number' && frameCount > 0) {
+      ({ frames, timestamps } = await this.extractFrames(videoPath, framesDir, frameCount, { onProgress, probe, output, signal }));
+    }
+
+    let deduped = null;
+    if (dedupe && frames.length > 0) {
+      deduped = await this.dedupeFrames(frames, timestamps, { ...dedupe, onProgress, signal });
+      ({ frames, timestamps } = deduped);
+      if (sceneFrames) {
+        sceneFrames = deduped.kept.map((index, i) => ({ ...sceneFrames[index], file: path.basename(frames[i]) }));
+      }
+    }
+
+    if (frames.length > 0) {
+      await this.writeFrameManifest(videoPath, framesDir, frames, timestamps, {
+        sceneFrames,
+        probe,
+        output,
+        dedupe: deduped && { maxDistance: dedupe.maxDistance, ...deduped },
+        signal
+      });
+    }
+
+    const duplicatesRemoved = dedupe ? deduped?.removed ?? 0 : null;
+    return { stats, duration, frames, sceneFrames, duplicatesRemoved, streams: probe };
+  }
+
+  /**
+   * Describe a file's first audio stream as `{ codec, channels, sample_rate }`, or null if it has none
+   */
+  async probeAudioStream(mediaPath, options = {}) {
+    const probe = options.probe || await this.probeMedia(mediaPath, { signal: options.signal });
+    const [stream] = probe.audio;
+    return stream ? { codec: stream.codec, channels: stream.channels, sample_rate: stream.sample_rate } : null;
+  }
+
+  /**
+   * Measure loudness (EBU R128) and find silent intervals in one pass over the audio.
+   * Resolves with `{ loudness_lufs, loudness_range_lu, true_peak_dbfs, silence }`.
+   */
+  async analyzeAudio(mediaPath, duration, options = {}) {
+    const { onProgress, signal } = options;
+    const { threshold, minDuration } = SILENCE_DEFAULTS;
+    const ffmpegPath = await this.getFfmpegPath();
+
+    this.emitProgress(onProgress, 'probing', 'Analysing audio', { percent: 0 });
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-hide_banner',
+        '-nostats',
+        '-i', mediaPath,
+        '-vn',
+        // framelog=verbose keeps ebur128's per-frame lines out of the log; only its summary remains
+        '-af', `silencedetect=noise=${threshold}dB:d=${minDuration},ebur128=peak=true:framelog=verbose`,
+        '-progress', 'pipe:1',
+        '-f', 'null',
+        '-'
+      ], { windowsHide: true, signal });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
+
+      this.watchFfmpegProgress(ffmpeg, (progress) => {
+        const seconds = (parseInt(progress.out_time_us || progress.out_time_ms) || 0) / 1e6;
+        this.emitProgress(onProgress, 'probing', 'Analysing audio', {
+          percent: duration > 0 ? Math.min(100, Math.round((seconds / duration) * 100)) : undefined
+        });
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error('Failed to analyse audio'));
+          return;
+        }
+
+        // -inf means digital silence throughout
+        const level = (pattern) => {
+          const match = stderr.match(pattern);
+          return match && match[1] !== '-inf' ? parseFloat(match[1]) : null;
+        };
+
+        // A silence still open at the end runs to the end of the file
+        const intervals = [];
+        for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+          const time = Math.max(0, parseFloat(match[2]));
+          if (match[1] === 'start') intervals.push({ start: time, end: null });
+          else if (intervals.length > 0) intervals[intervals.length - 1].end = time;
+        }
+        const silent = intervals.map(({ start, end }) => {
+          const stop = end ?? duration;
+          return { start: parseFloat(start.toFixed(3)), end: parseFloat(stop.toFixed(3)), duration: parseFloat((stop - start).toFixed(3)) };
+        });
+        const totalSilence = silent.reduce((sum, i) => sum + i.duration, 0);
+
+        resolve({
+          loudness_lufs: level(/I:\s+(-?[\d.]+|-inf) LUFS/),
+          loudness_range_lu: level(/LRA:\s+(-?[\d.]+|-inf) LU\b/),
+          true_peak_dbfs: level(/Peak:\s+(-?[\d.]+|-inf) dBFS/),
+          silence: {
+            threshold_db: threshold,
+            min_duration: minDuration,
+            total_seconds: parseFloat(totalSilence.toFixed(3)),
+            ratio: duration > 0 ? parseFloat(Math.min(1, totalSilence / duration).toFixed(3)) : null,
+            intervals: silent
+          }
+        });
+      });
+
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  /**
+   * Write a file's audio to outputPath: `m4a` copies AAC as it is (or encodes it),
+   * `wav` is 16 kHz mono PCM for speech tools
+   */
+  async extractAudioTrack(mediaPath, outputPath, format, codec, options = {}) {
+    const { signal } = options;
+    const ffmpegPath = await this.getFfmpegPath();
+
+    const codecArgs = format === 'wav'
+      ? ['-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le']
+      : (codec === 'aac' ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-b:a', '128k']);
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-v', 'error',
+        '-i', mediaPath,
+        '-vn',
+        '-map', '0:a:0',
+        ...codecArgs,
+        ...(format === 'm4a' ? ['-movflags', '+faststart'] : []),
+        '-y',
+        outputPath
+      ], { windowsHide: true, signal });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) resolve(outputPath);
+        else reject(new Error(`Failed to extract audio to ${path.basename(outputPath)}`));
+      });
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  /**
+   * Describe a downloaded file's audio for metadata: whether it has any, its loudness and
+   * silent intervals, and with `extractAudio` (`m4a` or `wav`) the file it was saved to as
+   * `file`, relative to videoDir. The audio goes in `outputDir` as audio.<format>.
+   * Pass `probe` to skip probing the file again.
+   */
+  async processAudio(mediaPath, outputDir, videoDir, extractAudio, options = {}) {
+    const { onProgress, signal } = options;
+    const probe = options.probe || await this.probeMedia(mediaPath, { signal });
+
+    const stream = await this.probeAudioStream(mediaPath, { probe });
+    if (!stream) {
+      this.log('No audio stream');
+      return { has_audio: false };
+    }
+
+    const duration = await this.getVideoDuration(mediaPath, { probe });
+    const analysis = await this.analyzeAudio(mediaPath, duration, { onProgress, signal });
+    const audio = { has_audio: true, ...stream, ...analysis };
+
+    if (extractAudio) {
+      // An audio-only download is already the m4a that would be extracted
+      const target = mediaPath.endsWith('.m4a') && extractAudio === 'm4a'
+        ? mediaPath
+        : await this.extractAudioTrack(mediaPath, path.join(outputDir, `audio.${extractAudio}`), extractAudio, stream.codec, { signal });
+      // A file in the other format from an earlier request would be left unlisted;
+      // an audio-only download may itself be named audio.m4a
+      for (const format of AUDIO_FORMATS.filter(f => f !== extractAudio)) {
+        const stale = path.join(outputDir, `audio.${format}`);
+        if (stale !== mediaPath) await fs.rm(stale, { force: true });
+      }
+      audio.file = path.relative(videoDir, target).split(path.sep).join('/');
+      this.log(`Saved audio as ${audio.file}`);
+    }
+
+    return audio;
+  }
+
+  /**
+   * Transcribe a downloaded file's speech with the configured transcriber, writing
+   * transcript.vtt, transcript.srt and transcript.txt to outputDir. `audio` is the file's
+   * processAudio block if known. Resolves with the `transcript` metadata block (files
+   * relative to videoDir), or null when there is no audio to transcribe.
+   */
+  async processTranscript(mediaPath, outputDir, videoDir, audio, options = {}) {
+    const { onProgress, signal } = options;
+    if (!this.transcriber) {
+      throw new Error('Transcription is not configured');
+    }
+
+    const hasAudio = audio ? audio.has_audio : !!(await this.probeAudioStream(mediaPath, { signal }));
+    if (!hasAudio) {
+      this.log('No audio to transcribe');
+      return null;
+    }
+
+    // Transcribers take 16 kHz mono WAV, which extractAudio may have saved already
+    const savedWav = audio?.file?.endsWith('.wav') ? path.join(videoDir, audio.file) : null;
+    const wavPath = savedWav || path.join(outputDir, '.transcribe.wav');
+    const message = `Transcribing with ${this.transcriber.label}`;
+
+    this.emitProgress(onProgress, 'transcribing', message, { percent: 0 });
+    try {
+      if (!savedWav) {
+        await this.extractAudioTrack(mediaPath, wavPath, 'wav', null, { signal });
+      }
+
+      const result = await this.transcriber.transcribe(wavPath, {
+        workDir: outputDir,
+        signal,
+        onProgress: (percent) => this.emitProgress(onProgress, 'transcribing', message, { percent })
+      });
+      const segments = normalizeSegments(result.segments || []);
+
+      const files = { vtt: 'transcript.vtt', srt: 'transcript.srt', txt: 'transcript.txt' };
+      await fs.writeFile(path.join(outputDir, files.vtt), toVtt(segments));
+      await fs.writeFile(path.join(outputDir, files.srt), toSrt(segments));
+      await fs.writeFile(path.join(outputDir, files.txt), toText(segments));
+
+      this.log(`Transcribed ${segments.length} segment(s)`, 'success');
+      return {
+        transcriber: this.transcriber.name,
+        language: result.language || null,
+        segment_count: segments.length,
+        files: Object.fromEntries(Object.entries(files).map(([format, file]) =>
+          [format, path.relative(videoDir, path.join(outputDir, file)).split(path.sep).join('/')])),
+        segments,
+        transcribed_at: new Date().toISOString()
+      };
+    } finally {
+      if (!savedWav) await fs.rm(wavPath, { force: true });
+    }
+  }
+
+  /**
+   * Tile frames (`[{ path, index, timestamp }]`) into contact_sheet_N.jpg images in
+   * outputDir, columns × rows cells to a sheet, each cell cellWidth × cellHeight with
+   * its timestamp burnt in. Resolves with `[{ file, frames, from, to, width, height }]`.
+   */
+  async buildContactSheets(frames, outputDir, options = {}) {
+    const { columns, rows, cellWidth, cellHeight, signal } = options;
+    const ffmpegPath = await this.getFfmpegPath();
+    const fontSize = Math.max(10, Math.round(cellWidth / 20));
+    const cell = `scale=${cellWidth}:${cellHeight}:force_original_aspect_ratio=decrease,` +
+      `pad=${cellWidth}:${cellHeight}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+    const sheets = [];
+
+    for (const [i, page] of paginate(frames, columns * rows).entries()) {
+      this.throwIfCancelled(signal);
+      const file = `contact_sheet_${i + 1}.jpg`;
+      const sheetColumns = Math.min(columns, page.length);
+      const sheetRows = Math.ceil(page.length / columns);
+
+      // drawtext needs the colons of a label escaped, even inside quotes
+      const cells = page.map((frame, j) => {
+        const label = typeof frame.timestamp === 'number' ? formatLabel(frame.timestamp) : `#${frame.index}`;
+        return `[${j}:v]${cell},drawtext=text='${label.replace(/:/g, '\\:')}':x=6:y=h-th-6:fontsize=${fontSize}` +
+          `:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=4[c${j}]`;
+      });
+      const filter = `${cells.join(';')};${page.map((_, j) => `[c${j}]`).join('')}` +
+        `concat=n=${page.length}:v=1:a=0,tile=${sheetColumns}x${sheetRows}:padding=4:margin=4`;
+
+      await new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, [
+          '-v', 'error',
+          ...page.flatMap(frame => ['-i', frame.path]),
+          '-filter_complex', filter,
+          '-frames:v', '1',
+          '-q:v', '3',
+          '-y',
+          path.join(outputDir, file)
+        ], { windowsHide: true, signal });
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
+        ffmpeg.on('close', (code) => {
+          if (code === 0) resolve();
+          else reject(new Error(`Failed to build ${file}: ${stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`}`));
+        });
+        ffmpeg.on('error', (err) => reject(signal?.aborted ? this.cancelledError() : err));
+      });
+
+      const [first, last] = [page[0], page[page.length - 1]];
+      sheets.push({
+        file,
+        frames: page.map(frame => frame.index),
+        from: first.timestamp ?? null,
+        to: last.timestamp ?? null,
+        width: sheetColumns * cellWidth + (sheetColumns + 1) * 4,
+        height: sheetRows * cellHeight + (sheetRows + 1) * 4
+      });
+    }
+
+    return sheets;
+  }
+
+  /**
+   * Tile thumbnails taken every few seconds of a video into storyboard_N.jpg sprites in
+   * outputDir and describe them in storyboard.vtt for seek previews (see ./storyboard).
+   * Resolves with `{ file, images, interval, thumbnail_count, thumbnail_width, thumbnail_height }`.
+   */
+  async buildStoryboard(mediaPath, outputDir, options = {}) {
+    const { duration, sourceWidth, sourceHeight, onProgress, signal } = options;
+    const { width } = STORYBOARD_DEFAULTS;
+    const ffmpegPath = await this.getFfmpegPath();
+    const height = scaledHeight(width, sourceWidth, sourceHeight);
+    const interval = storyboardInterval(duration, STORYBOARD_DEFAULTS);
+    const count = Math.ceil(duration / interval);
+    // Short videos get a sprite no bigger than their thumbnails need
+    const columns = Math.max(1, Math.min(STORYBOARD_DEFAULTS.columns, count));
+    const rows = Math.max(1, Math.min(STORYBOARD_DEFAULTS.rows, Math.ceil(count / columns)));
+    const message = 'Building storyboard';
+
+    this.emitProgress(onProgress, 'extracting', message, { percent: 0 });
+
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-v', 'error',
+        '-i', mediaPath,
+        '-an',
+        '-vf', `fps=1/${interval},scale=${width}:${height},setsar=1,tile=${columns}x${rows}`,
+        '-q:v', '4',
+        '-progress', 'pipe:1',
+        '-nostats',
+        '-y',
+        path.join(outputDir, 'storyboard_%d.jpg')
+      ], { windowsHide: true, signal });
+
+      this.watchFfmpegProgress(ffmpeg, (progress) => {
+        const seconds = parseInt(progress.out_time_ms) / 1000000;
+        if (seconds > 0 && duration > 0) {
+          this.emitProgress(onProgress, 'extracting', message, { percent: Math.min(99, Math.round((seconds / duration) * 100)) });
+        }
+      });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => { stderr += data.toString(); });
+      ffmpeg.on('close', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`Failed to build storyboard: ${stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`}`));
+      });
+      ffmpeg.on('error', (err) => reject(signal?.aborted ? this.cancelledError() : err));
+    });
+
+    const images = (await fs.readdir(outputDir))
+      .filter(f => STORYBOARD_IMAGE.test(f))
+      .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+    const cells = storyboardCells({ count, interval, duration, width, height, columns, rows })
+      .filter(c => c.image <= images.length);
+    await fs.writeFile(path.join(outputDir, 'storyboard.vtt'), toStoryboardVtt(cells, { width, height, imageName: (n) => images[n - 1] }));
+
+    this.emitProgress(onProgress, 'extracting', message, { percent: 100 });
+    return {
+      file: 'storyboard.vtt',
+      images,
+      interval,
+      thumbnail_count: cells.length,
+      thumbnail_width: width,
+      thumbnail_height: height
+    };
+  }
+
+  /**
+   * Remove the contact sheets and storyboard of an earlier run from outputDir
+   */
+  async clearContactSheets(outputDir) {
+    const files = await fs.readdir(outputDir).catch(() => []);
+    const stale = files.filter(f => CONTACT_SHEET_IMAGE.test(f) || STORYBOARD_IMAGE.test(f) || f === 'storyboard.vtt');
+    await Promise.all(stale.map(f => fs.rm(path.join(outputDir, f), { force: true })));
+  }
+
+  /**
+   * Tile the frames saved in outputDir into contact sheets and build a storyboard of the
+   * video (see buildContactSheets and buildStoryboard), replacing earlier ones. `settings`
+   * is a `contactSheets` option (see contactSheetSettings). Resolves with the
+   * `contact_sheets` metadata block (files relative to videoDir), or null for audio.
+   */
+  async processContactSheets(mediaPath, outputDir, videoDir, settings = {}, options = {}) {
+    const { onProgress, signal } = options;
+    const { columns, rows, cellWidth } = this.contactSheetSettings(settings);
+    const probe = options.probe || await this.probeMedia(mediaPath, { signal });
+    const [video] = probe.video;
+    if (!video) return null;
+
+    await this.clearContactSheets(outputDir);
+
+    // frames.json has each frame's timestamp; frames from before it existed are labelled by number
+    const manifest = await fs.readFile(path.join(outputDir, 'frames.json'), 'utf8').then(JSON.parse, () => null);
+    const frames = manifest
+      ? manifest.frames.map(f => ({ path: path.join(outputDir, f.file), index: f.index, timestamp: f.timestamp }))
+      : (await this.listFrames(outputDir)).map((framePath, i) => ({ path: framePath, index: i + 1, timestamp: null }));
+
+    const cellHeight = scaledHeight(cellWidth, video.display_width, video.display_height);
+    this.emitProgress(onProgress, 'extracting', 'Building contact sheets', {});
+    const sheets = await this.buildContactSheets(frames, outputDir, { columns, rows, cellWidth, cellHeight, signal });
+    const storyboard = await this.buildStoryboard(mediaPath, outputDir, {
+      duration: probeDuration(probe),
+      sourceWidth: video.display_width,
+      sourceHeight: video.display_height,
+      onProgress,
+      signal
+    });
+
+    const relative = (file) => path.relative(videoDir, path.join(outputDir, file)).split(path.sep).join('/');
+    this.log(`Built ${sheets.length} contact sheet(s) and a storyboard of ${storyboard.thumbnail_count} thumbnails`, 'success');
+    return {
+      columns,
+      rows,
+      cell_width: cellWidth,
+      cell_height: cellHeight,
+      sheets: sheets.map(sheet => ({ ...sheet, file: relative(sheet.file) })),
+      storyboard: { ...storyboard, file: relative(storyboard.file), images: storyboard.images.map(relative) },
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build contact sheets and storyboards for every video of a saved download (see
+   * processContactSheets) and record them in its metadata.json. Resolves with the metadata.
+   */
+  async createContactSheets(videoDir, settings = {}, options = {}) {
+    const { signal } = options;
+    const metadataPath = path.join(videoDir, 'metadata.json');
+
+    return withMetadataLock(videoDir, async () => {
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      const targets = Array.isArray(metadata.videos) ? metadata.videos : [metadata];
+      const media = this.mediaFiles(metadata);
+
+      for (let i = 0; i < media.length; i++) {
+        const { file, framesDir } = media[i];
+        targets[i].contact_sheets = await this.processContactSheets(path.join(videoDir, file), path.join(videoDir, framesDir || ''), videoDir, settings, { signal });
+      }
+
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    });
+  }
+
+  /**
+   * Format seconds as HH:MM:SS.mmm
+   */
+  formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * Get the width and height of a video's (or image's) first video stream
+   */
+  async getVideoDimensions(videoPath, options = {}) {
+    const probe = options.probe || await this.probeMedia(videoPath, { signal: options.signal });
+    const [stream] = probe.video;
+    return { width: stream?.width || null, height: stream?.height || null };
+  }
+
+  /**
+   * Write frames.json next to the frames, recording which moment of the video each one shows
+   */
+  async writeFrameManifest(videoPath, framesDir, frames, timestamps, options = {}) {
+    const { sceneFrames, probe, output = FRAME_OUTPUT_DEFAULTS, dedupe, signal } = options;
+    // Resized frames are all the size of the first one
+    const resized = output.maxWidth || output.maxHeight;
+    const { width, height } = await (resized
+      ? this.getVideoDimensions(frames[0], { signal })
+      : this.getVideoDimensions(videoPath, { probe, signal })).catch(() => ({ width: null, height: null }));
+
+    const entries = await Promise.all(frames.map(async (framePath, i) => {
+      const timestamp = typeof timestamps[i] === 'number' ? parseFloat(timestamps[i].toFixed(3)) : null;
+      const { size } = await fs.stat(framePath);
+      return {
+        index: i + 1,
+        file: path.basename(framePath),
+        timestamp,
+        time: timestamp === null ? null : this.formatTimestamp(timestamp),
+        width,
+        height,
+        file_size: size,
+        ...(sceneFrames && { score: sceneFrames[i]?.score ?? null }),
+        ...(dedupe && { hash: dedupe.hashes[i], covers: dedupe.covers[i] })
+      };
+    }));
+
+    const manifest = {
+      video: path.basename(videoPath),
+      frame_count: entries.length,
+      ...(dedupe && {
+        dedupe: { max_distance: dedupe.maxDistance, frames_extracted: entries.length + dedupe.removed, duplicates_removed: dedupe.removed }
+      }),
+      frames: entries
+    };
+
+    await fs.writeFile(path.join(framesDir, 'frames.json'), JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  /**
+   * The contact sheet settings a `contactSheets` download option asks for, or null for none
+   */
+  contactSheetSettings(value) {
+    if (!value) return null;
+    const { columns = CONTACT_SHEET_DEFAULTS.columns, rows = CONTACT_SHEET_DEFAULTS.rows, cellWidth = CONTACT_SHEET_DEFAULTS.cellWidth } =
+      typeof value === 'object' ? value : {};
+    return { columns, rows, cellWidth };
+  }
+
+  /**
+   * Describe the frame mode, frame output and duplicate frame settings for metadata
+   */
+  describeFrameMode({ frameMode = 'count', frameCount, scene = {}, output = FRAME_OUTPUT_DEFAULTS, dedupe = null }) {
+    const frameOutput = {
+      frame_output: {
+        format: output.format,
+        max_width: output.maxWidth,
+        max_height: output.maxHeight,
+        quality: output.format === 'png' ? null : output.quality,
+        grayscale: output.grayscale
+      },
+      frame_dedupe: dedupe && { max_distance: dedupe.maxDistance }
+    };
+    if (frameMode !== 'scene') return { frame_mode: 'count', frames_requested: frameCount ?? null, ...frameOutput };
+    return {
+      frame_mode: 'scene',
+      scene_threshold: scene.threshold ?? SCENE_DEFAULTS.threshold,
+      scene_min_frames: scene.minFrames ?? SCENE_DEFAULTS.minFrames,
+      scene_max_frames: scene.maxFrames ?? SCENE_DEFAULTS.maxFrames,
+      ...frameOutput
+    };
+  }
+
+  /**
+   * Describe the variant a download used, for metadata
+   */
+  describeSelection(quality, selection) {
+    const { id, type, width, height, bandwidth, codecs } = selection.variant;
+    return {
+      requested: quality,
+      selected: { id, type, width: width || null, height: height || null, bandwidth: bandwidth || null, codecs: codecs || null }
+    };
+  }
+
+  /**
+   * Save a post's photos as photo_N.<format> in its folder
+   */
+  async downloadPhotos(photos, dir, options = {}) {
+    const { onProgress, signal, session } = options;
+    const saved = [];
+
+    for (let i = 0; i < photos.length; i++) {
+      const { url, format } = photos[i];
+      const file = `photo_${i + 1}.${format}`;
+      const photoPath = path.join(dir, file);
+
+      this.emitProgress(onProgress, 'downloading', `Downloading photo ${i + 1}/${photos.length}`, {
+        percent: Math.round((i / photos.length) * 100)
+      });
+      await this.downloadFileHttp(url, photoPath, { signal, headers: this.sessionHeaders(session) });
+
+      const stats = await fs.stat(photoPath);
+      const { width, height } = await this.getVideoDimensions(photoPath, { signal }).catch(() => ({ width: null, height: null }));
+      saved.push({ index: i + 1, file, source_url: url, width, height, file_size: stats.size });
+    }
+
+    if (saved.length > 0) {
+      this.log(`Saved ${saved.length} photo(s)`, 'success');
+    }
+    return saved;
+  }
+
+  /**
+   * The video (or audio) files a download's metadata lists, as `[{ file, framesDir, size }]`.
+   * `size` is the file's recorded size, or null when metadata doesn't say.
+   */
+  mediaFiles(metadata) {
+    if (Array.isArray(metadata.videos)) {
+      return metadata.videos.map(v => ({ file: v.file, framesDir: v.frames_dir, size: v.file_size ?? null }));
+    }
+    if (metadata.media_type === 'photo') return [];
+
+    // A single video's file_size includes the post's photos
+    const photoSize = (metadata.photos || []).reduce((sum, p) => sum + (p.file_size || 0), 0);
+    return [{ file: metadata.file || 'video.mp4', framesDir: '', size: typeof metadata.file_size === 'number' ? metadata.file_size - photoSize : null }];
+  }
+
+  /**
+   * Read the metadata of an earlier download in videoDir if it is complete: metadata.json
+   * parses, and every file it lists is present at its recorded size and passes probeDownload.
+   * Resolves with the metadata, or null.
+   */
+  async findExistingDownload(videoDir, options = {}) {
+    const { signal } = options;
+    const metadata = await fs.readFile(path.join(videoDir, 'metadata.json'), 'utf8')
+      .then(JSON.parse)
+      .catch(() => null);
+    if (!metadata || typeof metadata !== 'object') return null;
+
+    for (const photo of metadata.photos || []) {
+      const stats = await fs.stat(path.join(videoDir, photo.file)).catch(() => null);
+      if (!stats) return null;
+    }
+
+    for (const media of this.mediaFiles(metadata)) {
+      const mediaPath = path.join(videoDir, media.file || '');
+      const stats = await fs.stat(mediaPath).catch(() => null);
+      if (!stats || !stats.isFile() || (media.size !== null && stats.size !== media.size)) {
+        this.log(`Earlier download of ${path.basename(videoDir)} is incomplete (${media.file})`, 'warning');
+        return null;
+      }
+      const usable = await this.probeDownload(mediaPath, { audioOnly: /\.m4a$/i.test(media.file || ''), signal }).then(() => true, () => false);
+      if (!usable) {
+        this.log(`Earlier download of ${path.basename(videoDir)} is unreadable (${media.file})`, 'warning');
+        return null;
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Whether an earlier download's frames were extracted with the same frame options
+   */
+  sameFrameRequest(metadata, frameOptions) {
+    // Retention may have deleted the frames to save space
+    if (metadata.frames_pruned_at) return false;
+
+    const wanted = this.describeFrameMode(frameOptions);
+    const mode = metadata.frame_mode || 'count';
+    if (mode !== wanted.frame_mode) return false;
+
+    // Downloads from before frame_output was recorded have full size JPEGs, the defaults
+    const { frame_output: previousOutput = this.describeFrameMode({}).frame_output } = metadata;
+    if (JSON.stringify(previousOutput) !== JSON.stringify(wanted.frame_output)) return false;
+    if (JSON.stringify(metadata.frame_dedupe ?? null) !== JSON.stringify(wanted.frame_dedupe)) return false;
+
+    if (mode === 'scene') {
+      return ['scene_threshold', 'scene_min_frames', 'scene_max_frames'].every(key => metadata[key] === wanted[key]);
+    }
+    if ('frames_requested' in metadata) {
+      return metadata.frames_requested === wanted.frames_requested;
+    }
+
+    // Downloads from before frames_requested was recorded: compare what was extracted
+    const counts = Array.isArray(metadata.videos) ? metadata.videos.map(v => v.frame_count) : [metadata.frame_count];
+    return typeof frameOptions.frameCount === 'number' && counts.every(count => count === frameOptions.frameCount);
+  }
+
+  /**
+   * Return an earlier complete download, re-extracting its frames first if the frame
+   * options differ from the ones it was made with, saving its audio if `extractAudio`
+   * asks for a file it doesn't have yet, transcribing it if `transcribe` is set and it
+   * has no transcript, and building contact sheets if `contactSheets` asks for them and it
+   * has none. Contact sheets of re-extracted frames are rebuilt. Resolves like downloadVideo,
+   * plus `reused: true` and `framesRefreshed`. Callers hold the folder's metadata lock.
+   */
+  async reuseDownload(metadata, videoDir, frameOptions, options = {}) {
+    const { extractAudio = null, transcribe = false, contactSheets = null, onProgress, signal } = options;
+    const id = path.basename(videoDir);
+    const media = this.mediaFiles(metadata);
+    const videoPath = media.length > 0 ? path.join(videoDir, media[0].file) : null;
+
+    // Multi-video downloads keep per-video details; single ones keep them at the top level
+    const targets = Array.isArray(metadata.videos) ? metadata.videos : [metadata];
+    const refreshFrames = media.length > 0 && !this.sameFrameRequest(metadata, frameOptions);
+    const needsAudio = (target) => extractAudio && target.audio?.has_audio !== false &&
+      !(target.audio?.file && target.audio.file.endsWith(`.${extractAudio}`));
+    // A null transcript means there was no audio to transcribe
+    const needsTranscript = (target) => transcribe && target.transcript === undefined && target.audio?.has_audio !== false;
+    // A null contact_sheets means the file has no video to tile
+    const needsContactSheets = (target) => contactSheets && target.contact_sheets === undefined;
+    const needsWork = media.length > 0 && targets.some(t => needsAudio(t) || needsTranscript(t) || needsContactSheets(t));
+
+    if (!refreshFrames && !needsWork) {
+      this.log(`${id} is already downloaded, reusing it`, 'success');
+      this.emitProgress(onProgress, 'probing', 'Already downloaded', { percent: 100 });
+      const frames = [];
+      for (const m of media) frames.push(...await this.listFrames(path.join(videoDir, m.framesDir || '')));
+      return { id, videoPath, frames, metadata, reused: true, framesRefreshed: false };
+    }
+
+    this.log(`${id} is already downloaded, ${refreshFrames ? 're-extracting frames with the new options' : 'adding audio, a transcript or contact sheets'}`);
+    const allFrames = [];
+    for (let i = 0; i < media.length; i++) {
+      const { file, framesDir } = media[i];
+      const target = targets[i];
+      const outputDir = path.join(videoDir, framesDir || '');
+      const audioOnly = file.endsWith('.m4a');
+      const onVideoProgress = onProgress && media.length > 1 && ((event) => onProgress({
+        ...event,
+        message: `Video ${i + 1}/${media.length}: ${event.message}`,
+        video: i + 1,
+        totalVideos: media.length
+      }));
+
+      if (needsAudio(target)) {
+        target.audio = await this.processAudio(path.join(videoDir, file), outputDir, videoDir, extractAudio, { onProgress: onVideoProgress || onProgress, signal });
+      }
+      if (needsTranscript(target)) {
+        target.transcript = await this.processTranscript(path.join(videoDir, file), outputDir, videoDir, target.audio, { onProgress: onVideoProgress || onProgress, signal });
+      }
+
+      if (refreshFrames) {
+        const { frames, sceneFrames, duplicatesRemoved, streams } = await this.processVideo(path.join(videoDir, file), outputDir,
+          audioOnly ? { frameCount: 0 } : frameOptions, { onProgress: onVideoProgress || onProgress, signal });
+        allFrames.push(...frames);
+
+        target.streams = streams;
+        target.frame_count = frames.length;
+        delete target.scene_frames;
+        delete target.duplicate_frames_removed;
+        if (sceneFrames) target.scene_frames = sceneFrames;
+        if (duplicatesRemoved !== null) target.duplicate_frames_removed = duplicatesRemoved;
+      } else {
+        allFrames.push(...await this.listFrames(outputDir));
+      }
+
+      // Sheets of frames that were just replaced are rebuilt with the settings they had
+      const previousSheets = refreshFrames && target.contact_sheets;
+      if (needsContactSheets(target) || previousSheets) {
+        const settings = contactSheets ||
+          { columns: previousSheets.columns, rows: previousSheets.rows, cellWidth: previousSheets.cell_width };
+        target.contact_sheets = await this.processContactSheets(path.join(videoDir, file), outputDir, videoDir, settings,
+          { probe: target.streams, onProgress: onVideoProgress || onProgress, signal });
+      }
+    }
+
+    if (refreshFrames) {
+      for (const key of ['frame_mode', 'frames_requested', 'scene_threshold', 'scene_min_frames', 'scene_max_frames', 'frame_output', 'frame_dedupe', 'frames_pruned_at']) {
+        delete metadata[key];
+      }
+      Object.assign(metadata, {
+        frame_count: allFrames.length,
+        ...this.describeFrameMode(frameOptions),
+        frames_extracted_at: new Date().toISOString()
+      });
+      this.log(`Re-extracted ${allFrames.length} frames`, 'success');
+    }
+    await fs.writeFile(path.join(videoDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+    return { id, videoPath, frames: allFrames, metadata, reused: true, framesRefreshed: refreshFrames };
+  }
+
+  /**
+   * Put a download finished in `workDir` in place of whatever is in `videoDir`, writing
+   * `metadata` as its metadata.json. Clips exported from the earlier download are kept:
+   * their files move over and they stay listed under `clips`.
+   */
+  async replaceDownload(workDir, videoDir, metadata) {
+    await withMetadataLock(videoDir, async () => {
+      const previous = await fs.readFile(path.join(videoDir, 'metadata.json'), 'utf8').then(JSON.parse).catch(() => null);
+      const clips = [];
+      for (const clip of Array.isArray(previous?.clips) ? previous.clips : []) {
+        if (await fs.stat(path.join(videoDir, clip.file)).then(() => true, () => false)) clips.push(clip);
+      }
+      if (clips.length > 0) metadata.clips = clips;
+      await fs.writeFile(path.join(workDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+      const oldDir = `${workDir}.old`;
+      const hadPrevious = await fs.rename(videoDir, oldDir).then(() => true, (error) => {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      });
+      try {
+        await fs.rename(workDir, videoDir);
+      } catch (error) {
+        if (hadPrevious) await fs.rename(oldDir, videoDir);
+        throw error;
+      }
+
+      if (hadPrevious) {
+        for (const clip of clips) {
+          await fs.rename(path.join(oldDir, clip.file), path.join(videoDir, clip.file));
+        }
+        await fs.rm(oldDir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  /**
+   * Main download method
+   *
+   * With `allVideos`, every video in a multi-video post is saved as video_N.mp4
+   * with its frames in a video_N/ folder, and listed under `videos` in metadata.
+   * `quality` picks the variant (see selectVariant); `audio` saves audio.m4a without frames.
+   * `frameMode: 'scene'` takes frames at scene changes instead of `frameCount`,
+   * tuned by `scene: { threshold, minFrames, maxFrames }`. `frameOutput: { format, maxWidth, maxHeight,
+   * quality, grayscale }` sets how frames are written (see frameOutputSettings). `dedupe` (true or
+   * `{ maxDistance }`) removes near-duplicate frames after extraction (see dedupeFrames).
+   * With `photos`, the post's images are saved too, and photo-only posts no longer fail.
+   * With `extractAudio` (`m4a`, `wav` or true for m4a) each video's audio is saved as audio.<format>
+   * next to its frames. Every video's audio is described under `audio` in metadata (see processAudio).
+   * With `transcribe`, each video's speech is transcribed next to its frames (see processTranscript).
+   * With `contactSheets` (true or `{ columns, rows, cellWidth }`), each video's frames are tiled into
+   * contact sheets and a seek preview storyboard is built (see processContactSheets).
+   * Each media file is verified once downloaded and downloaded again while it fails (see
+   * downloadVerified); the checks are saved under `verification`.
+   * A complete earlier download of the same post is returned as it is (see reuseDownload)
+   * unless `force` is set. Otherwise it's only replaced once the new one has finished
+   * (see replaceDownload).
+   */
+  async downloadVideo(url, browserService, browserId, options = {}) {
+    const { frameCount = 5, frameMode = 'count', scene = {}, allVideos = false, quality = 'best', photos: savePhotos = false, force = false, onProgress, signal } = options;
+    const transcribe = !!options.transcribe;
+    const contactSheets = this.contactSheetSettings(options.contactSheets);
+    const extractAudio = options.extractAudio === true ? 'm4a' : (AUDIO_FORMATS.includes(options.extractAudio) ? options.extractAudio : null);
+    const frameOptions = { frameCount, frameMode, scene, output: this.frameOutputSettings(options.frameOutput), dedupe: this.dedupeSettings(options.dedupe) };
+    const noFrames = { frameCount: 0 };
+    const shouldExtractFrames = this.wantsFrames(frameOptions);
+
+    // Get ffmpeg path (auto-downloads if needed when ffmpegService is available)
+    if (shouldExtractFrames) {
+      this.log('Checking ffmpeg availability...');
+      const ffmpegPath = await this.getFfmpegPath();
+      this.log(`Using ffmpeg: ${ffmpegPath}`);
+    }
+
+    const { extractor, source } = this.resolveSource(url);
+    const { folder, username, tweetId, site } = source;
+
+    this.log(`Downloading video from ${extractor.label} ${folder}`);
+
+    await fs.mkdir(this.VIDEOS_DIR, { recursive: true });
+
+    const videoDir = path.join(this.VIDEOS_DIR, folder);
+
+    if (!force) {
+      // Locked from reading metadata.json to writing it back, so clips saved meanwhile aren't lost
+      const reused = await withMetadataLock(videoDir, async () => {
+        const existing = await this.findExistingDownload(videoDir, { signal });
+        return existing && this.reuseDownload(existing, videoDir, frameOptions, { extractAudio, transcribe, contactSheets, onProgress, signal });
+      }).catch((error) => {
+        throw signal?.aborted ? this.cancelledError() : error;
+      });
+      if (reused) return reused;
+    }
+
+    // Work in a hidden folder next to it, so a failed or cancelled run (forced or not)
+    // leaves any earlier download of the post as it was
+    const workDir = await fs.mkdtemp(path.join(this.VIDEOS_DIR, `.${folder}.download-`));
+    // Paths handed back point into videoDir, where the files end up
+    const moved = (file) => path.join(videoDir, path.relative(workDir, file));
+
+    // Fields every metadata.json starts with, whatever the layout
+    const sourceFields = { extractor: extractor.name, site, source_id: source.id, tweet_id: tweetId, username, url };
+
+    try {
+      const { videoUrls, tweet = null, photos: photoUrls = [], session } = await extractor.capture(url, browserService, browserId, { onProgress, signal, allVideos });
+      const groups = videoUrls.length > 0 ? extractor.selectGroups(videoUrls, source, allVideos) : [];
+      // For verification retries: capture the post again and pick the same video
+      const recapture = (index) => async () => {
+        const fresh = await extractor.capture(url, browserService, browserId, { onProgress, signal, allVideos });
+        const freshGroups = fresh.videoUrls.length > 0 ? extractor.selectGroups(fresh.videoUrls, source, allVideos) : [];
+        const group = groups[index].id ? freshGroups.find(g => g.id === groups[index].id) : freshGroups[index];
+        if (!group) throw new Error(`video ${index + 1} is no longer in the post`);
+        return { selection: await this.selectDownload(group, quality, { signal }), session: fresh.session };
+      };
+
+      if (groups.length === 0 && !savePhotos) {
+        throw new Error(`No video found, only ${photoUrls.length} photo(s); enable photos to save them`);
+      }
+
+      const photos = savePhotos ? await this.downloadPhotos(photoUrls, workDir, { onProgress, signal, session }) : [];
+      const photoFields = photos.length > 0 ? { photo_count: photos.length, photos } : {};
+      const photoSize = photos.reduce((sum, p) => sum + p.file_size, 0);
+
+      if (groups.length === 0) {
+        const metadata = {
+          ...sourceFields,
+          downloaded_at: new Date().toISOString(),
+          media_type: 'photo',
+          file_size: photoSize,
+          file_size_mb: (photoSize / (1024 * 1024)).toFixed(2),
+          duration_seconds: null,
+          frame_count: 0,
+          ...photoFields,
+          tweet,
+          browser_profile: browserId
+        };
+
+        await this.replaceDownload(workDir, videoDir, metadata);
+
+        this.log(`Successfully downloaded ${photos.length} photo(s)`, 'success');
+
+        return { id: folder, videoPath: null, frames: [], metadata };
+      }
+
+      // A post with one video keeps the plain video.mp4 layout even in allVideos mode
+      if (groups.length === 1) {
+        const selection = await this.selectDownload(groups[0], quality, { signal });
+        const audioOnly = selection.variant.type === 'audio';
+        const file = audioOnly ? 'audio.m4a' : 'video.mp4';
+        const videoPath = path.join(workDir, file);
+        const { probe: streams, verification, selection: downloaded } = await this.downloadVerified(selection, videoPath, { audioOnly, onProgress, signal, session, recapture: recapture(0) });
+        const audio = await this.processAudio(videoPath, workDir, workDir, extractAudio, { probe: streams, onProgress, signal });
+        const transcript = transcribe ? await this.processTranscript(videoPath, workDir, workDir, audio, { onProgress, signal }) : undefined;
+        const { stats, duration, frames, sceneFrames, duplicatesRemoved } = await this.processVideo(videoPath, workDir, audioOnly ? noFrames : frameOptions, { probe: streams, onProgress, signal });
+        const sheets = contactSheets ? await this.processContactSheets(videoPath, workDir, workDir, contactSheets, { probe: streams, onProgress, signal }) : undefined;
+
+        const metadata = {
+          ...sourceFields,
+          downloaded_at: new Date().toISOString(),
+          media_type: groups[0].mediaType || 'video',
+          file_size: stats.size + photoSize,
+          file_size_mb: ((stats.size + photoSize) / (1024 * 1024)).toFixed(2),
+          duration_seconds: duration.toFixed(2),
+          frame_count: frames.length,
+          ...(duplicatesRemoved !== null && { duplicate_frames_removed: duplicatesRemoved }),
+          ...this.describeFrameMode(frameOptions),
+          quality: this.describeSelection(quality, downloaded),
+          streams,
+          verification,
+          audio,
+          ...(transcribe && { transcript }),
+          ...(contactSheets && { contact_sheets: sheets }),
+          ...photoFields,
+          tweet,
+          browser_profile: browserId
+        };
+
+        if (sceneFrames) {
+          metadata.scene_frames = sceneFrames;
+        }
+
+        if (audioOnly) {
+          metadata.file = file;
+        }
+
+        await this.replaceDownload(workDir, videoDir, metadata);
+
+        this.log(`Successfully downloaded video and extracted ${frames.length} frames`, 'success');
+
+        return { id: folder, videoPath: moved(videoPath), frames: frames.map(moved), metadata };
+      }
+
+      const videos = [];
+      const allFrames = [];
+      for (let i = 0; i < groups.length; i++) {
+        const name = `video_${i + 1}`;
+        const framesDir = path.join(workDir, name);
+        const onVideoProgress = onProgress && ((event) => onProgress({
+          ...event,
+          message: `Video ${i + 1}/${groups.length}: ${event.message}`,
+          video: i + 1,
+          totalVideos: groups.length
+        }));
+
+        this.log(`Downloading video ${i + 1}/${groups.length} (media ${groups[i].id})`);
+        const selection = await this.selectDownload(groups[i], quality, { signal });
+        const audioOnly = selection.variant.type === 'audio';
+        const file = audioOnly ? `${name}.m4a` : `${name}.mp4`;
+        const videoPath = path.join(workDir, file);
+        const { probe: streams, verification, selection: downloaded } = await this.downloadVerified(selection, videoPath, { audioOnly, onProgress: onVideoProgress, signal, session, recapture: recapture(i) });
+
+        await fs.mkdir(framesDir, { recursive: true });
+        const audio = await this.processAudio(videoPath, framesDir, workDir, extractAudio, { probe: streams, onProgress: onVideoProgress, signal });
+        const transcript = transcribe ? await this.processTranscript(videoPath, framesDir, workDir, audio, { onProgress: onVideoProgress, signal }) : undefined;
+        const { stats, duration, frames, sceneFrames, duplicatesRemoved } = await this.processVideo(videoPath, framesDir, audioOnly ? noFrames : frameOptions, { probe: streams, onProgress: onVideoProgress, signal });
+        const sheets = contactSheets ? await this.processContactSheets(videoPath, framesDir, workDir, contactSheets, { probe: streams, onProgress: onVideoProgress, signal }) : undefined;
+
+        allFrames.push(...frames);
+        videos.push({
+          index: i + 1,
+          file,
+          frames_dir: name,
+          media_id: groups[i].id,
+          media_type: groups[i].mediaType || 'video',
+          quality: this.describeSelection(quality, downloaded),
+          file_size: stats.size,
+          file_size_mb: (stats.size / (1024 * 1024)).toFixed(2),
+          duration_seconds: duration.toFixed(2),
+          frame_count: frames.length,
+          ...(duplicatesRemoved !== null && { duplicate_frames_removed: duplicatesRemoved }),
+          ...(sceneFrames && { scene_frames: sceneFrames }),
+          streams,
+          verification,
+          audio,
+          ...(transcribe && { transcript }),
+          ...(contactSheets && { contact_sheets: sheets })
+        });
+      }
+
+      const totalSize = videos.reduce((sum, v) => sum + v.file_size, photoSize);
+      const mediaTypes = [...new Set(videos.map(v => v.media_type))];
+      const metadata = {
+        ...sourceFields,
+        downloaded_at: new Date().toISOString(),
+        media_type: mediaTypes.length === 1 ? mediaTypes[0] : 'mixed',
+        file_size: totalSize,
+        file_size_mb: (totalSize / (1024 * 1024)).toFixed(2),
+        duration_seconds: videos[0].duration_seconds,
+        frame_count: allFrames.length,
+        ...this.describeFrameMode(frameOptions),
+        video_count: videos.length,
+        quality: { requested: quality },
+        ...photoFields,
+        tweet,
+        videos,
+        browser_profile: browserId
+      };
+
+      await this.replaceDownload(workDir, videoDir, metadata);
+
+      this.log(`Successfully downloaded ${videos.length} videos and extracted ${allFrames.length} frames`, 'success');
+
+      return { id: folder, videoPath: path.join(videoDir, videos[0].file), frames: allFrames.map(moved), metadata };
+    } catch (error) {
+      // Only this run's files go; an earlier download of the post stays
+      await fs.rm(workDir, { recursive: true, force: true });
+      if (signal?.aborted) {
+        this.log(`Download cancelled, removed ${workDir}`, 'warning');
+        throw this.cancelledError();
+      }
+      throw error;
+    }
   }
 }
 
@@ -0,0 +1,193 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const FILES_URL = '/api/video-download/files';
+
+/**
+ * Video Library Service
+ *
+ * Indexes past downloads from the metadata.json written into each
+ * download folder by VideoDownloader (named by the URL's extractor, e.g.
+ * <username>_<tweetId> for X.com posts).
+ */
+class VideoLibrary {
+  constructor(videosDir) {
+    this.VIDEOS_DIR = videosDir;
+  }
+
+  /**
+   * Resolve a library ID to its folder, rejecting anything that isn't a plain folder name
+   */
+  resolveDir(id) {
+    if (!id || typeof id !== 'string' || id !== path.basename(id) || id.startsWith('.')) {
+      return null;
+    }
+    return path.join(this.VIDEOS_DIR, id);
+  }
+
+  /**
+   * List extracted frame files in a download folder, ordered by frame number
+   */
+  async listFrames(videoDir) {
+    const files = await fs.readdir(videoDir);
+    return files
+      .filter(f => /^frame_\d+\.(jpg|png|webp)$/.test(f))
+      .sort((a, b) => parseInt(a.match(/frame_(\d+)/)[1]) - parseInt(b.match(/frame_(\d+)/)[1]));
+  }
+
+  /**
+   * Read the frames.json manifest in a frames folder, adding each frame's URL.
+   * Downloads made before manifests existed have none.
+   */
+  async readFrameManifest(framesDir, baseUrl) {
+    const raw = await fs.readFile(path.join(framesDir, 'frames.json'), 'utf8').catch(() => null);
+    if (!raw) return null;
+
+    try {
+      const manifest = JSON.parse(raw);
+      return manifest.frames.map(frame => ({ ...frame, url: `${baseUrl}${frame.file}` }));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build a library entry in the same shape as the download response
+   */
+  async readEntry(id) {
+    const videoDir = this.resolveDir(id);
+    if (!videoDir) return null;
+
+    const raw = await fs.readFile(path.join(videoDir, 'metadata.json'), 'utf8').catch(() => null);
+    if (!raw) return null;
+
+    let metadata;
+    try {
+      metadata = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+
+    // Multi-video downloads list each video with its own frames folder; photo-only posts have none
+    const videoSpecs = Array.isArray(metadata.videos) && metadata.videos.length > 0
+      ? metadata.videos
+      : (metadata.media_type === 'photo' ? [] : [{ index: 1, file: metadata.file || 'video.mp4', frames_dir: '' }]);
+
+    const videos = await Promise.all(videoSpecs.map(async (spec) => {
+      const framesDir = path.join(videoDir, spec.frames_dir || '');
+      const framesPath = spec.frames_dir ? `${spec.frames_dir}/` : '';
+      const frameFiles = await this.listFrames(framesDir).catch(() => []);
+      const frameManifest = await this.readFrameManifest(framesDir, `${FILES_URL}/${id}/${framesPath}`);
+      // Single downloads describe their streams, verification, audio, transcript and contact sheets at the top level
+      const audio = spec.audio || (spec.frames_dir ? null : metadata.audio) || null;
+      const streams = spec.streams || (spec.frames_dir ? null : metadata.streams) || null;
+      const verification = spec.verification || (spec.frames_dir ? null : metadata.verification) || null;
+      const transcript = spec.transcript || (spec.frames_dir ? null : metadata.transcript) || null;
+      const contactSheets = spec.contact_sheets || (spec.frames_dir ? null : metadata.contact_sheets) || null;
+
+      return {
+        index: spec.index,
+        videoPath: path.join(videoDir, spec.file),
+        videoUrl: `${FILES_URL}/${id}/${spec.file}`,
+        frames: frameFiles.map(f => path.join(framesDir, f)),
+        frameUrls: frameFiles.map(f => `${FILES_URL}/${id}/${framesPath}${f}`),
+        frameManifest,
+        streams,
+        verification,
+        audio,
+        audioUrl: audio?.file ? `${FILES_URL}/${id}/${audio.file}` : null,
+        transcript,
+        transcriptUrls: transcript?.files
+          ? Object.fromEntries(Object.entries(transcript.files).map(([format, file]) => [format, `${FILES_URL}/${id}/${file}`]))
+          : null,
+        contactSheets,
+        contactSheetUrls: contactSheets ? contactSheets.sheets.map(sheet => `${FILES_URL}/${id}/${sheet.file}`) : [],
+        storyboardUrl: contactSheets ? `${FILES_URL}/${id}/${contactSheets.storyboard.file}` : null,
+        media_type: spec.media_type || metadata.media_type || 'video',
+        duration_seconds: spec.duration_seconds || metadata.duration_seconds,
+        file_size_mb: spec.file_size_mb || metadata.file_size_mb
+      };
+    }));
+
+    const photos = (metadata.photos || []).map(photo => ({
+      ...photo,
+      path: path.join(videoDir, photo.file),
+      url: `${FILES_URL}/${id}/${photo.file}`
+    }));
+
+    const clips = (metadata.clips || []).map(clip => ({
+      ...clip,
+      path: path.join(videoDir, clip.file),
+      url: `${FILES_URL}/${id}/${clip.file}`
+    }));
+
+    const [first = { videoPath: null, videoUrl: null, frames: [], frameUrls: [], frameManifest: null, audioUrl: null }] = videos;
+
+    return {
+      id,
+      videoPath: first.videoPath,
+      videoUrl: first.videoUrl,
+      frames: first.frames,
+      frameUrls: first.frameUrls,
+      frameManifest: first.frameManifest,
+      audioUrl: first.audioUrl,
+      videos,
+      photos,
+      clips,
+      metadata
+    };
+  }
+
+  /**
+   * List downloads, newest first by default
+   */
+  async list(options = {}) {
+    const { page = 1, limit = 20, order = 'desc', username = '' } = options;
+
+    const dirents = await fs.readdir(this.VIDEOS_DIR, { withFileTypes: true }).catch(() => []);
+    const entries = await Promise.all(
+      dirents.filter(d => d.isDirectory()).map(d => this.readEntry(d.name))
+    );
+
+    const filter = username.replace(/^@/, '').toLowerCase();
+    const videos = entries
+      .filter(Boolean)
+      .filter(e => !filter || (e.metadata.username || '').toLowerCase() === filter)
+      .sort((a, b) => {
+        const diff = new Date(a.metadata.downloaded_at) - new Date(b.metadata.downloaded_at);
+        return order === 'asc' ? diff : -diff;
+      });
+
+    const pageSize = Math.max(1, Math.min(100, limit));
+    const pages = Math.max(1, Math.ceil(videos.length / pageSize));
+    const current = Math.max(1, Math.min(pages, page));
+
+    return {
+      videos: videos.slice((current - 1) * pageSize, current * pageSize),
+      total: videos.length,
+      page: current,
+      limit: pageSize,
+      pages
+    };
+  }
+
+  /**
+   * Get a single download by ID
+   */
+  async get(id) {
+    return this.readEntry(id);
+  }
+
+  /**
+   * Delete a download folder and everything in it
+   */
+  async delete(id) {
+    const entry = await this.readEntry(id);
+    if (!entry) return false;
+
+    await fs.rm(this.resolveDir(id), { recursive: true, force: true });
+    return true;
+  }
+}
+
+module.exports = VideoLibrary;
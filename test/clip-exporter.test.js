@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const VideoDownloader = require('../server/services/video-downloader');
+const VideoLibrary = require('../server/services/video-library');
+const ClipExporter = require('../server/services/clip-exporter');
+const { hasFfmpeg, tempDir, generateVideo, quiet } = require('./helpers');
+
+const skip = !hasFfmpeg() && 'ffmpeg is not on PATH';
+
+/**
+ * A library with one 4-second download, and an exporter for it
+ */
+async function setup(t) {
+  const videosDir = tempDir(t);
+  const videoDir = path.join(videosDir, 'user_1');
+  fs.mkdirSync(videoDir);
+  generateVideo(path.join(videoDir, 'video.mp4'), { duration: 4, size: '160x120' });
+  fs.writeFileSync(path.join(videoDir, 'metadata.json'), JSON.stringify({ username: 'user', duration_seconds: '4.00', frame_count: 0 }));
+  const library = new VideoLibrary(videosDir);
+  const exporter = quiet(new ClipExporter(library, quiet(new VideoDownloader(videosDir))));
+  return { videoDir, exporter, entry: await library.get('user_1') };
+}
+
+test('a re-encoded clip reports its progress', { skip }, async (t) => {
+  const { videoDir, exporter, entry } = await setup(t);
+  const progress = [];
+
+  const clip = await exporter.create(entry, { start: 1, end: 3, format: 'gif', onProgress: event => progress.push(event) });
+
+  assert.strictEqual(clip.file, 'clip_1.gif');
+  assert.ok(fs.existsSync(path.join(videoDir, 'clip_1.gif')));
+  assert.ok(progress.length > 0 && progress.every(event => event.phase === 'exporting'));
+  assert.strictEqual(progress[progress.length - 1].percent, 100);
+});
+
+test('a cancelled export stops ffmpeg and leaves no clip behind', { skip }, async (t) => {
+  const { videoDir, exporter, entry } = await setup(t);
+  const controller = new AbortController();
+  const before = fs.readFileSync(path.join(videoDir, 'metadata.json'), 'utf8');
+
+  const exporting = exporter.create(entry, { start: 0, end: 4, format: 'mp4-reencode', signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+
+  await assert.rejects(exporting, { code: 'CANCELLED' });
+  assert.deepStrictEqual(fs.readdirSync(videoDir).sort(), ['metadata.json', 'video.mp4']);
+  assert.strictEqual(fs.readFileSync(path.join(videoDir, 'metadata.json'), 'utf8'), before);
+});
+
+test('an export cancelled while waiting for the lock never starts', { skip }, async (t) => {
+  const { videoDir, exporter, entry } = await setup(t);
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(exporter.create(entry, { start: 0, end: 1, format: 'gif', signal: controller.signal }), { code: 'CANCELLED' });
+  assert.ok(!fs.existsSync(path.join(videoDir, 'clip_1.gif')));
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Fake Transcriber
+ *
+ * Stands in for whisper.cpp in test/transcription.test.js: takes the same `-f <wav>`
+ * and `-of <prefix>` arguments (others are ignored), prints whisper-style progress,
+ * and writes `<prefix>.json` with one "Segment N" line every two seconds of audio.
+ */
+const fs = require('fs');
+
+const SEGMENT_SECONDS = 2;
+
+function argValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? null : args[index + 1];
+}
+
+/**
+ * Duration of a PCM WAV file from its `fmt ` byte rate and `data` chunk size
+ */
+function wavDuration(buffer) {
+  let byteRate = 0;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === 'data') return byteRate ? Math.min(size, buffer.length - offset - 8) / byteRate : 0;
+    offset += 8 + size + (size % 2);
+  }
+  return 0;
+}
+
+const args = process.argv.slice(2);
+const input = argValue(args, '-f');
+const outputPrefix = argValue(args, '-of');
+
+if (!input || !outputPrefix) {
+  console.error('usage: fake-transcriber.js -f <input.wav> -of <output prefix>');
+  process.exit(2);
+}
+
+const duration = wavDuration(fs.readFileSync(input));
+const count = Math.ceil(duration / SEGMENT_SECONDS);
+const transcription = [];
+
+for (let i = 0; i < count; i++) {
+  const from = i * SEGMENT_SECONDS * 1000;
+  const to = Math.min(duration * 1000, from + SEGMENT_SECONDS * 1000);
+  transcription.push({ offsets: { from: Math.round(from), to: Math.round(to) }, text: ` Segment ${i + 1}.` });
+  console.error(`whisper_print_progress_callback: progress = ${Math.round(((i + 1) / count) * 100)}%`);
+}
+
+fs.writeFileSync(`${outputPrefix}.json`, JSON.stringify({ result: { language: 'en' }, transcription }, null, 2));
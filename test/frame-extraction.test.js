@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const VideoDownloader = require('../server/services/video-downloader');
+const { hasFfmpeg, tempDir, generateVideo, quiet } = require('./helpers');
+
+const skip = !hasFfmpeg() && 'ffmpeg is not on PATH';
+
+/**
+ * The extraction this replaced: one ffmpeg process per frame, each seeking the file again
+ */
+async function extractPerFrame(videoPath, outputDir, positions) {
+  for (const [i, position] of positions.entries()) {
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-ss', String(position), '-i', videoPath, '-vframes', '1', '-q:v', '2', '-y', path.join(outputDir, `frame_${i + 1}.jpg`)]);
+      ffmpeg.on('close', code => (code === 0 ? resolve() : reject(new Error(`Failed to extract frame ${i + 1}`))));
+      ffmpeg.on('error', reject);
+    });
+  }
+}
+
+test('extractFrames writes frame_N.jpg with timestamps in one pass', { skip }, async (t) => {
+  const dir = tempDir(t);
+  const video = generateVideo(path.join(dir, 'video.mp4'), { duration: 4 });
+  const downloader = quiet(new VideoDownloader(dir));
+
+  const { frames, timestamps } = await downloader.extractFrames(video, dir, 4);
+
+  assert.deepStrictEqual(frames.map(f => path.basename(f)), ['frame_1.jpg', 'frame_2.jpg', 'frame_3.jpg', 'frame_4.jpg']);
+  assert.deepStrictEqual(timestamps, [1, 2, 3, 3.52]);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.startsWith('.extract_')), []);
+});
+
+test('benchmark: single-pass extraction beats one ffmpeg process per frame', { skip }, async (t) => {
+  const dir = tempDir(t);
+  // Sparse keyframes make every per-frame seek decode from far back, as in long remuxed HLS videos
+  const video = generateVideo(path.join(dir, 'video.mp4'), { duration: 60, gop: 500 });
+  const downloader = quiet(new VideoDownloader(dir));
+  const count = 30;
+  const positions = Array.from({ length: count }, (_, i) => ((i + 1) / count) * 60 - (i === count - 1 ? 0.5 : 0));
+
+  fs.mkdirSync(path.join(dir, 'single'));
+  fs.mkdirSync(path.join(dir, 'per-frame'));
+
+  let started = process.hrtime.bigint();
+  const { frames } = await downloader.extractFramesAt(video, path.join(dir, 'single'), positions);
+  const singlePass = Number(process.hrtime.bigint() - started) / 1e6;
+
+  started = process.hrtime.bigint();
+  await extractPerFrame(video, path.join(dir, 'per-frame'), positions);
+  const perFrame = Number(process.hrtime.bigint() - started) / 1e6;
+
+  t.diagnostic(`${count} frames: single pass ${singlePass.toFixed(0)} ms, per frame ${perFrame.toFixed(0)} ms (${(perFrame / singlePass).toFixed(1)}x)`);
+  assert.strictEqual(frames.length, count);
+  assert.ok(singlePass < perFrame, `single pass took ${singlePass} ms, per frame ${perFrame} ms`);
+});
@@ -0,0 +1,70 @@
+/**
+ * Shared test helpers: temp folders, local HTTP servers, and videos generated
+ * with ffmpeg's test sources
+ */
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Whether ffmpeg and ffprobe are on PATH; tests that need them skip otherwise
+ */
+function hasFfmpeg() {
+  return ['ffmpeg', 'ffprobe'].every(cmd => spawnSync(cmd, ['-version'], { stdio: 'ignore' }).status === 0);
+}
+
+/**
+ * A fresh temp folder, removed when the test finishes
+ */
+function tempDir(t, prefix = 'videodownload-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Start an HTTP server on a free localhost port, closed (with any open connections)
+ * when the test finishes. Resolves with its base URL, e.g. `http://127.0.0.1:41234`.
+ */
+async function serve(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Generate an H.264 MP4 of ffmpeg's `testsrc` pattern. `gop` is the keyframe interval in frames.
+ */
+function generateVideo(filePath, { duration = 5, size = '320x240', rate = 25, gop = 250, audio = false } = {}) {
+  const result = spawnSync('ffmpeg', [
+    '-v', 'error',
+    '-f', 'lavfi', '-i', `testsrc=size=${size}:rate=${rate}:duration=${duration}`,
+    ...(audio ? ['-f', 'lavfi', '-i', `sine=frequency=440:duration=${duration}`, '-c:a', 'aac'] : []),
+    '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-g', String(gop),
+    '-y', filePath
+  ]);
+  if (result.status !== 0) throw new Error(`ffmpeg failed: ${result.stderr}`);
+  return filePath;
+}
+
+/**
+ * Silence a service's log() so test output stays readable
+ */
+function quiet(service) {
+  service.log = () => {};
+  return service;
+}
+
+module.exports = {
+  hasFfmpeg,
+  tempDir,
+  serve,
+  generateVideo,
+  quiet
+};
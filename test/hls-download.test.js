@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { downloadHls } = require('../server/services/hls-download');
+const { parseMasterPlaylist, selectVariant } = require('../server/services/hls-playlist');
+const VideoDownloader = require('../server/services/video-downloader');
+const { hasFfmpeg, tempDir, serve, quiet } = require('./helpers');
+
+// fMP4 renditions of ffmpeg's testsrc and a sine tone, cut into 1s segments with `-f hls -hls_segment_type fmp4`
+const FIXTURES = path.join(__dirname, 'fixtures', 'hls');
+const FAST = { minDelay: 1, maxDelay: 1 };
+
+const fixture = (...parts) => fs.readFileSync(path.join(FIXTURES, ...parts));
+const joined = (track, count) => Buffer.concat([
+  fixture(track, 'init.mp4'),
+  ...Array.from({ length: count }, (_, i) => fixture(track, `seg-${i}.m4s`))
+]);
+
+/**
+ * Serve test/fixtures/hls, letting `intercept(req, res)` answer a request first by returning true
+ */
+async function serveFixtures(t, intercept = () => false) {
+  const requests = [];
+  const base = await serve(t, (req, res) => {
+    requests.push(req.url);
+    if (intercept(req, res)) return;
+    const file = path.join(FIXTURES, path.normalize(decodeURIComponent(req.url)));
+    if (!file.startsWith(FIXTURES) || !fs.existsSync(file)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const body = fs.readFileSync(file);
+    res.writeHead(200, { 'Content-Length': body.length });
+    res.end(body);
+  });
+  return { base, requests };
+}
+
+test('downloadHls joins each track\'s init segment and media segments in order', async (t) => {
+  const { base } = await serveFixtures(t);
+  const workDir = tempDir(t);
+  const progress = [];
+
+  const results = await downloadHls([
+    { name: 'video', url: `${base}/video/index.m3u8` },
+    { name: 'audio', url: `${base}/audio/index.m3u8` }
+  ], workDir, { ...FAST, concurrency: 2, onProgress: p => progress.push(p) });
+
+  assert.deepStrictEqual(results.map(r => [r.name, path.basename(r.path), r.segments]), [
+    ['video', 'video.mp4', 3],
+    ['audio', 'audio.mp4', 4]
+  ]);
+  assert.strictEqual(results[0].duration, 3);
+  assert.deepStrictEqual(fs.readFileSync(results[0].path), joined('video', 3));
+  assert.deepStrictEqual(fs.readFileSync(results[1].path), joined('audio', 4));
+
+  // 4 video and 5 audio requests, init segments included
+  assert.strictEqual(progress.length, 9);
+  assert.strictEqual(progress[progress.length - 1].percent, 100);
+  assert.deepStrictEqual(fs.readdirSync(workDir).sort(), ['audio.mp4', 'video.mp4']);
+});
+
+test('a segment that answers 503 is retried on its own', async (t) => {
+  let failed = false;
+  const { base, requests } = await serveFixtures(t, (req, res) => {
+    if (req.url !== '/video/seg-1.m4s' || failed) return false;
+    failed = true;
+    res.writeHead(503);
+    res.end();
+    return true;
+  });
+  const retries = [];
+
+  const [result] = await downloadHls([{ name: 'video', url: `${base}/video/index.m3u8` }], tempDir(t), {
+    ...FAST,
+    onRetry: r => retries.push(r)
+  });
+
+  assert.deepStrictEqual(fs.readFileSync(result.path), joined('video', 3));
+  assert.deepStrictEqual(retries.map(r => [r.track, r.segment, r.attempt, r.error.message]), [
+    ['video', 1, 1, 'Download failed: 503']
+  ]);
+  assert.strictEqual(requests.filter(url => url === '/video/seg-1.m4s').length, 2);
+  assert.strictEqual(requests.filter(url => url === '/video/seg-0.m4s').length, 1);
+});
+
+test('a live playlist is rejected with HLS_UNSUPPORTED before any segment is fetched', async (t) => {
+  const { base, requests } = await serveFixtures(t);
+  const workDir = tempDir(t);
+
+  await assert.rejects(
+    downloadHls([{ name: 'video', url: `${base}/video/live.m3u8` }], workDir, FAST),
+    { code: 'HLS_UNSUPPORTED', message: 'Live playlists are not supported' }
+  );
+  assert.deepStrictEqual(requests, ['/video/live.m3u8']);
+  assert.deepStrictEqual(fs.readdirSync(workDir), []);
+});
+
+test('a master playlist passed as a media playlist is rejected with HLS_UNSUPPORTED', async (t) => {
+  const { base } = await serveFixtures(t);
+
+  await assert.rejects(
+    downloadHls([{ name: 'video', url: `${base}/master.m3u8` }], tempDir(t), FAST),
+    { code: 'HLS_UNSUPPORTED' }
+  );
+});
+
+test('a variant picked from the master playlist downloads and remuxes into one MP4', { skip: !hasFfmpeg() && 'ffmpeg is not on PATH' }, async (t) => {
+  const { base } = await serveFixtures(t);
+  const masterUrl = `${base}/master.m3u8`;
+  const { variants, audio } = parseMasterPlaylist(fixture('master.m3u8').toString(), masterUrl);
+  const variant = selectVariant(variants, audio, 'best');
+
+  assert.strictEqual(variant.url, `${base}/video/index.m3u8`);
+  assert.strictEqual(variant.audioUrl, `${base}/audio/index.m3u8`);
+
+  const dir = tempDir(t);
+  const downloader = quiet(new VideoDownloader(dir, null, { ...FAST, allowPrivateAddresses: true }));
+  const outputPath = path.join(dir, 'video.mp4');
+
+  const { duration } = await downloader.downloadHlsSegments(variant.url, variant.audioUrl, outputPath);
+  const probe = await downloader.probeMedia(outputPath);
+
+  assert.strictEqual(duration, 3);
+  assert.deepStrictEqual(probe.video.map(s => [s.codec, s.width, s.height]), [['h264', 160, 90]]);
+  assert.deepStrictEqual(probe.audio.map(s => s.codec), ['aac']);
+  assert.ok(Math.abs(probe.format.duration - 3) < 0.2);
+  assert.ok(!fs.existsSync(`${outputPath}.hls`));
+});
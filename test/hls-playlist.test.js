@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMasterPlaylist, parseMediaPlaylist, selectVariant } = require('../server/services/hls-playlist');
+
+const BASE = 'https://video.example.com/ext_tw_video/1/pu/pl/master.m3u8';
+
+test('parseMasterPlaylist lists variants best first with their audio renditions', () => {
+  const { variants, audio } = parseMasterPlaylist([
+    '#EXTM3U',
+    '#EXT-X-MEDIA:NAME="Audio",TYPE=AUDIO,GROUP-ID="audio-128000",AUTOSELECT=YES,URI="/ext_tw_video/1/pu/pl/mp4a/128000/a.m3u8"',
+    '#EXT-X-STREAM-INF:AVERAGE-BANDWIDTH=300000,BANDWIDTH=400000,RESOLUTION=480x270,CODECS="mp4a.40.2,avc1.4d001e",AUDIO="audio-128000"',
+    'avc1/480x270/v.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720,CODECS="mp4a.40.2,avc1.640020",AUDIO="audio-128000"',
+    'avc1/1280x720/v.m3u8'
+  ].join('\n'), BASE);
+
+  assert.deepStrictEqual(variants.map(v => v.id), ['1280x720-2000000', '480x270-400000']);
+  assert.strictEqual(variants[0].url, 'https://video.example.com/ext_tw_video/1/pu/pl/avc1/1280x720/v.m3u8');
+  assert.strictEqual(variants[1].averageBandwidth, 300000);
+  assert.strictEqual(variants[0].audioUrl, 'https://video.example.com/ext_tw_video/1/pu/pl/mp4a/128000/a.m3u8');
+  assert.deepStrictEqual(audio.map(a => [a.id, a.bandwidth, a.groupId]), [['audio-128000', 128000, 'audio-128000']]);
+});
+
+test('parseMasterPlaylist accepts #EXT-X-MEDIA without GROUP-ID and skips it without URI', () => {
+  const { variants, audio } = parseMasterPlaylist([
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,NAME="No group",URI="/ext_tw_video/1/pu/pl/mp4a/64000/a.m3u8"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio-32000",NAME="No URI"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+    'v.m3u8'
+  ].join('\n'), BASE);
+
+  assert.deepStrictEqual(audio.map(a => [a.id, a.bandwidth, a.groupId]), [['audio-64000', 64000, null]]);
+  // A variant without an AUDIO group is not linked to ungrouped renditions
+  assert.strictEqual(variants[0].audioUrl, null);
+});
+
+test('selectVariant picks by preset, height or id', () => {
+  const { variants, audio } = parseMasterPlaylist([
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio-128000",URI="a.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=400000,RESOLUTION=480x270',
+    'low.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720',
+    'high.m3u8'
+  ].join('\n'), BASE);
+
+  assert.strictEqual(selectVariant(variants, audio, 'best').height, 720);
+  assert.strictEqual(selectVariant(variants, audio, 'worst').height, 270);
+  assert.strictEqual(selectVariant(variants, audio, '480p').height, 270);
+  assert.strictEqual(selectVariant(variants, audio, 240).height, 270);
+  assert.strictEqual(selectVariant(variants, audio, 'audio').id, 'audio-128000');
+  assert.strictEqual(selectVariant(variants, audio, '1280x720-2000000').url, 'https://video.example.com/ext_tw_video/1/pu/pl/high.m3u8');
+  assert.throws(() => selectVariant(variants, audio, 'nope'), /Unknown quality/);
+});
+
+test('parseMediaPlaylist reads segments, the init segment and the end marker', () => {
+  const playlist = parseMediaPlaylist([
+    '#EXTM3U',
+    '#EXT-X-TARGETDURATION:3',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:3.000,',
+    'seg_0.m4s',
+    '#EXTINF:1.5,',
+    'seg_1.m4s',
+    '#EXT-X-ENDLIST'
+  ].join('\n'), 'https://video.example.com/v/media.m3u8');
+
+  assert.deepStrictEqual(playlist.init, { url: 'https://video.example.com/v/init.mp4' });
+  assert.deepStrictEqual(playlist.segments.map(s => [s.index, s.url, s.duration]), [
+    [0, 'https://video.example.com/v/seg_0.m4s', 3],
+    [1, 'https://video.example.com/v/seg_1.m4s', 1.5]
+  ]);
+  assert.strictEqual(playlist.duration, 4.5);
+  assert.strictEqual(playlist.endList, true);
+  assert.throws(() => parseMediaPlaylist('<html>', 'https://video.example.com/'), /Not an HLS playlist/);
+});
@@ -0,0 +1,231 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { downloadFile } = require('../server/services/http-download');
+const { tempDir, serve } = require('./helpers');
+
+const BODY = Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => i % 251));
+const HALF = BODY.length / 2;
+
+// Retry straight away so the tests don't sit through the backoff
+const FAST = { minDelay: 1, maxDelay: 1 };
+
+/**
+ * Send part of `body` and then drop the connection without finishing the response
+ */
+function cutAfter(res, body, bytes) {
+  res.write(body.subarray(0, bytes), () => res.destroy());
+}
+
+/**
+ * Answer a request for `body`, honouring `Range: bytes=N-`
+ */
+function sendRange(req, res, body, headers = {}) {
+  const start = parseInt((req.headers.range || '').match(/^bytes=(\d+)-$/)?.[1] ?? 0);
+  if (start > 0) {
+    res.writeHead(206, { ...headers, 'Content-Length': body.length - start, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}` });
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Length': body.length });
+  }
+  res.end(body.subarray(start));
+}
+
+test('a connection dropped mid-body resumes with a Range request', async (t) => {
+  const requests = [];
+  const url = await serve(t, (req, res) => {
+    requests.push(req.headers);
+    if (requests.length === 1) {
+      res.writeHead(200, { 'Content-Length': BODY.length, ETag: '"v1"' });
+      cutAfter(res, BODY, HALF);
+    } else {
+      sendRange(req, res, BODY, { ETag: '"v1"' });
+    }
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+  const retries = [];
+
+  const result = await downloadFile(`${url}/video.mp4`, dest, { ...FAST, onRetry: r => retries.push(r) });
+
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY);
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(result.resumed, true);
+  assert.strictEqual(result.totalBytes, BODY.length);
+  assert.strictEqual(requests[0].range, undefined);
+  assert.match(requests[1].range, /^bytes=[1-9]\d*-$/);
+  assert.strictEqual(requests[1]['if-range'], '"v1"');
+  assert.strictEqual(retries.length, 1);
+  assert.ok(!fs.existsSync(`${dest}.part`));
+});
+
+test('a transfer that goes quiet is dropped after stallTimeout and resumed', async (t) => {
+  let count = 0;
+  const url = await serve(t, (req, res) => {
+    if (++count === 1) {
+      res.writeHead(200, { 'Content-Length': BODY.length, 'Last-Modified': 'Tue, 11 Jun 2024 10:30:00 GMT' });
+      res.write(BODY.subarray(0, HALF));
+    } else {
+      sendRange(req, res, BODY);
+    }
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+  const retries = [];
+
+  const result = await downloadFile(`${url}/video.mp4`, dest, { ...FAST, stallTimeout: 200, onRetry: r => retries.push(r) });
+
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY);
+  assert.strictEqual(result.resumed, true);
+  assert.strictEqual(retries.length, 1);
+  assert.strictEqual(retries[0].error.code, 'STALLED');
+});
+
+test('a file that changed between attempts is downloaded again from the start', async (t) => {
+  const updated = Buffer.from(BODY).reverse();
+  const requests = [];
+  const url = await serve(t, (req, res) => {
+    requests.push(req.headers);
+    if (requests.length === 1) {
+      res.writeHead(200, { 'Content-Length': BODY.length, ETag: '"v1"' });
+      cutAfter(res, BODY, HALF);
+    } else if (req.headers['if-range'] === '"v2"') {
+      sendRange(req, res, updated, { ETag: '"v2"' });
+    } else {
+      // If-Range no longer matches, so the whole new file comes back as a 200
+      res.writeHead(200, { 'Content-Length': updated.length, ETag: '"v2"' });
+      res.end(updated);
+    }
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+
+  const result = await downloadFile(`${url}/video.mp4`, dest, FAST);
+
+  assert.deepStrictEqual(fs.readFileSync(dest), updated);
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(requests[1]['if-range'], '"v1"');
+});
+
+test('a 416 for a .part that is already whole completes the download', async (t) => {
+  // Small enough to arrive in one read, so all of it reaches the .part before the drop
+  const body = BODY.subarray(0, 4096);
+  const requests = [];
+  const url = await serve(t, (req, res) => {
+    requests.push(req.headers);
+    if (requests.length === 1) {
+      // Chunked, so the client can't tell the body was all there when the connection drops
+      res.writeHead(200);
+      cutAfter(res, body, body.length);
+    } else {
+      res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+      res.end();
+    }
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+
+  const result = await downloadFile(`${url}/video.mp4`, dest, FAST);
+
+  assert.deepStrictEqual(fs.readFileSync(dest), body);
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(result.totalBytes, body.length);
+  assert.strictEqual(requests[1].range, `bytes=${body.length}-`);
+});
+
+test('a 416 for a stale .part restarts the download from the first byte', async (t) => {
+  const requests = [];
+  const url = await serve(t, (req, res) => {
+    requests.push(req.headers);
+    if (requests.length === 1) {
+      res.writeHead(200);
+      cutAfter(res, BODY, HALF);
+    } else if (req.headers.range) {
+      res.writeHead(416, { 'Content-Range': `bytes */${BODY.length * 2}` });
+      res.end();
+    } else {
+      sendRange(req, res, BODY);
+    }
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+
+  const result = await downloadFile(`${url}/video.mp4`, dest, FAST);
+
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY);
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(requests[2].range, undefined);
+  assert.strictEqual(result.attempts, 3);
+});
+
+test('gives up after `retries` failed attempts and removes the .part file', async (t) => {
+  let count = 0;
+  const url = await serve(t, (req, res) => {
+    count++;
+    res.writeHead(503);
+    res.end();
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+  const retries = [];
+
+  await assert.rejects(
+    downloadFile(`${url}/video.mp4`, dest, { ...FAST, retries: 2, onRetry: r => retries.push(r) }),
+    /Download failed: 503 \(gave up after 3 attempts\)/
+  );
+
+  assert.strictEqual(count, 3);
+  assert.deepStrictEqual(retries.map(r => r.attempt), [1, 2]);
+  assert.ok(!fs.existsSync(dest));
+  assert.ok(!fs.existsSync(`${dest}.part`));
+});
+
+test('a client error fails at once without retrying', async (t) => {
+  let count = 0;
+  const url = await serve(t, (req, res) => {
+    count++;
+    res.writeHead(404);
+    res.end();
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+
+  await assert.rejects(downloadFile(`${url}/video.mp4`, dest, FAST), /Download failed: 404/);
+  assert.strictEqual(count, 1);
+});
+
+test('checkUrl vets every redirect and a rejection is not retried', async (t) => {
+  const requests = [];
+  const url = await serve(t, (req, res) => {
+    requests.push(req.url);
+    res.writeHead(302, { Location: req.url === '/video.mp4' ? '/moved.mp4' : '/internal.mp4' });
+    res.end();
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+  const checked = [];
+  const checkUrl = async (target) => {
+    checked.push(new URL(target).pathname);
+    if (target.endsWith('/internal.mp4')) throw Object.assign(new Error('Refusing to fetch'), { code: 'BLOCKED_ADDRESS' });
+  };
+
+  await assert.rejects(downloadFile(`${url}/video.mp4`, dest, { ...FAST, checkUrl }), { code: 'BLOCKED_ADDRESS' });
+  assert.deepStrictEqual(checked, ['/video.mp4', '/moved.mp4', '/internal.mp4']);
+  assert.deepStrictEqual(requests, ['/video.mp4', '/moved.mp4']);
+});
+
+test('a malformed redirect Location fails the download instead of throwing', async (t) => {
+  let count = 0;
+  const url = await serve(t, (req, res) => {
+    count++;
+    res.writeHead(302, { Location: 'http://[' });
+    res.end();
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+
+  await assert.rejects(downloadFile(`${url}/video.mp4`, dest, FAST), /Bad redirect location: http:\/\/\[/);
+  assert.strictEqual(count, 1);
+});
+
+test('a redirect to a protocol http.get can\'t fetch fails the download', async (t) => {
+  const url = await serve(t, (req, res) => {
+    res.writeHead(302, { Location: 'ftp://example.com/video.mp4' });
+    res.end();
+  });
+  const dest = path.join(tempDir(t), 'video.mp4');
+
+  await assert.rejects(downloadFile(`${url}/video.mp4`, dest, FAST), { code: 'ERR_INVALID_PROTOCOL' });
+  assert.ok(!fs.existsSync(`${dest}.part`));
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LlmBundle = require('../server/services/llm-bundle');
+const { quiet } = require('./helpers');
+
+/**
+ * A JPEG-looking buffer of `bytes` bytes whose start-of-frame marker says width × height
+ */
+function fakeJpeg(bytes, width = 640, height = 360) {
+  const buffer = Buffer.alloc(bytes);
+  Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff]).copy(buffer);
+  return buffer;
+}
+
+/**
+ * A bundle over one video with `count` frames, whose encodeFrame returns `sizeOf(path)` bytes and counts its calls
+ */
+function bundleFor(count, sizeOf = () => 3000) {
+  const frames = Array.from({ length: count }, (_, i) => `/videos/post/frame_${i + 1}.jpg`);
+  const library = {
+    get: async (id) => id === 'post' && {
+      metadata: { url: 'https://x.com/user/status/1', username: 'user', tweet_id: '1', duration_seconds: '60.00' },
+      videos: [{ index: 1, frames, frameManifest: null, duration_seconds: '60.00' }]
+    }
+  };
+  const bundle = quiet(new LlmBundle(library, null));
+  bundle.encoded = [];
+  bundle.encodeFrame = async (framePath) => {
+    bundle.encoded.push(framePath);
+    return fakeJpeg(sizeOf(framePath));
+  };
+  return bundle;
+}
+
+test('only the frames that fit the byte budget are encoded', async () => {
+  const bundle = bundleFor(2000);
+  // Each data URI is 4023 bytes, so 24 fit
+  const result = await bundle.build('post', { maxBytes: 100000 });
+
+  assert.strictEqual(result.frame_count, 24);
+  assert.strictEqual(result.frames_available, 2000);
+  assert.ok(result.total_bytes <= 100000);
+  assert.ok(bundle.encoded.length <= 24 + 3, `encoded ${bundle.encoded.length} frames`);
+  assert.strictEqual(result.frames[0].index, 1);
+  assert.strictEqual(result.frames[result.frames.length - 1].index, 2000);
+});
+
+test('without a binding budget a bundle stops at maxFrames', async () => {
+  const bundle = bundleFor(5000);
+  const result = await bundle.build('post', { maxBytes: null });
+
+  assert.strictEqual(result.frame_count, 100);
+  assert.ok(bundle.encoded.length <= 103, `encoded ${bundle.encoded.length} frames`);
+  assert.strictEqual(new Set(bundle.encoded).size, bundle.encoded.length);
+});
+
+test('frames larger than the samples are thinned out until they fit', async () => {
+  // The sampled first, middle and last frames are small; the rest are four times larger
+  const bundle = bundleFor(101, p => (/frame_(1|51|101)\.jpg$/.test(p) ? 1000 : 4000));
+  const result = await bundle.build('post', { maxBytes: 50000 });
+
+  assert.ok(result.total_bytes <= 50000, `${result.total_bytes} bytes`);
+  assert.ok(result.frame_count > 0);
+  assert.ok(bundle.encoded.length < 101, `encoded ${bundle.encoded.length} frames`);
+});
+
+test('a token budget counts the text too', async () => {
+  const bundle = bundleFor(50);
+  // 640x360 frames are an estimated 308 tokens each
+  const result = await bundle.build('post', { maxBytes: null, maxTokens: 2000 });
+
+  assert.ok(result.estimated_tokens <= 2000);
+  assert.strictEqual(result.frame_count, 6);
+});
+
+test('build resolves with null for an unknown download', async () => {
+  assert.strictEqual(await bundleFor(1).build('missing'), null);
+});
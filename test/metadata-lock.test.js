@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { withMetadataLock } = require('../server/services/metadata-lock');
+const StorageManager = require('../server/services/storage-manager');
+const { tempDir, quiet } = require('./helpers');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('tasks for one folder run one at a time, in order, past failures', async (t) => {
+  const dir = tempDir(t);
+  const events = [];
+  const task = (name, fail = false) => async () => {
+    events.push(`${name} start`);
+    await tick();
+    events.push(`${name} end`);
+    if (fail) throw new Error(`${name} failed`);
+    return name;
+  };
+
+  const results = await Promise.allSettled([
+    withMetadataLock(dir, task('a')),
+    withMetadataLock(path.join(dir, '.'), task('b', true)),
+    withMetadataLock(dir, task('c'))
+  ]);
+
+  assert.deepStrictEqual(events, ['a start', 'a end', 'b start', 'b end', 'c start', 'c end']);
+  assert.deepStrictEqual(results.map(r => r.value ?? r.reason.message), ['a', 'b failed', 'c']);
+});
+
+test('tasks for different folders run side by side', async (t) => {
+  const dir = tempDir(t);
+  const events = [];
+  const task = (name) => async () => {
+    events.push(`${name} start`);
+    await tick();
+    events.push(`${name} end`);
+  };
+
+  await Promise.all([withMetadataLock(path.join(dir, 'a'), task('a')), withMetadataLock(path.join(dir, 'b'), task('b'))]);
+  assert.deepStrictEqual(events, ['a start', 'b start', 'a end', 'b end']);
+});
+
+test('pruning frames keeps a clip recorded by a writer holding the lock', async (t) => {
+  const videosDir = tempDir(t);
+  const videoDir = path.join(videosDir, 'user_1');
+  const metadataPath = path.join(videoDir, 'metadata.json');
+  fs.mkdirSync(videoDir);
+  fs.writeFileSync(path.join(videoDir, 'frame_1.jpg'), 'jpg');
+  fs.writeFileSync(metadataPath, JSON.stringify({ video_file: 'video.mp4' }));
+
+  // Stands in for a clip export: reads the metadata, works for a while, then writes it back
+  const exportClip = withMetadataLock(videoDir, async () => {
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    await tick();
+    metadata.clips = [{ index: 1, file: 'clip_1.mp4' }];
+    fs.writeFileSync(metadataPath, JSON.stringify(metadata));
+  });
+  const prune = quiet(new StorageManager(videosDir)).pruneFrames('user_1');
+  await Promise.all([exportClip, prune]);
+
+  const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  assert.deepStrictEqual(metadata.clips, [{ index: 1, file: 'clip_1.mp4' }]);
+  assert.ok(metadata.frames_pruned_at);
+  assert.ok(!fs.existsSync(path.join(videoDir, 'frame_1.jpg')));
+});
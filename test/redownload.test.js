@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const VideoDownloader = require('../server/services/video-downloader');
+const { hasFfmpeg, tempDir, serve, generateVideo, quiet } = require('./helpers');
+
+/**
+ * A downloader for `videosDir` allowed to fetch from the local test server
+ */
+function localDownloader(videosDir) {
+  return quiet(new VideoDownloader(videosDir, null, { retries: 0, allowPrivateAddresses: true }));
+}
+
+/**
+ * Save a finished download of `url` by hand, with one exported clip
+ */
+function seedDownload(downloader, url) {
+  const { folder } = downloader.resolveSource(url).source;
+  const videoDir = path.join(downloader.VIDEOS_DIR, folder);
+  fs.mkdirSync(videoDir, { recursive: true });
+  fs.writeFileSync(path.join(videoDir, 'video.mp4'), 'earlier video');
+  fs.writeFileSync(path.join(videoDir, 'clip_1.mp4'), 'clip');
+  const metadata = { url, downloaded_at: '2024-01-01T00:00:00.000Z', clips: [{ index: 1, file: 'clip_1.mp4', video: 1, start: 0, end: 1 }] };
+  fs.writeFileSync(path.join(videoDir, 'metadata.json'), JSON.stringify(metadata));
+  return videoDir;
+}
+
+const hiddenFolders = (videosDir) => fs.readdirSync(videosDir).filter(name => name.startsWith('.'));
+
+test('a failed forced re-download leaves the saved copy as it was', async (t) => {
+  const base = await serve(t, (req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  const videosDir = tempDir(t);
+  const downloader = localDownloader(videosDir);
+  const url = `${base}/media/clip.mp4`;
+  const videoDir = seedDownload(downloader, url);
+  const before = fs.readFileSync(path.join(videoDir, 'metadata.json'), 'utf8');
+
+  await assert.rejects(downloader.downloadVideo(url, null, null, { frameCount: 0, force: true }));
+
+  assert.strictEqual(fs.readFileSync(path.join(videoDir, 'metadata.json'), 'utf8'), before);
+  assert.deepStrictEqual(fs.readdirSync(videoDir).sort(), ['clip_1.mp4', 'metadata.json', 'video.mp4']);
+  assert.deepStrictEqual(hiddenFolders(videosDir), []);
+});
+
+test('a cancelled forced re-download leaves the saved copy as it was', async (t) => {
+  const controller = new AbortController();
+  const base = await serve(t, (req, res) => {
+    // Send part of the file, then cancel while the rest is awaited
+    res.writeHead(200, { 'Content-Length': 1000 });
+    res.write(Buffer.alloc(100));
+    setTimeout(() => controller.abort(), 50);
+  });
+  const videosDir = tempDir(t);
+  const downloader = localDownloader(videosDir);
+  const url = `${base}/media/clip.mp4`;
+  const videoDir = seedDownload(downloader, url);
+
+  await assert.rejects(downloader.downloadVideo(url, null, null, { frameCount: 0, force: true, signal: controller.signal }), { code: 'CANCELLED' });
+
+  assert.strictEqual(fs.readFileSync(path.join(videoDir, 'video.mp4'), 'utf8'), 'earlier video');
+  assert.deepStrictEqual(hiddenFolders(videosDir), []);
+});
+
+test('a forced re-download replaces the saved copy and keeps its clips', { skip: !hasFfmpeg() && 'ffmpeg is not on PATH' }, async (t) => {
+  const videoPath = generateVideo(path.join(tempDir(t), 'source.mp4'), { duration: 2 });
+  const video = fs.readFileSync(videoPath);
+  const base = await serve(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': video.length });
+    res.end(video);
+  });
+  const videosDir = tempDir(t);
+  const downloader = localDownloader(videosDir);
+  const url = `${base}/media/clip.mp4`;
+  const videoDir = seedDownload(downloader, url);
+
+  const result = await downloader.downloadVideo(url, null, null, { frameCount: 2, force: true });
+
+  assert.strictEqual(result.videoPath, path.join(videoDir, 'video.mp4'));
+  assert.ok(result.frames.every(frame => path.dirname(frame) === videoDir && fs.existsSync(frame)));
+  assert.ok(fs.readFileSync(result.videoPath).equals(video));
+  assert.deepStrictEqual(result.metadata.clips.map(c => c.file), ['clip_1.mp4']);
+  assert.strictEqual(fs.readFileSync(path.join(videoDir, 'clip_1.mp4'), 'utf8'), 'clip');
+  const saved = JSON.parse(fs.readFileSync(path.join(videoDir, 'metadata.json'), 'utf8'));
+  assert.notStrictEqual(saved.downloaded_at, '2024-01-01T00:00:00.000Z');
+  assert.deepStrictEqual(saved.clips, result.metadata.clips);
+  assert.deepStrictEqual(hiddenFolders(videosDir), []);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const StorageManager = require('../server/services/storage-manager');
+const { withMetadataLock } = require('../server/services/metadata-lock');
+const { tempDir, quiet } = require('./helpers');
+
+test('a retention run started while another is in progress is refused, not given its result', async (t) => {
+  const videosDir = tempDir(t);
+  const videoDir = path.join(videosDir, 'user_1');
+  fs.mkdirSync(videoDir);
+  fs.writeFileSync(path.join(videoDir, 'metadata.json'), JSON.stringify({ downloaded_at: '2020-01-01T00:00:00.000Z' }));
+  const manager = quiet(new StorageManager(videosDir, { maxAgeDays: 30 }));
+
+  const first = manager.enforce({ dryRun: true });
+  await assert.rejects(manager.enforce({ dryRun: false }), { code: 'BUSY' });
+
+  const preview = await first;
+  assert.strictEqual(preview.dry_run, true);
+  assert.deepStrictEqual(preview.actions.map(a => [a.id, a.action]), [['user_1', 'delete']]);
+  assert.ok(fs.existsSync(videoDir));
+
+  // Once the first run has finished, the next one applies its own options
+  const applied = await manager.enforce({ dryRun: false });
+  assert.strictEqual(applied.dry_run, false);
+  assert.ok(!fs.existsSync(videoDir));
+});
+
+test('a retention delete waits for a writer holding the folder\'s metadata lock', async (t) => {
+  const videosDir = tempDir(t);
+  const videoDir = path.join(videosDir, 'user_1');
+  const metadataPath = path.join(videoDir, 'metadata.json');
+  fs.mkdirSync(videoDir);
+  fs.writeFileSync(metadataPath, JSON.stringify({ downloaded_at: '2020-01-01T00:00:00.000Z' }));
+  const manager = quiet(new StorageManager(videosDir, { maxAgeDays: 30 }));
+
+  // Stands in for a clip export: works for a while, then writes the metadata back
+  const exportClip = withMetadataLock(videoDir, async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    fs.writeFileSync(metadataPath, JSON.stringify({ clips: [] }));
+  });
+  const [, result] = await Promise.all([exportClip, manager.enforce({ dryRun: false })]);
+
+  assert.deepStrictEqual(result.actions.map(a => [a.id, a.action]), [['user_1', 'delete']]);
+  assert.ok(!fs.existsSync(videoDir));
+});
+
+test('work folders left by stopped downloads are removed, restoring a copy caught mid-swap', async (t) => {
+  const videosDir = tempDir(t);
+  const write = (file, content = 'x') => {
+    fs.mkdirSync(path.dirname(path.join(videosDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(videosDir, file), content);
+  };
+  // Stopped mid-download, with the saved copy untouched
+  write('user_1/metadata.json', '{}');
+  write('.user_1.download-AbC123/video.mp4');
+  // Still downloading
+  write('.user_2.download-XyZ789/video.mp4');
+  // Stopped after moving the saved copy aside, before the new one took its place
+  write('.user_3.download-Qrs456.old/metadata.json', '{"saved":true}');
+  write('.user_3.download-Qrs456/video.mp4');
+  // Stopped after the swap, before the clips moved over
+  write('example.com_abc/metadata.json', JSON.stringify({ clips: [{ index: 1, file: 'clip_1.mp4' }] }));
+  write('.example.com_abc.download-Tuv012.old/clip_1.mp4', 'clip');
+  const manager = quiet(new StorageManager(videosDir, {}, { isBusy: id => id === 'user_2' }));
+
+  const removed = await manager.removeStaleWork();
+
+  assert.deepStrictEqual(removed.sort(), ['.example.com_abc.download-Tuv012.old', '.user_1.download-AbC123', '.user_3.download-Qrs456']);
+  assert.deepStrictEqual(fs.readdirSync(videosDir).sort(), ['.user_2.download-XyZ789', 'example.com_abc', 'user_1', 'user_3']);
+  assert.strictEqual(fs.readFileSync(path.join(videosDir, 'user_3', 'metadata.json'), 'utf8'), '{"saved":true}');
+  assert.strictEqual(fs.readFileSync(path.join(videosDir, 'example.com_abc', 'clip_1.mp4'), 'utf8'), 'clip');
+});
+
+test('start removes unfinished downloads even without retention limits', async (t) => {
+  const videosDir = tempDir(t);
+  fs.mkdirSync(path.join(videosDir, '.user_1.download-AbC123'));
+  const manager = quiet(new StorageManager(videosDir));
+  t.after(() => manager.stop());
+
+  manager.start();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepStrictEqual(fs.readdirSync(videosDir), []);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const VideoDownloader = require('../server/services/video-downloader');
+const { CommandTranscriber, createTranscriber } = require('../server/services/transcribers');
+const { hasFfmpeg, tempDir, generateVideo, quiet } = require('./helpers');
+
+const FAKE_TRANSCRIBER = path.join(__dirname, 'fixtures', 'fake-transcriber.js');
+
+/**
+ * A command transcriber running the fake whisper.cpp under this Node
+ */
+function fakeTranscriber() {
+  return new CommandTranscriber({
+    command: process.execPath,
+    args: [FAKE_TRANSCRIBER, '-f', '{input}', '-of', '{output}'],
+    label: 'fake'
+  });
+}
+
+/**
+ * A silent 16 kHz mono 16-bit PCM WAV, the format transcribers are given
+ */
+function silentWav(seconds) {
+  const rate = 16000;
+  const data = Buffer.alloc(rate * 2 * seconds);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+test('the command transcriber runs the program and reads its whisper.cpp JSON', async (t) => {
+  const dir = tempDir(t);
+  const wavPath = path.join(dir, 'audio.wav');
+  fs.writeFileSync(wavPath, silentWav(5));
+  const progress = [];
+
+  const result = await fakeTranscriber().transcribe(wavPath, { workDir: dir, onProgress: p => progress.push(p) });
+
+  assert.strictEqual(result.language, 'en');
+  assert.deepStrictEqual(result.segments, [
+    { start: 0, end: 2, text: 'Segment 1.' },
+    { start: 2, end: 4, text: 'Segment 2.' },
+    { start: 4, end: 5, text: 'Segment 3.' }
+  ]);
+  assert.strictEqual(progress[progress.length - 1], 100);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['audio.wav']);
+});
+
+test('a failing command rejects with the last line it printed', async (t) => {
+  const dir = tempDir(t);
+  const transcriber = new CommandTranscriber({ command: process.execPath, args: [FAKE_TRANSCRIBER] });
+
+  await assert.rejects(
+    transcriber.transcribe(path.join(dir, 'audio.wav'), { workDir: dir }),
+    /Transcription failed: usage: fake-transcriber\.js/
+  );
+});
+
+test('createTranscriber only builds the command transcriber', () => {
+  assert.strictEqual(createTranscriber({}), null);
+  assert.ok(createTranscriber({ command: 'whisper-cli' }) instanceof CommandTranscriber);
+  assert.throws(() => createTranscriber({ type: 'fake' }), /Unknown transcriber type "fake"/);
+});
+
+test('processTranscript writes VTT, SRT and text transcripts of a video\'s audio', { skip: !hasFfmpeg() && 'ffmpeg is not on PATH' }, async (t) => {
+  const dir = tempDir(t);
+  const videoPath = generateVideo(path.join(dir, 'video.mp4'), { duration: 5, audio: true });
+  const downloader = quiet(new VideoDownloader(dir, null, {}, fakeTranscriber()));
+  const phases = [];
+
+  const transcript = await downloader.processTranscript(videoPath, dir, dir, null, { onProgress: p => phases.push(p.phase) });
+
+  assert.strictEqual(transcript.transcriber, 'command');
+  assert.strictEqual(transcript.language, 'en');
+  assert.strictEqual(transcript.segment_count, 3);
+  assert.deepStrictEqual(transcript.files, { vtt: 'transcript.vtt', srt: 'transcript.srt', txt: 'transcript.txt' });
+  assert.ok(phases.length > 0 && phases.every(phase => phase === 'transcribing'));
+
+  assert.match(fs.readFileSync(path.join(dir, 'transcript.vtt'), 'utf8'), /^WEBVTT\n\n00:00:00\.000 --> 00:00:02\.000\nSegment 1\.\n/);
+  assert.match(fs.readFileSync(path.join(dir, 'transcript.srt'), 'utf8'), /^1\n00:00:00,000 --> 00:00:02,000\nSegment 1\.\n/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'transcript.txt'), 'utf8').trim().split('\n').length, 3);
+  assert.ok(!fs.existsSync(path.join(dir, '.transcribe.wav')));
+});
+
+test('processTranscript skips a video without audio', { skip: !hasFfmpeg() && 'ffmpeg is not on PATH' }, async (t) => {
+  const dir = tempDir(t);
+  const videoPath = generateVideo(path.join(dir, 'video.mp4'), { duration: 2 });
+  const downloader = quiet(new VideoDownloader(dir, null, {}, fakeTranscriber()));
+
+  assert.strictEqual(await downloader.processTranscript(videoPath, dir, dir, null), null);
+  assert.ok(!fs.existsSync(path.join(dir, 'transcript.vtt')));
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  isTweetGraphqlUrl,
+  parseTweetGraphql,
+  parseTweetMediaGraphql,
+  parseTweetHtml,
+  parseTweetPhotosHtml
+} = require('../server/services/tweet-parser');
+const XExtractor = require('../server/services/extractors/x-extractor');
+
+// Responses modelled on what X returns, with IDs, names and media keys redacted
+const FIXTURES = path.join(__dirname, 'fixtures', 'x');
+const readJson = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+const tweetDetail = readJson('tweet-detail.json');
+const photoTweet = readJson('tweet-result-by-rest-id.json');
+const statusPage = fs.readFileSync(path.join(FIXTURES, 'status-page.html'), 'utf8');
+
+const TWEET_ID = '1800000000000000001';
+const VIDEO = 'https://video.twimg.com/ext_tw_video/1800000000000000101/pu';
+
+test('isTweetGraphqlUrl matches the post queries only', () => {
+  assert.ok(isTweetGraphqlUrl('https://x.com/i/api/graphql/AbC123/TweetDetail?variables=%7B%7D'));
+  assert.ok(isTweetGraphqlUrl('https://api.x.com/graphql/AbC123/TweetResultByRestId?variables=%7B%7D'));
+  assert.ok(!isTweetGraphqlUrl('https://x.com/i/api/graphql/AbC123/UserByScreenName?variables=%7B%7D'));
+});
+
+test('parseTweetGraphql reads the focal post out of a TweetDetail conversation', () => {
+  const tweet = parseTweetGraphql([tweetDetail], TWEET_ID);
+
+  assert.strictEqual(tweet.id, TWEET_ID);
+  assert.strictEqual(tweet.source, 'graphql');
+  assert.match(tweet.text, /^Two clips from the demo & a GIF of the result\.\n\n/);
+  assert.match(tweet.text, /full text only appears in note_tweet\.$/);
+  assert.strictEqual(tweet.created_at, '2024-06-11T10:30:00.000Z');
+  assert.deepStrictEqual(tweet.author, {
+    id: '100000001',
+    username: 'redacted_user',
+    display_name: 'Redacted User',
+    verified: true,
+    followers_count: 4321,
+    profile_image_url: 'https://pbs.twimg.com/profile_images/100000001/REDACTED_normal.jpg'
+  });
+  assert.deepStrictEqual(tweet.reply_to, { tweet_id: '1799000000000000000', username: 'parent_user' });
+  assert.deepStrictEqual(tweet.quote, {
+    tweet_id: '1799999999999999999',
+    username: 'quoted_user',
+    display_name: 'Quoted User',
+    text: 'The original announcement <3'
+  });
+  assert.deepStrictEqual(tweet.metrics, { replies: 12, reposts: 34, quotes: 5, likes: 1234, bookmarks: 7, views: 98765 });
+});
+
+test('parseTweetMediaGraphql lists the post\'s video and GIF with every variant', () => {
+  const media = parseTweetMediaGraphql([tweetDetail], TWEET_ID);
+
+  assert.deepStrictEqual(media.map(m => [m.id, m.type, m.width, m.height]), [
+    ['1800000000000000101', 'video', 1280, 720],
+    ['1800000000000000102', 'animated_gif', 480, 480]
+  ]);
+  assert.deepStrictEqual(media[0].variants, [
+    `${VIDEO}/pl/REDACTED.m3u8?tag=12&v=1a2`,
+    `${VIDEO}/vid/avc1/480x270/REDACTED.mp4?tag=12`,
+    `${VIDEO}/vid/avc1/640x360/REDACTED.mp4?tag=12`,
+    `${VIDEO}/vid/avc1/1280x720/REDACTED.mp4?tag=12`
+  ]);
+  assert.deepStrictEqual(media[1].variants, ['https://video.twimg.com/tweet_video/REDACTED_GIF.mp4']);
+});
+
+test('parseTweetMediaGraphql reads photos from TweetResultByRestId', () => {
+  const media = parseTweetMediaGraphql([photoTweet], '1800000000000000201');
+
+  assert.deepStrictEqual(media, [
+    { id: '1800000000000000211', type: 'photo', url: 'https://pbs.twimg.com/media/REDACTED_A.jpg', width: 2048, height: 1536, variants: [] },
+    { id: '1800000000000000212', type: 'photo', url: 'https://pbs.twimg.com/media/REDACTED_B.jpg', width: 1536, height: 2048, variants: [] }
+  ]);
+  assert.strictEqual(parseTweetGraphql([photoTweet], '1800000000000000201').author.username, 'photo_user');
+});
+
+test('parseTweetGraphql returns null when no response holds the post', () => {
+  assert.strictEqual(parseTweetGraphql([photoTweet], TWEET_ID), null);
+  assert.strictEqual(parseTweetMediaGraphql([photoTweet], TWEET_ID), null);
+});
+
+test('parseTweetHtml reads the focal article of a rendered status page', () => {
+  const tweet = parseTweetHtml(statusPage, TWEET_ID);
+
+  assert.strictEqual(tweet.source, 'html');
+  assert.strictEqual(tweet.text, 'Two clips from the demo & a GIF of the result 🎬\nSecond line');
+  assert.strictEqual(tweet.created_at, '2024-06-11T10:30:00.000Z');
+  assert.strictEqual(tweet.author.username, 'redacted_user');
+  assert.strictEqual(tweet.author.display_name, 'Redacted User');
+  assert.strictEqual(tweet.author.verified, true);
+  assert.strictEqual(tweet.reply_to.username, 'parent_user');
+  assert.deepStrictEqual(tweet.metrics, { replies: 12, reposts: 34, quotes: null, likes: 1200, bookmarks: 7, views: 98765 });
+});
+
+test('parseTweetPhotosHtml lists the photos in the focal article', () => {
+  assert.deepStrictEqual(parseTweetPhotosHtml(statusPage, TWEET_ID), [
+    'https://pbs.twimg.com/media/REDACTED_C?format=jpg&name=small',
+    'https://pbs.twimg.com/media/REDACTED_D?format=png&name=small'
+  ]);
+});
+
+test('XExtractor groups captured streams by the media items in the fixture', () => {
+  const extractor = new XExtractor({ log: () => {} });
+  const media = parseTweetMediaGraphql([tweetDetail], TWEET_ID);
+  const videoUrls = [
+    { url: `${VIDEO}/vid/avc1/1280x720/REDACTED.mp4?tag=12` },
+    { url: 'https://video.twimg.com/tweet_video/REDACTED_GIF.mp4' },
+    { url: 'https://video.twimg.com/ext_tw_video/1801000000000000000/pu/vid/avc1/720x720/REPLY.mp4' }
+  ];
+
+  extractor.labelMedia(videoUrls, media);
+  assert.deepStrictEqual(videoUrls.map(v => [v.mediaId, v.mediaType]), [
+    ['1800000000000000101', 'video'],
+    ['1800000000000000102', 'animated_gif'],
+    [undefined, 'video']
+  ]);
+
+  const groups = extractor.selectGroups(videoUrls, { tweetId: TWEET_ID }, true);
+  assert.deepStrictEqual(groups.map(g => [g.id, g.mediaType]), [
+    ['1800000000000000101', 'video'],
+    ['1800000000000000102', 'animated_gif']
+  ]);
+});
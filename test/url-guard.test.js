@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { isPublicAddress, checkPublicUrl, publicLookup } = require('../server/services/url-guard');
+const VideoDownloader = require('../server/services/video-downloader');
+const { tempDir, serve, quiet } = require('./helpers');
+
+// Resolves every host name to the given addresses
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('isPublicAddress rejects loopback, private, link-local and unique-local addresses', () => {
+  for (const address of [
+    '127.0.0.1', '127.1.2.3', '10.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '0.0.0.0', '100.64.0.1', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fe80::1', 'fc00::1', 'fd12:3456::1', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a00:1', 'not an address'
+  ]) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '192.169.0.1', '2606:4700::1111', '::ffff:8.8.8.8', '::ffff:808:808']) {
+    assert.strictEqual(isPublicAddress(address), true, address);
+  }
+});
+
+test('checkPublicUrl rejects a host when any of its addresses is private', async () => {
+  assert.deepStrictEqual(await checkPublicUrl('https://example.com/clip.mp4', { lookup: resolvesTo('93.184.215.14') }), ['93.184.215.14']);
+
+  await assert.rejects(
+    checkPublicUrl('https://example.com/clip.mp4', { lookup: resolvesTo('93.184.215.14', '10.0.0.5') }),
+    { code: 'BLOCKED_ADDRESS', message: /example\.com: it resolves to 10\.0\.0\.5/ }
+  );
+  await assert.rejects(checkPublicUrl('https://example.com/', { lookup: resolvesTo() }), { code: 'BLOCKED_ADDRESS' });
+});
+
+test('checkPublicUrl judges IP literals without a lookup and refuses other schemes', async () => {
+  const lookup = () => assert.fail('IP literals are not looked up');
+
+  for (const url of ['http://127.0.0.1:3000/', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://2130706433/', 'http://169.254.169.254/latest/meta-data/']) {
+    await assert.rejects(checkPublicUrl(url, { lookup }), { code: 'BLOCKED_ADDRESS' }, url);
+  }
+  assert.deepStrictEqual(await checkPublicUrl('http://8.8.8.8/', { lookup }), ['8.8.8.8']);
+  await assert.rejects(checkPublicUrl('file:///etc/passwd', { lookup }), { code: 'BLOCKED_ADDRESS', message: /not file:/ });
+});
+
+test('publicLookup fails a connection to a host that resolves to loopback', async () => {
+  await assert.rejects(new Promise((resolve, reject) => {
+    http.get('http://localhost:9/', { lookup: publicLookup }, resolve).on('error', reject);
+  }), { code: 'BLOCKED_ADDRESS' });
+});
+
+test('VideoDownloader refuses private addresses unless allowPrivateAddresses is set', async (t) => {
+  let requests = 0;
+  const url = await serve(t, (req, res) => {
+    requests++;
+    res.writeHead(200, { 'Content-Length': 5 });
+    res.end('video');
+  });
+  const dir = tempDir(t);
+
+  const guarded = quiet(new VideoDownloader(dir));
+  await assert.rejects(guarded.downloadFileHttp(`${url}/clip.mp4`, path.join(dir, 'a.mp4')), { code: 'BLOCKED_ADDRESS' });
+  await assert.rejects(guarded.fetchText(`${url}/master.m3u8`), { code: 'BLOCKED_ADDRESS' });
+  assert.strictEqual(requests, 0);
+
+  const open = quiet(new VideoDownloader(dir, null, { allowPrivateAddresses: true }));
+  const result = await open.downloadFileHttp(`${url}/clip.mp4`, path.join(dir, 'b.mp4'));
+  assert.strictEqual(result.bytes, 5);
+  assert.strictEqual(requests, 1);
+});
+
+test('the generic extractor refuses a direct link to a private address before capturing it', async (t) => {
+  const downloader = quiet(new VideoDownloader(tempDir(t)));
+  const { extractor } = downloader.resolveSource('http://192.168.1.20/media/clip.mp4');
+
+  assert.strictEqual(extractor.name, 'generic');
+  await assert.rejects(extractor.capture('http://192.168.1.20/media/clip.mp4', null, null), { code: 'BLOCKED_ADDRESS' });
+  await assert.rejects(extractor.capture('http://10.0.0.5/watch', null, null), { code: 'BLOCKED_ADDRESS' });
+});
+
+test('only x.com and twitter.com post URLs go to the X extractor', async (t) => {
+  const downloader = quiet(new VideoDownloader(tempDir(t)));
+
+  for (const url of ['https://x.com/user_1/status/123', 'http://twitter.com/User/status/123?s=20', 'https://mobile.twitter.com/user/status/123', 'https://www.x.com/user/status/123']) {
+    assert.strictEqual(downloader.resolveSource(url).extractor.name, 'x', url);
+  }
+
+  // Other hosts with a post's path in their own path or query are generic pages, which the guard refuses
+  for (const url of ['http://127.0.0.1:8080/x.com/a/status/1', 'http://169.254.169.254/latest?twitter.com/u/status/9', 'http://127.0.0.1/x.com/../status/5']) {
+    const { extractor, source } = downloader.resolveSource(url);
+    assert.strictEqual(extractor.name, 'generic', url);
+    assert.doesNotMatch(source.folder, /^(a|u|\.\.)_\d+$/, url);
+    await assert.rejects(extractor.capture(url, null, null), { code: 'BLOCKED_ADDRESS' }, url);
+  }
+  // A username of .. would make a hidden folder
+  assert.notStrictEqual(downloader.resolveSource('https://x.com/../status/5').extractor.name, 'x');
+});
+
+test('the X extractor has the browser check every request it makes', async (t) => {
+  const downloader = quiet(new VideoDownloader(tempDir(t)));
+  const { extractor } = downloader.resolveSource('https://x.com/user/status/123');
+  let browseOptions;
+  extractor.browse = async (url, browserService, browserId, options) => {
+    browseOptions = options;
+    return { tweetPayloads: [], html: null, session: null };
+  };
+
+  await assert.rejects(extractor.capture('https://x.com/user/status/123', null, null), /No video found/);
+  assert.strictEqual(browseOptions.checkUrl, downloader.httpOptions.checkUrl);
+});
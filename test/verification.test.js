@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const VideoDownloader = require('../server/services/video-downloader');
+const { hasFfmpeg, tempDir, serve, generateVideo, quiet } = require('./helpers');
+
+const skip = !hasFfmpeg() && 'ffmpeg is not on PATH';
+
+test('a WebM saved as video.mp4 is verified without the MP4 structure check', { skip }, async (t) => {
+  const dir = tempDir(t);
+  const source = generateVideo(path.join(dir, 'source.mp4'), { duration: 2 });
+  // Matroska, like WebM, but with the H.264 stream copied so no VP8/VP9 encoder is needed
+  const mediaPath = path.join(dir, 'video.mp4');
+  const result = spawnSync('ffmpeg', ['-v', 'error', '-i', source, '-c', 'copy', '-f', 'matroska', '-y', mediaPath]);
+  assert.strictEqual(result.status, 0, String(result.stderr));
+  const downloader = quiet(new VideoDownloader(dir));
+
+  const { verification } = await downloader.verifyDownload(mediaPath, { bytes: fs.statSync(mediaPath).size });
+
+  assert.strictEqual(verification.ok, true, JSON.stringify(verification.checks));
+  assert.strictEqual(verification.checks.structure, undefined);
+  assert.strictEqual(verification.checks.probe.ok, true);
+});
+
+test('an MP4 still gets the structure check', { skip }, async (t) => {
+  const dir = tempDir(t);
+  const mediaPath = generateVideo(path.join(dir, 'video.mp4'), { duration: 2 });
+  const downloader = quiet(new VideoDownloader(dir));
+
+  const { verification } = await downloader.verifyDownload(mediaPath);
+
+  assert.strictEqual(verification.ok, true, JSON.stringify(verification.checks));
+  assert.strictEqual(verification.checks.structure.ok, true);
+});
+
+test('verification retries download from a fresh capture of the post', { skip }, async (t) => {
+  const dir = tempDir(t);
+  const video = fs.readFileSync(generateVideo(path.join(dir, 'source.mp4'), { duration: 2 }));
+  const requests = [];
+  const base = await serve(t, (req, res) => {
+    requests.push(req.url);
+    // The first capture's signed URL serves a broken file, as an expired one might
+    const body = req.url.startsWith('/expired') ? Buffer.from('not a video') : video;
+    res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': body.length });
+    res.end(body);
+  });
+  const downloader = quiet(new VideoDownloader(dir, null, { allowPrivateAddresses: true }, null, { retries: 1 }));
+  const selection = (url) => ({ downloadUrl: url, audioUrl: null, isHLS: false, variant: { type: 'video', url } });
+  let recaptures = 0;
+  const recapture = async () => {
+    recaptures++;
+    return { selection: selection(`${base}/fresh.mp4`), session: null };
+  };
+
+  const result = await downloader.downloadVerified(selection(`${base}/expired.mp4`), path.join(dir, 'video.mp4'), { recapture });
+
+  assert.strictEqual(recaptures, 1);
+  assert.deepStrictEqual(requests, ['/expired.mp4', '/fresh.mp4']);
+  assert.strictEqual(result.verification.attempts, 2);
+  assert.strictEqual(result.selection.downloadUrl, `${base}/fresh.mp4`);
+});